@@ -6,7 +6,26 @@ import { dashboardController } from "./lib/controllers/dashboard.js";
 import { blocklistController } from "./lib/controllers/blocklist.js";
 import { syncController } from "./lib/controllers/sync-controller.js";
 import { apiController } from "./lib/controllers/api.js";
+import { feedController } from "./lib/controllers/feed.js";
+import { webhooksController } from "./lib/controllers/webhooks.js";
+import { digestController } from "./lib/controllers/digest.js";
+import { receiveController } from "./lib/controllers/receive.js";
+import { respondController } from "./lib/controllers/respond.js";
+import { threadsController } from "./lib/controllers/threads.js";
+import { postController } from "./lib/controllers/post.js";
+import { analyticsController } from "./lib/controllers/analytics.js";
+import { authorsController } from "./lib/controllers/authors.js";
+import { avatarsController } from "./lib/controllers/avatars.js";
 import { startSync, stopSync } from "./lib/sync.js";
+import { stopReceiver } from "./lib/receiver.js";
+import { startVerification, stopVerification } from "./lib/verify.js";
+import {
+  startSubscriptions,
+  stopSubscriptions,
+} from "./lib/blocklist-sharing.js";
+import { startWebhooks, stopWebhooks } from "./lib/webhooks.js";
+import { startDigests, stopDigests } from "./lib/digest.js";
+import { configureCache, clearCache } from "./lib/cache.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -17,6 +36,23 @@ const defaults = {
   mountPath: "/webmentions",
   syncInterval: 900_000, // 15 minutes
   cacheTtl: 60, // seconds for public API Cache-Control
+  apiCacheSize: 500, // cached API responses (0 disables the response cache)
+  apiCacheMaxAge: 3_600_000, // 1 hour
+  embedTemplate: "webmentions-embed", // view rendered by /api/mentions.html
+  feedToken: undefined, // secret for the private Atom/JSON feeds (off unless set)
+  webhooks: [], // { url, secret, types, targetPrefix } posted new mentions
+  digest: null, // { frequency, hour, transport } periodic summary of new mentions
+  authorRelMe: true, // merge author profiles that link to each other with rel=me
+  avatarCache: false, // download author photos after each sync
+  avatarDirectory: undefined, // store cached avatars here instead of in MongoDB
+  avatarProxy: false, // public API points author photos at the cached copies
+  preModeration: false, // hold mentions from untrusted domains for approval
+  verifyMentions: false, // periodically re-check sources
+  verifyInterval: 3_600_000, // 1 hour
+  verifyBatchSize: 25,
+  verifyAction: "hide", // "hide" or "delete"
+  blocklistRefreshInterval: 86_400_000, // 24 hours, shared blocklist subscriptions
+  blocklistDirectory: undefined, // subscriptions may also read files from here
 };
 
 export default class WebmentionEndpoint {
@@ -53,24 +89,84 @@ export default class WebmentionEndpoint {
 
     // Blocklist management page
     protectedRouter.get("/blocklist", blocklistController.list);
+    protectedRouter.get("/blocklist/export", blocklistController.exportList);
 
     // Sync controls
     protectedRouter.post("/sync", syncController.sync);
     protectedRouter.post("/sync/full", syncController.fullSync);
 
+    // Every interaction with one post
+    protectedRouter.get("/post", postController.show);
+
+    // Analytics and CSV exports
+    protectedRouter.get("/analytics", analyticsController.list);
+    protectedRouter.get("/analytics/export", analyticsController.exportCsv);
+
+    // Author identities
+    protectedRouter.get("/authors", authorsController.list);
+    protectedRouter.get("/authors/profile", authorsController.show);
+    protectedRouter.post("/authors/merge", authorsController.merge);
+    protectedRouter.post("/authors/split", authorsController.split);
+    protectedRouter.post("/authors/override", authorsController.override);
+
+    // Conversation threads per post
+    protectedRouter.get("/threads", threadsController.list);
+
+    // Webhook delivery log
+    protectedRouter.get("/webhooks", webhooksController.list);
+    protectedRouter.post("/webhooks/:id/retry", webhooksController.retry);
+
+    // Digests
+    protectedRouter.post("/digest/send", digestController.send);
+
+    // Edit history
+    protectedRouter.get("/:wmId/revisions", dashboardController.revisions);
+
     // Moderation actions
     protectedRouter.post("/:wmId/hide", dashboardController.hide);
     protectedRouter.post("/:wmId/unhide", dashboardController.unhide);
 
+    // Reply to, like or repost the source via Micropub
+    protectedRouter.get("/:wmId/respond", respondController.compose);
+    protectedRouter.post("/:wmId/respond", respondController.create);
+
+    // Pre-moderation queue
+    protectedRouter.post("/:wmId/approve", dashboardController.approve);
+    protectedRouter.post("/:wmId/reject", dashboardController.reject);
+
     // Block a domain (hides all mentions + adds to blocklist)
     protectedRouter.post("/block", dashboardController.blockDomainHandler);
 
-    // Unblock a domain
+    // Block a domain or pattern (wildcard, regex, author URL, keyword)
+    protectedRouter.post("/blocklist", blocklistController.add);
+
+    // Import a blocklist file (merge or replace)
+    protectedRouter.post("/blocklist/import", blocklistController.importList);
+
+    // Shared blocklist subscriptions
+    protectedRouter.post("/blocklist/subscribe", blocklistController.subscribe);
+    protectedRouter.post(
+      "/blocklist/unsubscribe",
+      blocklistController.unsubscribe,
+    );
+    protectedRouter.post("/blocklist/refresh", blocklistController.refresh);
+
+    // Unblock a domain or pattern
     protectedRouter.post(
       "/blocklist/:domain/delete",
       blocklistController.unblock,
     );
 
+    // Trusted domains (skip the pre-moderation queue)
+    protectedRouter.post("/trusted", blocklistController.trust);
+    protectedRouter.post(
+      "/trusted/:domain/delete",
+      blocklistController.untrust,
+    );
+
+    // Bulk moderation (hide, unhide, block, privacy-remove)
+    protectedRouter.post("/bulk", dashboardController.bulk);
+
     // Privacy removal (permanent delete + block)
     protectedRouter.post("/privacy-remove", dashboardController.privacyRemove);
 
@@ -80,9 +176,25 @@ export default class WebmentionEndpoint {
   /**
    * Public routes (no authentication required)
    * JF2 JSON API — drop-in replacement for webmention.io proxy
+   * HTML embed of mentions for static themes
+   * Token-protected Atom/JSON feeds of incoming mentions
+   * W3C Webmention receiving endpoint
+   * Cached author photos
    */
   get routesPublic() {
     publicRouter.get("/api/mentions", apiController.getMentions);
+    publicRouter.get("/api/mentions.html", apiController.getMentionsHtml);
+
+    // Private feeds of incoming mentions (token in the URL, no session)
+    publicRouter.get("/feed.atom", feedController.atom);
+    publicRouter.get("/feed.json", feedController.json);
+    publicRouter.get("/api/count", apiController.getCount);
+
+    // Native Webmention endpoint (verified in a background queue)
+    publicRouter.post("/webmention", receiveController.receive);
+
+    // Cached author photos
+    publicRouter.get("/avatars/:hash", avatarsController.get);
 
     return publicRouter;
   }
@@ -93,6 +205,12 @@ export default class WebmentionEndpoint {
     // Add MongoDB collections
     Indiekit.addCollection("webmentions");
     Indiekit.addCollection("webmentionBlocklist");
+    Indiekit.addCollection("webmentionState");
+    Indiekit.addCollection("webmentionTrusted");
+    Indiekit.addCollection("webmentionBlocklistSubscriptions");
+    Indiekit.addCollection("webmentionWebhookDeliveries");
+    Indiekit.addCollection("webmentionAuthors");
+    Indiekit.addCollection("webmentionAvatars");
 
     // Store config in application for controller access
     Indiekit.config.application.webmentionConfig = this.options;
@@ -101,13 +219,30 @@ export default class WebmentionEndpoint {
     // Store database getter for controller access
     Indiekit.config.application.getWebmentionDb = () => Indiekit.database;
 
+    // In-process cache for public API responses
+    configureCache(this.options);
+
     // Start background sync if database is available
     if (Indiekit.config.application.mongodbUrl) {
       startSync(Indiekit, this.options);
+
+      if (this.options.verifyMentions) {
+        startVerification(Indiekit, this.options);
+      }
+
+      startSubscriptions(Indiekit, this.options);
+      startWebhooks(Indiekit, this.options);
+      startDigests(Indiekit, this.options);
     }
   }
 
   destroy() {
     stopSync();
+    stopVerification();
+    stopReceiver();
+    stopSubscriptions();
+    stopWebhooks();
+    stopDigests();
+    clearCache();
   }
 }
@@ -0,0 +1,95 @@
+/**
+ * Local file source adapter
+ * Reads JF2 entries from a JSONL file (one entry per line), a JF2 feed
+ * (`{ "children": [...] }`) or a JSON array. Useful for migrations and for
+ * running the sync pipeline offline against fixtures.
+ */
+
+import { readFile } from "node:fs/promises";
+import path from "node:path";
+
+import { normaliseEntry } from "./jf2.js";
+
+/**
+ * Create a file adapter
+ * @param {object} config - Adapter config
+ * @param {string} config.path - Path to the JSONL/JF2 file
+ * @param {string} [config.id] - Adapter ID (default: "file:<basename>")
+ * @param {string} [config.name] - Display name
+ * @returns {object} Source adapter
+ */
+export function fileAdapter(config) {
+  if (!config.path) {
+    throw new Error("File mention source requires a path");
+  }
+
+  const id = config.id || `file:${path.basename(config.path)}`;
+  let entries = [];
+
+  return {
+    id,
+    name: config.name || id,
+    perPage: 100,
+    pageDelay: 0,
+
+    /**
+     * Fetch a single page of mentions (the file is re-read on page 0)
+     * @param {object} params - Fetch params (page, perPage, sinceId)
+     * @returns {Promise<Array>} Array of JF2 entries
+     */
+    async fetchPage(params = {}) {
+      const page = params.page || 0;
+      const perPage = params.perPage || 100;
+
+      if (page === 0) {
+        entries = await readEntries(config.path);
+
+        // Entries with numeric IDs honour the since_id cursor
+        if (params.sinceId) {
+          entries = entries.filter(
+            (entry) =>
+              typeof entry["wm-id"] !== "number" ||
+              entry["wm-id"] > params.sinceId,
+          );
+        }
+      }
+
+      return entries.slice(page * perPage, (page + 1) * perPage);
+    },
+  };
+}
+
+/**
+ * Read and parse JF2 entries from a file
+ * @param {string} filePath - File path
+ * @returns {Promise<Array>} Normalised JF2 entries
+ */
+async function readEntries(filePath) {
+  const content = (await readFile(filePath, "utf8")).trim();
+
+  if (!content) return [];
+
+  let items;
+  if (content.startsWith("[")) {
+    items = JSON.parse(content);
+  } else {
+    try {
+      const parsed = JSON.parse(content);
+      items = parsed.children || [parsed];
+    } catch {
+      // Not a single JSON document, treat as JSONL
+      items = content
+        .split("\n")
+        .filter((line) => line.trim())
+        .map((line, index) => {
+          try {
+            return JSON.parse(line);
+          } catch {
+            throw new Error(`${filePath}: invalid JSON on line ${index + 1}`);
+          }
+        });
+    }
+  }
+
+  return items.map(normaliseEntry);
+}
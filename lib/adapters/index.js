@@ -0,0 +1,79 @@
+/**
+ * Mention source adapters
+ *
+ * An adapter is an object with:
+ * - `id` - unique ID, stored as the `origin` of each mention it provides
+ * - `name` - display name (optional)
+ * - `perPage`/`pageDelay` - paging hints (optional)
+ * - `fetchPage({ page, perPage, sinceId })` - resolves to an array of
+ *   normalised JF2 entries; an empty or short page ends the sync
+ *
+ * Adapters are configured with the `sources` option. Each entry is either
+ * a config object with a `type` ("webmention.io" or "file") or a custom
+ * adapter object implementing `fetchPage()`.
+ */
+
+import { fileAdapter } from "./file.js";
+import { webmentionIoAdapter } from "./webmention-io.js";
+
+export { normaliseEntry } from "./jf2.js";
+
+/**
+ * ID of the adapter whose mention IDs are stored unchanged (for
+ * compatibility with documents synced before adapters existed)
+ */
+export const PRIMARY_ADAPTER_ID = "webmention.io";
+
+/**
+ * Create adapters from plugin options
+ * @param {object} options - Plugin options
+ * @returns {Array<object>} Source adapters
+ */
+export function createAdapters(options = {}) {
+  const sources =
+    options.sources ||
+    (options.token ? [{ type: "webmention.io" }] : []);
+
+  const adapters = sources.map((source) => createAdapter(source, options));
+
+  const ids = new Set();
+  for (const adapter of adapters) {
+    if (ids.has(adapter.id)) {
+      throw new Error(`Duplicate mention source ID: ${adapter.id}`);
+    }
+    ids.add(adapter.id);
+  }
+
+  return adapters;
+}
+
+/**
+ * Create a single adapter
+ * @param {object} source - Source config or custom adapter
+ * @param {object} options - Plugin options (token/domain defaults)
+ * @returns {object} Source adapter
+ */
+function createAdapter(source, options) {
+  if (typeof source.fetchPage === "function") {
+    if (!source.id) {
+      throw new Error("Custom mention source adapters need an id");
+    }
+    return source;
+  }
+
+  switch (source.type) {
+    case "webmention.io": {
+      return webmentionIoAdapter({
+        ...source,
+        token: source.token || options.token,
+        domain: source.domain || options.domain,
+      });
+    }
+    case "file": {
+      return fileAdapter(source);
+    }
+    default: {
+      throw new Error(`Unknown mention source type: ${source.type}`);
+    }
+  }
+}
@@ -0,0 +1,48 @@
+/**
+ * JF2 normalisation for mention source adapters
+ */
+
+const PROPERTIES = [
+  "in-reply-to",
+  "like-of",
+  "repost-of",
+  "bookmark-of",
+  "mention-of",
+];
+
+/**
+ * Normalise a JF2 entry from any source into the shape webmention.io returns
+ * @param {object} item - JF2 entry
+ * @returns {object} Normalised JF2 entry
+ */
+export function normaliseEntry(item) {
+  const entry = { ...item, type: item.type || "entry" };
+
+  if (!entry["wm-property"]) {
+    entry["wm-property"] =
+      entry.rsvp && entry["in-reply-to"]
+        ? "rsvp"
+        : PROPERTIES.find((property) => entry[property]) || "mention-of";
+  }
+
+  if (!entry["wm-target"]) {
+    const property =
+      entry["wm-property"] === "rsvp" ? "in-reply-to" : entry["wm-property"];
+    const value = [entry[property]].flat()[0];
+    entry["wm-target"] = typeof value === "string" ? value : value?.url || null;
+  }
+
+  if (!entry.url && entry["wm-source"]) {
+    entry.url = entry["wm-source"];
+  }
+
+  if (typeof entry.author === "string") {
+    entry.author = { type: "card", name: "", url: entry.author, photo: "" };
+  }
+
+  if (typeof entry.content === "string") {
+    entry.content = { text: entry.content };
+  }
+
+  return entry;
+}
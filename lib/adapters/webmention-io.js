@@ -0,0 +1,60 @@
+/**
+ * webmention.io source adapter
+ * Also works with self-hosted, webmention.io-compatible servers
+ */
+
+import { normaliseEntry } from "./jf2.js";
+
+/**
+ * Create a webmention.io adapter
+ * @param {object} config - Adapter config
+ * @param {string} config.token - API token
+ * @param {string} config.domain - Domain to fetch mentions for
+ * @param {string} [config.url] - Server URL (default "https://webmention.io")
+ * @param {string} [config.id] - Adapter ID (default: server hostname)
+ * @param {string} [config.name] - Display name
+ * @returns {object} Source adapter
+ */
+export function webmentionIoAdapter(config) {
+  const baseUrl = (config.url || "https://webmention.io").replace(/\/$/, "");
+  const id = config.id || new URL(baseUrl).hostname;
+
+  return {
+    id,
+    name: config.name || id,
+    perPage: 100,
+    pageDelay: 500,
+
+    /**
+     * Fetch a single page of mentions
+     * @param {object} params - Fetch params (page, perPage, sinceId)
+     * @returns {Promise<Array>} Array of JF2 entries
+     */
+    async fetchPage(params = {}) {
+      const url = new URL(`${baseUrl}/api/mentions.jf2`);
+      url.searchParams.set("token", config.token);
+      url.searchParams.set("domain", config.domain);
+      url.searchParams.set("per-page", String(params.perPage || 100));
+
+      if (params.page) {
+        url.searchParams.set("page", String(params.page));
+      }
+
+      if (params.sinceId) {
+        url.searchParams.set("since_id", String(params.sinceId));
+      }
+
+      const response = await fetch(url.href, {
+        headers: { accept: "application/json" },
+        signal: AbortSignal.timeout(15_000),
+      });
+
+      if (!response.ok) {
+        throw new Error(`${id} returned ${response.status}`);
+      }
+
+      const body = await response.json();
+      return (body?.children || []).map(normaliseEntry);
+    },
+  };
+}
@@ -0,0 +1,150 @@
+/**
+ * Author identities
+ *
+ * Keeps the `webmentionAuthors` profiles in step with stored mentions, and
+ * merges profiles that link to each other with rel=me (a personal site
+ * and a Mastodon account that links back to it, say) into one identity.
+ * Runs after each sync.
+ */
+
+import { mf2 } from "microformats-parser";
+
+import { fetchSource } from "./source.js";
+import { normaliseProfileUrl } from "./utils.js";
+import {
+  backfillAuthorKeys,
+  getAuthorStats,
+} from "./storage/webmentions.js";
+import {
+  ensureAuthorIndexes,
+  updateAuthorProfiles,
+  getAuthorProfile,
+  getProfilesToCheck,
+  setRelMe,
+  mergeIdentities,
+} from "./storage/authors.js";
+
+const RELME_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+const RELME_BATCH_SIZE = 10;
+
+/**
+ * Update author profiles from the stored mentions, then check a batch of
+ * profiles for rel=me links and merge the ones that link to each other
+ * @param {object} db - MongoDB database instance
+ * @param {object} options - Plugin options
+ * @returns {Promise<{added: number, merged: number}>}
+ */
+export async function refreshAuthors(db, options) {
+  const result = { added: 0, merged: 0 };
+
+  try {
+    const wmCollection = db.collection("webmentions");
+    const collection = db.collection("webmentionAuthors");
+    await ensureAuthorIndexes(collection);
+
+    await backfillAuthorKeys(wmCollection);
+    const stats = await getAuthorStats(wmCollection);
+    const { added } = await updateAuthorProfiles(collection, stats);
+    result.added = added;
+
+    if (options.authorRelMe !== false) {
+      result.merged = await checkRelMe(collection);
+    }
+  } catch (error) {
+    console.error("[Webmentions] Author refresh error:", error.message);
+  }
+
+  return result;
+}
+
+/**
+ * Fetch rel=me links for profiles not checked recently, and merge each
+ * with the profiles it links to that link back
+ * @param {object} collection - Authors collection
+ * @returns {Promise<number>} Profiles merged
+ */
+async function checkRelMe(collection) {
+  const before = new Date(Date.now() - RELME_TTL_MS).toISOString();
+  const profiles = await getProfilesToCheck(collection, before, RELME_BATCH_SIZE);
+  let merged = 0;
+
+  for (const profile of profiles) {
+    const relMe = await fetchRelMe(profile.profileUrl || profile.url);
+    await setRelMe(collection, profile.url, relMe);
+
+    for (const url of relMe) {
+      const other = await getAuthorProfile(collection, url);
+      if (!other?.relMe?.includes(profile.url)) continue;
+
+      // Re-read, an earlier link may have merged this profile already
+      const current = await getAuthorProfile(collection, profile.url);
+      if (current.identity === other.identity) continue;
+
+      const moved = await mergeIdentities(collection, current.identity, other.identity, {
+        by: "rel-me",
+      });
+      if (moved > 0) {
+        merged += moved;
+        console.log(
+          `[Webmentions] Merged author ${other.url} into ${current.identity} (rel=me)`,
+        );
+      }
+    }
+
+    // Small delay between profile fetches
+    await delay(200);
+  }
+
+  return merged;
+}
+
+/**
+ * Get the rel=me links on a profile page
+ * @param {string} url - Profile URL
+ * @returns {Promise<Array<string>>} Normalised URLs, other than the
+ *   profile's own
+ */
+export async function fetchRelMe(url) {
+  try {
+    const source = await fetchSource(url);
+    if (!source.ok || !source.contentType.includes("html")) {
+      return [];
+    }
+
+    return parseRelMe(source.body, source.url, url);
+  } catch (error) {
+    console.log(
+      `[Webmentions] rel=me discovery failed for ${url}: ${error.message}`,
+    );
+    return [];
+  }
+}
+
+/**
+ * Parse rel=me links from HTML
+ * @param {string} html - Page HTML
+ * @param {string} baseUrl - URL the page was fetched from (after redirects)
+ * @param {string} [profileUrl] - Profile URL, left out of the result
+ * @returns {Array<string>} Normalised URLs
+ */
+export function parseRelMe(html, baseUrl, profileUrl = baseUrl) {
+  const own = new Set([normaliseProfileUrl(profileUrl), normaliseProfileUrl(baseUrl)]);
+  const links = mf2(html, { baseUrl }).rels?.me || [];
+
+  return [
+    ...new Set(
+      links
+        .map(normaliseProfileUrl)
+        .filter((link) => link && !own.has(link)),
+    ),
+  ];
+}
+
+/**
+ * Pause between profile lookups
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
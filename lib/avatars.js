@@ -0,0 +1,362 @@
+/**
+ * Local avatar cache
+ *
+ * Downloads author photos so they survive people changing or deleting
+ * them, and so the public API can point at our copy instead of hotlinking
+ * a third-party host. Photos are checked to be JPEG, PNG, GIF, WebP or
+ * AVIF, and resized to a few square WebP sizes when sharp is installed
+ * (otherwise the original is kept). Runs after each sync.
+ */
+
+import { createHash } from "node:crypto";
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+
+import { clearCache } from "./cache.js";
+import { fetchPublic } from "./source.js";
+import { getAuthorPhotoUrls } from "./storage/webmentions.js";
+import { getPhotoOverrides } from "./storage/authors.js";
+import {
+  ensureAvatarIndexes,
+  getAvatarStates,
+  getCachedAvatarHashes,
+  saveAvatar,
+  markAvatarFailed,
+} from "./storage/avatars.js";
+
+export const AVATAR_SIZES = [48, 96, 192];
+export const DEFAULT_AVATAR_SIZE = 96;
+
+const MAX_AVATAR_BYTES = 1_000_000; // 1 MB
+const AVATAR_BATCH_SIZE = 25;
+const REFRESH_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+const RETRY_MS = 24 * 60 * 60 * 1000; // 1 day
+
+// Accepted image types and the extension their files get on disk
+const IMAGE_TYPES = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/gif": "gif",
+  "image/webp": "webp",
+  "image/avif": "avif",
+};
+
+let sharpLoader;
+
+/**
+ * Download photos of mention authors (and identity photo overrides) not
+ * cached yet, and refresh the ones last fetched over 30 days ago. Failed
+ * downloads are retried a day later.
+ * @param {object} db - MongoDB database instance
+ * @param {object} options - Plugin options
+ * @param {string} [options.avatarDirectory] - Store files here instead of
+ *   in MongoDB
+ * @param {boolean} [options.avatarProxy] - The API serves cached avatars
+ * @returns {Promise<number>} Avatars downloaded
+ */
+export async function cacheAvatars(db, options) {
+  let downloaded = 0;
+  let added = 0;
+
+  try {
+    const collection = db.collection("webmentionAvatars");
+    await ensureAvatarIndexes(collection);
+
+    const urls = [
+      ...new Set([
+        ...(await getAuthorPhotoUrls(db.collection("webmentions"))),
+        ...(await getPhotoOverrides(db.collection("webmentionAuthors"))),
+      ]),
+    ].filter((url) => /^https?:\/\//i.test(url));
+
+    const states = await getAvatarStates(collection, urls);
+    const due = urls
+      .filter((url) => isDue(states.get(url)))
+      .slice(0, AVATAR_BATCH_SIZE);
+
+    for (const url of due) {
+      const hash = avatarHash(url);
+
+      try {
+        const image = await downloadAvatar(url);
+        const files = await storeFiles(
+          hash,
+          await resizeAvatar(image),
+          options.avatarDirectory,
+        );
+
+        await saveAvatar(collection, {
+          url,
+          hash,
+          files,
+          contentType: image.contentType,
+        });
+
+        downloaded++;
+        if (states.get(url)?.status !== "cached") {
+          added++;
+        }
+      } catch (error) {
+        await markAvatarFailed(collection, { url, hash, error: error.message });
+      }
+
+      // Small delay between downloads
+      await delay(200);
+    }
+
+    // Responses that hotlinked these photos can now use our copy
+    if (added > 0 && options.avatarProxy) {
+      clearCache();
+    }
+  } catch (error) {
+    console.error("[Webmentions] Avatar cache error:", error.message);
+  }
+
+  return downloaded;
+}
+
+/**
+ * Get the hash an avatar is served under
+ * @param {string} url - Remote photo URL
+ * @returns {string} 32 hex characters
+ */
+export function avatarHash(url) {
+  return createHash("sha256").update(url).digest("hex").slice(0, 32);
+}
+
+/**
+ * Point the author photos of JF2 items (and their nested `comment`
+ * replies) at their cached copies. Photos not cached yet are left alone.
+ * @param {object} collection - Avatars collection
+ * @param {Array<object>} items - JF2 items, changed in place
+ * @param {string} baseUrl - URL of the avatars route
+ * @returns {Promise<Array<object>>} The items
+ */
+export async function proxyAvatars(collection, items, baseUrl) {
+  const authors = [];
+  const walk = (list) => {
+    for (const item of list || []) {
+      if (item.author?.photo) authors.push(item.author);
+      walk(item.comment);
+    }
+  };
+  walk(items);
+
+  const hashes = await getCachedAvatarHashes(collection, [
+    ...new Set(authors.map((author) => author.photo)),
+  ]);
+
+  for (const author of authors) {
+    const hash = hashes.get(author.photo);
+    if (hash) {
+      author.photo = `${baseUrl}/${hash}`;
+    }
+  }
+
+  return items;
+}
+
+/**
+ * Read the stored file closest to a size: the smallest at least that big,
+ * else the largest (or the original, if it wasn't resized)
+ * @param {object} avatar - Avatar document
+ * @param {number} size - Wanted size in pixels
+ * @param {string} [directory] - `avatarDirectory`
+ * @returns {Promise<{contentType: string, data: Buffer}|null>}
+ */
+export async function readAvatarFile(avatar, size, directory) {
+  const files = avatar.files || {};
+  const sizes = Object.keys(files)
+    .map(Number)
+    .filter(Boolean)
+    .sort((a, b) => a - b);
+  const key = files.original
+    ? "original"
+    : sizes.find((value) => value >= size) || sizes.at(-1);
+  const file = files[key];
+
+  if (!file) {
+    return null;
+  }
+
+  if (file.file) {
+    if (!directory) {
+      return null;
+    }
+
+    const data = await readFile(path.join(directory, file.file));
+    return { contentType: file.contentType, data };
+  }
+
+  // MongoDB hands back stored buffers as BSON Binary
+  const data = Buffer.isBuffer(file.data)
+    ? file.data
+    : Buffer.from(file.data.buffer);
+  return { contentType: file.contentType, data };
+}
+
+/**
+ * Check whether a photo is due for a download
+ * @param {object} [state] - Avatar document (without files)
+ * @returns {boolean}
+ */
+function isDue(state) {
+  if (!state?.checkedAt) {
+    return true;
+  }
+
+  const age = Date.now() - new Date(state.checkedAt).getTime();
+  return age > (state.status === "cached" ? REFRESH_MS : RETRY_MS);
+}
+
+/**
+ * Download a photo, checking its type and size
+ * @param {string} url - Photo URL
+ * @returns {Promise<{contentType: string, data: Buffer}>}
+ */
+async function downloadAvatar(url) {
+  const response = await fetchPublic(url, {
+    accept: Object.keys(IMAGE_TYPES).join(", "),
+    userAgent: "Indiekit-Webmention/1.0 (avatar cache)",
+    maxBytes: MAX_AVATAR_BYTES,
+  });
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+
+  if (!response.contentType.startsWith("image/")) {
+    throw new Error(`Not an image (${response.contentType || "no content type"})`);
+  }
+
+  if (response.tooLarge || response.truncated) {
+    throw new Error(`Avatar larger than ${MAX_AVATAR_BYTES} bytes`);
+  }
+
+  // Trust the bytes, not the header
+  const type = sniffImageType(response.body);
+  if (!type) {
+    throw new Error(`Unsupported image (${response.contentType})`);
+  }
+
+  return { contentType: type, data: response.body };
+}
+
+/**
+ * Work out an image's type from its first bytes
+ * @param {Buffer} data - Image
+ * @returns {string|null} Content type, if one we accept
+ */
+function sniffImageType(data) {
+  const ascii = (start, end) => data.subarray(start, end).toString("latin1");
+
+  if (data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff) {
+    return "image/jpeg";
+  }
+
+  if (ascii(0, 8) === "\x89PNG\r\n\x1A\n") {
+    return "image/png";
+  }
+
+  if (["GIF87a", "GIF89a"].includes(ascii(0, 6))) {
+    return "image/gif";
+  }
+
+  if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "WEBP") {
+    return "image/webp";
+  }
+
+  if (ascii(4, 8) === "ftyp" && ["avif", "avis"].includes(ascii(8, 12))) {
+    return "image/avif";
+  }
+
+  return null;
+}
+
+/**
+ * Resize an image to each of `AVATAR_SIZES` as square WebP, or keep the
+ * original if sharp isn't installed
+ * @param {object} image - Downloaded image
+ * @param {string} image.contentType - Image type
+ * @param {Buffer} image.data - Image
+ * @returns {Promise<object>} From size (or `original`) to
+ *   `{ contentType, data }`
+ */
+async function resizeAvatar(image) {
+  const sharp = await loadSharp();
+
+  if (!sharp) {
+    return { original: image };
+  }
+
+  const files = {};
+  for (const size of AVATAR_SIZES) {
+    files[size] = {
+      contentType: "image/webp",
+      data: await sharp(image.data)
+        .rotate()
+        .resize(size, size, { fit: "cover" })
+        .webp({ quality: 80 })
+        .toBuffer(),
+    };
+  }
+
+  return files;
+}
+
+/**
+ * Load sharp, which is only needed to resize avatars
+ * @returns {Promise<Function|null>} sharp, or null if it isn't installed
+ */
+function loadSharp() {
+  sharpLoader ??= import("sharp").then(
+    (sharp) => sharp.default || sharp,
+    () => {
+      console.log(
+        "[Webmentions] sharp isn't installed, avatars are kept at their original size (npm install sharp)",
+      );
+      return null;
+    },
+  );
+
+  return sharpLoader;
+}
+
+/**
+ * Store an avatar's files on disk, or inline for MongoDB
+ * @param {string} hash - Avatar hash
+ * @param {object} images - From `resizeAvatar()`
+ * @param {string} [directory] - `avatarDirectory`
+ * @returns {Promise<object>} `files` for `saveAvatar()`
+ */
+async function storeFiles(hash, images, directory) {
+  const files = {};
+
+  if (directory) {
+    await mkdir(directory, { recursive: true });
+  }
+
+  for (const [key, image] of Object.entries(images)) {
+    const file = { contentType: image.contentType, bytes: image.data.length };
+
+    if (directory) {
+      file.file = `${hash}-${key}.${IMAGE_TYPES[image.contentType]}`;
+      await writeFile(path.join(directory, file.file), image.data);
+    } else {
+      file.data = image.data;
+    }
+
+    files[key] = file;
+  }
+
+  return files;
+}
+
+/**
+ * Pause between avatar downloads
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
@@ -0,0 +1,365 @@
+/**
+ * Blocklist import and shared blocklist subscriptions
+ *
+ * Imported entries become ordinary (local) blocklist entries. Entries from
+ * a subscription are tagged with `source: <url>`, refreshed on a schedule
+ * and removed again when the subscription is cancelled, restoring the
+ * mentions they hid.
+ */
+
+import { readFile, realpath, stat } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import {
+  ensureIndexes,
+  hideByBlockEntry,
+  unhideByBlockEntry,
+} from "./storage/webmentions.js";
+import {
+  ensureBlocklistIndexes,
+  blockEntry,
+  getBlocklist,
+  getBlocklistMatcher,
+  removeBlockEntries,
+} from "./storage/blocklist.js";
+import {
+  ensureSubscriptionIndexes,
+  addSubscription,
+  getSubscription,
+  getSubscriptions,
+  removeSubscription,
+  updateSubscription,
+} from "./storage/subscriptions.js";
+import { parseBlocklistText } from "./blocklist.js";
+import { fetchPublic } from "./source.js";
+
+const DAY = 86_400_000;
+const MAX_LIST_BYTES = 10_000_000; // 10 MB
+
+// Lists maintained by others can only block domains: their regexes would
+// run against every mention and as MongoDB `$regex` queries
+const SUBSCRIBED_TYPES = ["domain", "wildcard"];
+
+let refreshInterval = null;
+
+/**
+ * Import a blocklist file into the local blocklist
+ * @param {object} db - MongoDB database instance
+ * @param {string} text - Blocklist file contents (JSON, CSV or plain text)
+ * @param {object} [options] - Import options
+ * @param {string} [options.mode] - "merge" adds new entries; "replace" also
+ *   removes local entries missing from the file (privacy blocks are kept)
+ * @returns {Promise<object>} Counts of added, hidden, removed, unhidden and
+ *   invalid entries
+ */
+export async function importBlocklist(db, text, options = {}) {
+  const collections = await getCollections(db);
+  const { entries, invalid } = parseBlocklistText(text);
+
+  let removed = { removed: 0, unhidden: 0 };
+  if (options.mode === "replace") {
+    const listed = new Set(entries.map((entry) => entry.domain));
+    const local = await getBlocklist(collections.blocklist, { source: null });
+    const stale = local.filter(
+      (entry) => entry.reason !== "privacy" && !listed.has(entry.domain),
+    );
+    removed = await removeEntries(collections, stale);
+  }
+
+  const added = await addEntries(collections, entries, { reason: "manual" });
+
+  return { ...added, ...removed, invalid };
+}
+
+/**
+ * Subscribe to a shared blocklist and fetch it straight away
+ * @param {object} db - MongoDB database instance
+ * @param {object} params - Subscription params
+ * @param {string} params.url - http(s) URL, or a file in
+ *   `blocklistDirectory`
+ * @param {string} [params.name] - Display name
+ * @param {object} [options] - Plugin options
+ * @returns {Promise<object>} Result of the first refresh
+ */
+export async function subscribeBlocklist(db, { url, name }, options = {}) {
+  // Refuse lists that could never be read before storing them
+  if (!isHttpUrl(url)) {
+    await resolveListPath(url, options.blocklistDirectory);
+  }
+
+  const collections = await getCollections(db);
+
+  await addSubscription(collections.subscriptions, url, name);
+  const subscription = await getSubscription(collections.subscriptions, url);
+
+  return refreshSubscription(collections, subscription, options);
+}
+
+/**
+ * Cancel a subscription, removing its entries and restoring the mentions
+ * they hid
+ * @param {object} db - MongoDB database instance
+ * @param {string} url - Subscription URL or file path
+ * @returns {Promise<{removed: number, unhidden: number}>}
+ */
+export async function unsubscribeBlocklist(db, url) {
+  const collections = await getCollections(db);
+
+  const entries = await getBlocklist(collections.blocklist, { source: url });
+  const result = await removeEntries(collections, entries);
+  await removeSubscription(collections.subscriptions, url);
+
+  return result;
+}
+
+/**
+ * Re-fetch one or all subscribed blocklists
+ * @param {object} dbOrIndiekit - Database or Indiekit instance
+ * @param {object} options - Plugin options
+ * @param {string} [url] - Only refresh this subscription
+ * @returns {Promise<Array<object>>} Result per subscription
+ */
+export async function refreshSubscriptions(dbOrIndiekit, options, url) {
+  const db = dbOrIndiekit.database || dbOrIndiekit;
+  if (!db || typeof db.collection !== "function") {
+    return [];
+  }
+
+  const collections = await getCollections(db);
+  const subscriptions = await getSubscriptions(collections.subscriptions);
+  const results = [];
+
+  for (const subscription of subscriptions) {
+    if (!url || subscription.url === url) {
+      results.push(await refreshSubscription(collections, subscription, options));
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Start scheduled refreshing of subscribed blocklists
+ * @param {object} Indiekit - Indiekit instance
+ * @param {object} options - Plugin options
+ */
+export function startSubscriptions(Indiekit, options) {
+  const intervalMs = options.blocklistRefreshInterval || DAY;
+
+  refreshInterval = setInterval(() => {
+    refreshSubscriptions(Indiekit, options).catch((err) => {
+      console.error("[Webmentions] Blocklist refresh error:", err.message);
+    });
+  }, intervalMs);
+}
+
+/**
+ * Stop scheduled refreshing of subscribed blocklists
+ */
+export function stopSubscriptions() {
+  if (refreshInterval) {
+    clearInterval(refreshInterval);
+    refreshInterval = null;
+  }
+}
+
+/**
+ * Fetch a subscribed blocklist and bring its entries up to date
+ * @param {object} collections - Collections (wm, blocklist, subscriptions)
+ * @param {object} subscription - Subscription document
+ * @param {object} options - Plugin options
+ * @returns {Promise<object>} Counts, or `error`
+ */
+async function refreshSubscription(collections, subscription, options) {
+  const { url } = subscription;
+
+  try {
+    const { entries, invalid } = parseBlocklistText(
+      await readList(url, options.blocklistDirectory),
+      { types: SUBSCRIBED_TYPES },
+    );
+
+    const listed = new Set(entries.map((entry) => entry.domain));
+    const current = await getBlocklist(collections.blocklist, { source: url });
+    const stale = current.filter((entry) => !listed.has(entry.domain));
+
+    const removed = await removeEntries(collections, stale);
+    const added = await addEntries(collections, entries, {
+      reason: "subscription",
+      source: url,
+    });
+
+    await updateSubscription(collections.subscriptions, url, {
+      refreshedAt: new Date().toISOString(),
+      entryCount: entries.length,
+      invalid,
+      lastError: null,
+    });
+
+    console.log(
+      `[Webmentions] Blocklist ${url} refreshed: ${added.added} added, ${removed.removed} removed`,
+    );
+
+    return { url, ...added, ...removed, invalid };
+  } catch (error) {
+    console.error(`[Webmentions] Blocklist ${url} refresh failed:`, error.message);
+    await updateSubscription(collections.subscriptions, url, {
+      lastError: error.message,
+    });
+    return { url, error: error.message };
+  }
+}
+
+/**
+ * Add entries that aren't already on the blocklist, hiding the stored
+ * mentions each one matches
+ * @param {object} collections - Collections (wm, blocklist)
+ * @param {Array<object>} entries - Entries from `parseBlocklistText()`
+ * @param {object} params - Entry params
+ * @param {string} params.reason - Reason, unless the entry has its own
+ * @param {string} [params.source] - Subscription URL
+ * @returns {Promise<{added: number, hidden: number}>}
+ */
+async function addEntries(collections, entries, { reason, source }) {
+  const existing = await getBlocklist(collections.blocklist);
+  const keys = new Set(existing.map((entry) => entry.domain));
+
+  let added = 0;
+  let hidden = 0;
+
+  for (const entry of entries) {
+    if (keys.has(entry.domain)) continue;
+
+    const count = await hideByBlockEntry(collections.wm, entry, "blocklist");
+    await blockEntry(
+      collections.blocklist,
+      { ...entry, source },
+      entry.reason || reason,
+      count,
+    );
+
+    keys.add(entry.domain);
+    added++;
+    hidden += count;
+  }
+
+  return { added, hidden };
+}
+
+/**
+ * Remove entries from the blocklist and restore the mentions they hid,
+ * unless a remaining entry still matches them
+ * @param {object} collections - Collections (wm, blocklist)
+ * @param {Array<object>} entries - Stored blocklist entries
+ * @returns {Promise<{removed: number, unhidden: number}>}
+ */
+async function removeEntries(collections, entries) {
+  if (entries.length === 0) {
+    return { removed: 0, unhidden: 0 };
+  }
+
+  const removed = await removeBlockEntries(
+    collections.blocklist,
+    entries.map((entry) => entry.domain),
+  );
+  const remaining = await getBlocklistMatcher(collections.blocklist);
+
+  // Each mention is checked against the remaining entries in full, so a
+  // keyword or author entry still hiding it keeps it hidden
+  let unhidden = 0;
+  for (const entry of entries) {
+    unhidden += await unhideByBlockEntry(collections.wm, entry, remaining);
+  }
+
+  return { removed, unhidden };
+}
+
+/**
+ * Read a blocklist from an http(s) URL, or a file in `blocklistDirectory`
+ * @param {string} url - URL, `file:` URL or file path
+ * @param {string} [directory] - `blocklistDirectory`
+ * @returns {Promise<string>} File contents
+ */
+async function readList(url, directory) {
+  if (!isHttpUrl(url)) {
+    const filePath = await resolveListPath(url, directory);
+    if ((await stat(filePath)).size > MAX_LIST_BYTES) {
+      throw new Error("Blocklist is too large");
+    }
+
+    return readFile(filePath, "utf8");
+  }
+
+  // Read no further than the size limit, rather than buffering it all
+  const response = await fetchPublic(url, {
+    accept: "application/json, text/csv, text/plain;q=0.9",
+    userAgent: "Indiekit-Webmention/1.0 (blocklist)",
+    maxBytes: MAX_LIST_BYTES,
+    timeout: 30_000,
+  });
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+
+  if (response.tooLarge || response.truncated) {
+    throw new Error("Blocklist is too large");
+  }
+
+  return response.body.toString("utf8");
+}
+
+/**
+ * Check whether a subscription URL is fetched over http(s)
+ * @param {string} url - Subscription URL or file path
+ * @returns {boolean}
+ */
+function isHttpUrl(url) {
+  return /^https?:\/\//i.test(url);
+}
+
+/**
+ * Resolve a local blocklist path, which must be inside
+ * `blocklistDirectory` (symlinks included)
+ * @param {string} url - `file:` URL, or a path (relative to the directory)
+ * @param {string} [directory] - `blocklistDirectory`
+ * @returns {Promise<string>} Real path of the file
+ */
+async function resolveListPath(url, directory) {
+  if (!directory) {
+    throw new Error(
+      "Blocklists must be http(s) URLs; set blocklistDirectory to subscribe to local files",
+    );
+  }
+
+  const root = await realpath(directory);
+  const filePath = await realpath(
+    path.resolve(root, url.startsWith("file:") ? fileURLToPath(url) : url),
+  );
+
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new Error("Blocklist file is outside blocklistDirectory");
+  }
+
+  return filePath;
+}
+
+/**
+ * Get the collections used by blocklist sharing, with indexes
+ * @param {object} db - MongoDB database instance
+ * @returns {Promise<object>} Collections (wm, blocklist, subscriptions)
+ */
+async function getCollections(db) {
+  const collections = {
+    wm: db.collection("webmentions"),
+    blocklist: db.collection("webmentionBlocklist"),
+    subscriptions: db.collection("webmentionBlocklistSubscriptions"),
+  };
+
+  await ensureIndexes(collections.wm);
+  await ensureBlocklistIndexes(collections.blocklist);
+  await ensureSubscriptionIndexes(collections.subscriptions);
+
+  return collections;
+}
@@ -0,0 +1,414 @@
+/**
+ * Blocklist entry matching
+ *
+ * Blocklist entries have a `type` and a `pattern`:
+ * - `domain` - exact source domain (entries without a type are domains)
+ * - `wildcard` - `*.example.com`, matching example.com and any subdomain
+ * - `regex` - case-insensitive regular expression tested against the
+ *   source URL and author URL
+ * - `author` - author URL prefix
+ * - `keyword` - case-insensitive text in the content or name
+ *
+ * The same entry is matched against incoming JF2 entries during sync and
+ * turned into a MongoDB query when a block is applied to stored mentions.
+ */
+
+import { csvField, escapeRegex, extractDomain } from "./utils.js";
+
+export const BLOCK_TYPES = ["domain", "wildcard", "regex", "author", "keyword"];
+
+/**
+ * Validate and normalise a blocklist pattern
+ * @param {string} type - Entry type
+ * @param {string} pattern - Pattern as entered
+ * @returns {{type: string, pattern: string, domain: string}} Normalised
+ *   entry; `domain` is the unique blocklist key
+ * @throws {Error} If the pattern is invalid for the type
+ */
+export function parseBlockEntry(type = "domain", pattern = "") {
+  let value = String(pattern).trim();
+
+  if (!BLOCK_TYPES.includes(type)) {
+    throw new Error(`Unknown blocklist type: ${type}`);
+  }
+
+  if (!value) {
+    throw new Error("Blocklist pattern is required");
+  }
+
+  switch (type) {
+    case "domain": {
+      // Accept a pasted URL as well as a bare hostname
+      value = (extractDomain(value) || value).toLowerCase();
+      if (!/^[^\s/:@*]+$/.test(value)) {
+        throw new Error(`Invalid domain: ${value}`);
+      }
+      return { type, pattern: value, domain: value };
+    }
+
+    case "wildcard": {
+      value = value.toLowerCase();
+      if (!value.startsWith("*.") || value.length < 3) {
+        throw new Error("Wildcard patterns must look like *.example.com");
+      }
+      return { type, pattern: value, domain: value };
+    }
+
+    case "regex": {
+      // Throws a SyntaxError describing the problem if invalid
+      new RegExp(value, "i");
+      break;
+    }
+
+    case "author": {
+      try {
+        new URL(value);
+      } catch {
+        throw new Error("Author patterns must be a URL prefix");
+      }
+      break;
+    }
+
+    case "keyword": {
+      value = value.toLowerCase();
+      break;
+    }
+  }
+
+  return { type, pattern: value, domain: `${type}:${value}` };
+}
+
+/**
+ * Get the type of a stored blocklist entry
+ * @param {object} entry - Blocklist entry
+ * @returns {string}
+ */
+export function getBlockType(entry) {
+  return entry.type || "domain";
+}
+
+/**
+ * Get the pattern of a stored blocklist entry
+ * @param {object} entry - Blocklist entry
+ * @returns {string}
+ */
+export function getBlockPattern(entry) {
+  return entry.pattern || entry.domain;
+}
+
+/**
+ * Get the fields a blocklist entry is matched against, from a JF2 entry
+ * @param {object} item - JF2 entry
+ * @returns {object} Match subject
+ */
+export function subjectFromItem(item) {
+  return {
+    domain: extractDomain(item.author?.url || item.url || ""),
+    url: item.url || "",
+    authorUrl: item.author?.url || "",
+    text: [item.content?.text, item.content?.html, item.name]
+      .filter(Boolean)
+      .join(" ")
+      .toLowerCase(),
+  };
+}
+
+/**
+ * Get the fields a blocklist entry is matched against, from a stored document
+ * @param {object} doc - Webmention document
+ * @returns {object} Match subject
+ */
+export function subjectFromDocument(doc) {
+  return {
+    domain: doc.sourceDomain,
+    url: doc.sourceUrl || "",
+    authorUrl: doc.authorUrl || "",
+    text: [doc.contentText, doc.contentHtml, doc.name]
+      .filter(Boolean)
+      .join(" ")
+      .toLowerCase(),
+  };
+}
+
+/**
+ * Compile blocklist entries into a matcher
+ * @param {Array<object>} entries - Blocklist entries
+ * @returns {{size: number, match: Function}} `match(subject)` returns the
+ *   first matching entry or null
+ */
+export function compileBlocklist(entries) {
+  const domains = new Map();
+  const others = [];
+
+  for (const entry of entries) {
+    const type = getBlockType(entry);
+    const pattern = getBlockPattern(entry);
+
+    if (type === "domain") {
+      domains.set(pattern, entry);
+      continue;
+    }
+
+    let test;
+    switch (type) {
+      case "wildcard": {
+        const base = pattern.slice(2);
+        test = (subject) =>
+          Boolean(subject.domain) &&
+          (subject.domain === base || subject.domain.endsWith(`.${base}`));
+        break;
+      }
+      case "regex": {
+        let regex;
+        try {
+          regex = new RegExp(pattern, "i");
+        } catch {
+          continue;
+        }
+        test = (subject) => regex.test(subject.url) || regex.test(subject.authorUrl);
+        break;
+      }
+      case "author": {
+        test = (subject) => Boolean(subject.authorUrl) && subject.authorUrl.startsWith(pattern);
+        break;
+      }
+      case "keyword": {
+        test = (subject) => subject.text.includes(pattern);
+        break;
+      }
+      default: {
+        continue;
+      }
+    }
+
+    others.push({ entry, test });
+  }
+
+  return {
+    size: entries.length,
+
+    /**
+     * Find the first blocklist entry matching a subject
+     * @param {object} subject - From `subjectFromItem()` or `subjectFromDocument()`
+     * @returns {object|null} Matching entry
+     */
+    match(subject) {
+      if (subject.domain && domains.has(subject.domain)) {
+        return domains.get(subject.domain);
+      }
+
+      return others.find(({ test }) => test(subject))?.entry || null;
+    },
+  };
+}
+
+/**
+ * Build a MongoDB query matching stored mentions for a blocklist entry
+ * @param {object} entry - Blocklist entry
+ * @returns {object} MongoDB query
+ */
+export function blockEntryQuery(entry) {
+  const type = getBlockType(entry);
+  const pattern = getBlockPattern(entry);
+
+  switch (type) {
+    case "wildcard": {
+      return {
+        sourceDomain: { $regex: `(^|\\.)${escapeRegex(pattern.slice(2))}$` },
+      };
+    }
+    case "regex": {
+      return {
+        $or: [
+          { sourceUrl: { $regex: pattern, $options: "i" } },
+          { authorUrl: { $regex: pattern, $options: "i" } },
+        ],
+      };
+    }
+    case "author": {
+      return { authorUrl: { $regex: `^${escapeRegex(pattern)}` } };
+    }
+    case "keyword": {
+      const regex = { $regex: escapeRegex(pattern), $options: "i" };
+      return {
+        $or: [{ contentText: regex }, { contentHtml: regex }, { name: regex }],
+      };
+    }
+    default: {
+      return { sourceDomain: pattern };
+    }
+  }
+}
+
+/**
+ * Parse a shared or exported blocklist.
+ * Accepts our JSON export (or any array of strings or entry objects), CSV
+ * with a `domain`/`pattern` header (including Mastodon's `#domain` domain
+ * block exports) and plain text with one domain per line.
+ * Entries that are not valid for their type are counted, not thrown.
+ * @param {string} text - Blocklist file contents
+ * @param {object} [options] - Parse options
+ * @param {Array<string>} [options.types] - Entry types to accept; others
+ *   are counted as invalid (default: all of `BLOCK_TYPES`)
+ * @returns {{entries: Array<object>, invalid: number}} Entries from
+ *   `parseBlockEntry()`, with `reason` if the file gave one
+ */
+export function parseBlocklistText(text, options = {}) {
+  const types = options.types || BLOCK_TYPES;
+  const trimmed = String(text).trim();
+  const rows =
+    trimmed.startsWith("{") || trimmed.startsWith("[")
+      ? rowsFromJson(JSON.parse(trimmed))
+      : rowsFromCsv(trimmed);
+
+  const entries = new Map();
+  let invalid = 0;
+
+  for (const row of rows) {
+    const pattern = String(row.pattern ?? "").trim();
+    const type = row.type || (pattern.startsWith("*.") ? "wildcard" : "domain");
+
+    if (!types.includes(type)) {
+      invalid++;
+      continue;
+    }
+
+    try {
+      const entry = parseBlockEntry(type, pattern);
+      if (row.reason) {
+        entry.reason = row.reason;
+      }
+      entries.set(entry.domain, entry);
+    } catch {
+      invalid++;
+    }
+  }
+
+  return { entries: [...entries.values()], invalid };
+}
+
+/**
+ * Serialise blocklist entries for export
+ * @param {Array<object>} entries - Blocklist entries
+ * @param {string} format - "json" or "csv"
+ * @returns {string}
+ */
+export function serialiseBlocklist(entries, format = "json") {
+  const rows = entries.map((entry) => ({
+    type: getBlockType(entry),
+    pattern: getBlockPattern(entry),
+    reason: entry.reason || null,
+    blockedAt: entry.blockedAt || null,
+  }));
+
+  if (format === "csv") {
+    const lines = rows.map((row) =>
+      [row.type, row.pattern, row.reason, row.blockedAt].map(csvField).join(","),
+    );
+    return ["type,pattern,reason,blocked_at", ...lines].join("\n") + "\n";
+  }
+
+  return JSON.stringify(
+    { exportedAt: new Date().toISOString(), entries: rows },
+    null,
+    2,
+  );
+}
+
+/**
+ * Get blocklist rows from parsed JSON
+ * @param {object|Array} data - Parsed JSON
+ * @returns {Array<object>} Rows with type, pattern and reason
+ */
+function rowsFromJson(data) {
+  const list = Array.isArray(data) ? data : data.entries || [];
+
+  return list.map((item) =>
+    typeof item === "string"
+      ? { pattern: item }
+      : {
+          type: item.type,
+          pattern: item.pattern ?? item.domain,
+          reason: item.reason,
+        },
+  );
+}
+
+/**
+ * Get blocklist rows from CSV or plain text
+ * @param {string} text - File contents
+ * @returns {Array<object>} Rows with type, pattern and reason
+ */
+function rowsFromCsv(text) {
+  const lines = text.split(/\r?\n/).filter((line) => line.trim());
+  if (lines.length === 0) {
+    return [];
+  }
+
+  // Header columns may be prefixed with "#" (Mastodon exports)
+  const header = parseCsvLine(lines[0]).map((column) =>
+    column.trim().replace(/^#/, "").toLowerCase(),
+  );
+  const patternColumn = header.includes("pattern")
+    ? header.indexOf("pattern")
+    : header.indexOf("domain");
+
+  if (patternColumn === -1) {
+    return lines
+      .map((line) => line.trim())
+      .filter((line) => !line.startsWith("#"))
+      .map((line) => ({ pattern: parseCsvLine(line)[0] }));
+  }
+
+  const typeColumn = header.indexOf("type");
+  const severityColumn = header.indexOf("severity");
+  const reasonColumn = header.includes("reason")
+    ? header.indexOf("reason")
+    : header.indexOf("public_comment");
+
+  return lines
+    .slice(1)
+    .map((line) => parseCsvLine(line))
+    .filter((fields) => fields[severityColumn] !== "noop")
+    .map((fields) => ({
+      type: fields[typeColumn],
+      pattern: fields[patternColumn],
+      reason: fields[reasonColumn] || undefined,
+    }));
+}
+
+/**
+ * Split a CSV line into fields, honouring double-quoted fields
+ * @param {string} line - CSV line
+ * @returns {Array<string>}
+ */
+function parseCsvLine(line) {
+  const fields = [];
+  let field = "";
+  let quoted = false;
+
+  for (let index = 0; index < line.length; index++) {
+    const char = line[index];
+
+    if (quoted) {
+      if (char === '"' && line[index + 1] === '"') {
+        field += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      fields.push(field);
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  fields.push(field);
+  return fields;
+}
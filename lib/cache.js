@@ -0,0 +1,120 @@
+/**
+ * In-process cache for public API responses
+ *
+ * Responses are cached by their normalised query until a write to one of
+ * the targets they cover drops them. Responses not limited to a list of
+ * targets (a domain, a target prefix or every mention) are dropped by any
+ * write. Each entry keeps the ETag and Last-Modified it was served with, so
+ * conditional requests can be answered without touching MongoDB.
+ */
+
+import { createHash } from "node:crypto";
+
+const cache = new Map();
+
+let maxEntries = 500;
+let maxAge = 3_600_000; // 1 hour
+
+/**
+ * Configure the response cache
+ * @param {object} options - Plugin options
+ * @param {number} [options.apiCacheSize] - Maximum entries (0 disables)
+ * @param {number} [options.apiCacheMaxAge] - Maximum entry age (ms), so
+ *   writes from other processes show up eventually
+ */
+export function configureCache(options = {}) {
+  maxEntries = options.apiCacheSize ?? maxEntries;
+  maxAge = options.apiCacheMaxAge ?? maxAge;
+  clearCache();
+}
+
+/**
+ * Get a cached response
+ * @param {string} key - Normalised query
+ * @returns {object|null} Entry with `body`, `etag` and `lastModified`
+ */
+export function getCachedResponse(key) {
+  const entry = cache.get(key);
+  if (!entry) {
+    return null;
+  }
+
+  if (Date.now() - entry.createdAt > maxAge) {
+    cache.delete(key);
+    return null;
+  }
+
+  // Move to the end, so eviction drops the least recently used entry
+  cache.delete(key);
+  cache.set(key, entry);
+  return entry;
+}
+
+/**
+ * Cache a response
+ * @param {string} key - Normalised query
+ * @param {string} body - Serialised response body
+ * @param {Array<string>|null} targets - Targets the response covers, or
+ *   null if it may include any target
+ * @returns {object} Entry with `body`, `etag` and `lastModified`
+ */
+export function setCachedResponse(key, body, targets) {
+  const hash = createHash("sha1").update(body).digest("base64url");
+  const entry = {
+    body,
+    etag: `W/"${hash}"`,
+    lastModified: new Date().toUTCString(),
+    targets: targets ? new Set(targets.map(normaliseTarget)) : null,
+    createdAt: Date.now(),
+  };
+
+  if (maxEntries > 0) {
+    cache.set(key, entry);
+    while (cache.size > maxEntries) {
+      cache.delete(cache.keys().next().value);
+    }
+  }
+
+  return entry;
+}
+
+/**
+ * Drop cached responses that may include any of the given targets
+ * @param {Array<string>} targets - Target URLs that changed
+ */
+export function invalidateTargets(targets) {
+  const changed = targets.filter(Boolean).map(normaliseTarget);
+  if (changed.length === 0) {
+    return;
+  }
+
+  for (const [key, entry] of cache) {
+    if (!entry.targets || changed.some((target) => entry.targets.has(target))) {
+      cache.delete(key);
+    }
+  }
+}
+
+/**
+ * Drop every cached response
+ */
+export function clearCache() {
+  cache.clear();
+}
+
+/**
+ * Whether any responses are cached
+ * @returns {boolean}
+ */
+export function hasCachedResponses() {
+  return cache.size > 0;
+}
+
+/**
+ * Normalise a target URL, matching with and without trailing slash
+ * @param {string} url - Target URL
+ * @returns {string}
+ */
+function normaliseTarget(url) {
+  return url.replace(/\/$/, "");
+}
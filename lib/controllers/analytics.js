@@ -0,0 +1,297 @@
+/**
+ * Analytics controller - mentions over time, top posts, sources and authors
+ */
+
+import {
+  getDailyCounts,
+  getTopTargets,
+  getTopSources,
+  getTopAuthors,
+  SPAM_HIDDEN_REASONS,
+} from "../storage/analytics.js";
+import { MENTION_PROPERTIES, csvField, getMentionType } from "../utils.js";
+
+const DAY = 86_400_000;
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 3660; // about ten years
+const UNITS = ["day", "week"];
+const PRESETS = [7, 30, 90, 365];
+const CHARTS = ["timeline", "hidden", "posts", "sources", "authors"];
+
+export const analyticsController = {
+  /**
+   * GET /analytics - Charts and top lists for a date range
+   * Query: from, to (YYYY-MM-DD, inclusive), unit=day|week
+   */
+  async list(request, response) {
+    const { application } = request.app.locals;
+
+    try {
+      const { range, error } = parseRange(request.query);
+      const db = application.getWebmentionDb();
+      const data = await getAnalytics(db.collection("webmentions"), range);
+
+      const rangeQuery = `from=${range.from}&to=${range.to}&unit=${range.unit}`;
+      const today = new Date().toISOString().slice(0, 10);
+      const presets = PRESETS.map((days) => ({
+        days,
+        query: `from=${addDays(today, 1 - days)}&to=${today}&unit=${days > 90 ? "week" : "day"}`,
+      }));
+
+      response.render("webmentions-analytics", {
+        title: response.locals.__("webmention-io.analytics.title"),
+        ...data,
+        range,
+        rangeQuery,
+        units: UNITS,
+        presets,
+        properties: MENTION_PROPERTIES,
+        rangeError: error,
+        wmEndpoint: application.webmentionEndpoint,
+      });
+    } catch (error) {
+      console.error("[Webmentions] Analytics error:", error);
+      response.status(500).render("error", {
+        title: "Error",
+        message: "Failed to load analytics",
+        error: error.message,
+      });
+    }
+  },
+
+  /**
+   * GET /analytics/export - One chart's data as CSV
+   * Query: chart (timeline, hidden, posts, sources or authors), from, to, unit
+   */
+  async exportCsv(request, response) {
+    const { application } = request.app.locals;
+    const chart = request.query.chart;
+
+    if (!CHARTS.includes(chart)) {
+      return response.status(400).type("text").send("Unknown chart");
+    }
+
+    try {
+      const { range } = parseRange(request.query);
+      const db = application.getWebmentionDb();
+      const data = await getAnalytics(db.collection("webmentions"), range);
+      const { header, rows } = getCsvRows(chart, data);
+
+      const csv = [header, ...rows]
+        .map((row) => row.map(csvField).join(","))
+        .join("\n");
+
+      response
+        .attachment(`webmentions-${chart}-${range.from}-${range.to}.csv`)
+        .type("text/csv")
+        .send(csv + "\n");
+    } catch (error) {
+      console.error("[Webmentions] Analytics export error:", error);
+      response.redirect(application.webmentionEndpoint + "/analytics?error=export-failed");
+    }
+  },
+};
+
+/**
+ * Parse the date range and unit from the query
+ * Invalid or missing dates fall back to the last 30 days.
+ * @param {object} query - Express request query
+ * @returns {{range: object, error: string|null}} Range with `from`/`to`
+ *   (YYYY-MM-DD), `since`/`until` (ISO, `until` exclusive) and `unit`
+ */
+function parseRange(query) {
+  const unit = UNITS.includes(query.unit) ? query.unit : "day";
+  const today = new Date().toISOString().slice(0, 10);
+  let error = null;
+
+  let to = parseDay(query.to) || today;
+  let from = parseDay(query.from) || addDays(to, 1 - DEFAULT_DAYS);
+
+  if ((query.from && !parseDay(query.from)) || (query.to && !parseDay(query.to))) {
+    error = "invalid-date";
+  }
+
+  if (from > to) {
+    [from, to] = [to, from];
+  }
+
+  if ((Date.parse(to) - Date.parse(from)) / DAY > MAX_DAYS) {
+    from = addDays(to, -MAX_DAYS);
+    error = "range-too-long";
+  }
+
+  return {
+    range: {
+      from,
+      to,
+      unit,
+      since: `${from}T00:00:00.000Z`,
+      until: `${addDays(to, 1)}T00:00:00.000Z`,
+    },
+    error,
+  };
+}
+
+/**
+ * Run the analytics aggregations and shape the results for charts
+ * @param {object} collection - Webmentions collection
+ * @param {object} range - From `parseRange()`
+ * @returns {Promise<object>} `timeline` (counts by type plus hidden and
+ *   spam per period), `totals`, `posts`, `sources` and `authors`
+ */
+async function getAnalytics(collection, range) {
+  const [daily, posts, sources, authors] = await Promise.all([
+    getDailyCounts(collection, range),
+    getTopTargets(collection, range),
+    getTopSources(collection, range),
+    getTopAuthors(collection, range),
+  ]);
+
+  // Every period in the range, so quiet days still show up
+  const periods = new Map();
+  for (let day = range.from; day <= range.to; day = addDays(day, 1)) {
+    const key = getPeriod(day, range.unit);
+    if (!periods.has(key)) {
+      periods.set(key, {
+        period: key,
+        total: 0,
+        hidden: 0,
+        spam: 0,
+        types: Object.fromEntries(MENTION_PROPERTIES.map((property) => [property, 0])),
+      });
+    }
+  }
+
+  const totals = { total: 0, hidden: 0, spam: 0 };
+  for (const row of daily) {
+    const period = periods.get(getPeriod(row.day, range.unit));
+    if (!period) continue;
+
+    const spam = row.hidden && SPAM_HIDDEN_REASONS.includes(row.hiddenReason);
+    period.total += row.count;
+    period.types[row.wmProperty] = (period.types[row.wmProperty] || 0) + row.count;
+    totals.total += row.count;
+
+    if (row.hidden) {
+      period.hidden += row.count;
+      totals.hidden += row.count;
+    }
+    if (spam) {
+      period.spam += row.count;
+      totals.spam += row.count;
+    }
+  }
+
+  const timeline = [...periods.values()];
+  const max = Math.max(1, ...timeline.map((period) => period.total));
+  for (const period of timeline) {
+    period.percent = Math.round((period.total / max) * 100);
+    period.hiddenRatio = ratio(period.hidden, period.total);
+    period.spamRatio = ratio(period.spam, period.total);
+  }
+
+  totals.hiddenRatio = ratio(totals.hidden, totals.total);
+  totals.spamRatio = ratio(totals.spam, totals.total);
+
+  return { timeline, totals, posts, sources, authors };
+}
+
+/**
+ * Get the header and rows for a chart's CSV
+ * @param {string} chart - Chart name
+ * @param {object} data - From `getAnalytics()`
+ * @returns {{header: Array<string>, rows: Array<Array>}}
+ */
+function getCsvRows(chart, data) {
+  switch (chart) {
+    case "timeline": {
+      return {
+        header: ["period", "total", ...MENTION_PROPERTIES.map(getMentionType)],
+        rows: data.timeline.map((period) => [
+          period.period,
+          period.total,
+          ...MENTION_PROPERTIES.map((property) => period.types[property]),
+        ]),
+      };
+    }
+    case "hidden": {
+      return {
+        header: ["period", "total", "hidden", "spam", "hidden_ratio", "spam_ratio"],
+        rows: data.timeline.map((period) => [
+          period.period,
+          period.total,
+          period.hidden,
+          period.spam,
+          period.hiddenRatio,
+          period.spamRatio,
+        ]),
+      };
+    }
+    case "posts": {
+      return {
+        header: ["target", "mentions"],
+        rows: data.posts.map((post) => [post.target, post.count]),
+      };
+    }
+    case "sources": {
+      return {
+        header: ["domain", "mentions", "hidden"],
+        rows: data.sources.map((source) => [source.domain, source.count, source.hidden]),
+      };
+    }
+    default: {
+      return {
+        header: ["url", "name", "mentions"],
+        rows: data.authors.map((author) => [author.url, author.name, author.count]),
+      };
+    }
+  }
+}
+
+/**
+ * Get the period a day falls in
+ * @param {string} day - YYYY-MM-DD
+ * @param {string} unit - "day" or "week"
+ * @returns {string} The day, or the Monday starting its week
+ */
+function getPeriod(day, unit) {
+  if (unit === "day") {
+    return day;
+  }
+
+  const weekday = new Date(day).getUTCDay(); // 0 = Sunday
+  return addDays(day, -((weekday + 6) % 7));
+}
+
+/**
+ * Parse a YYYY-MM-DD query value
+ * @param {*} value - Query value
+ * @returns {string|null}
+ */
+function parseDay(value) {
+  if (typeof value !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return null;
+  }
+
+  return Number.isNaN(Date.parse(value)) ? null : value;
+}
+
+/**
+ * Add days to a YYYY-MM-DD date
+ * @param {string} day - YYYY-MM-DD
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} YYYY-MM-DD
+ */
+function addDays(day, days) {
+  return new Date(Date.parse(day) + days * DAY).toISOString().slice(0, 10);
+}
+
+/**
+ * Share of a total, rounded to three decimals
+ * @param {number} part - Part
+ * @param {number} total - Total
+ * @returns {number}
+ */
+function ratio(part, total) {
+  return total > 0 ? Math.round((part / total) * 1000) / 1000 : 0;
+}
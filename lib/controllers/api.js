@@ -3,11 +3,50 @@
  * Drop-in replacement for webmention.io API and the proxy plugin
  */
 
-import { getWebmentions, documentToJf2 } from "../storage/webmentions.js";
+import {
+  getWebmentions,
+  getInteractionCounts,
+  documentToJf2,
+  encodeCursor,
+  decodeCursor,
+  getThreadMentions,
+  getSinceSequence,
+} from "../storage/webmentions.js";
+import { resolveAuthors } from "../storage/authors.js";
+import { proxyAvatars } from "../avatars.js";
+import { getCachedResponse, setCachedResponse } from "../cache.js";
+import { buildThreads, threadToJf2 } from "../threads.js";
+import { cleanHtml, getQueryList } from "../utils.js";
+
+const MAX_COUNT_TARGETS = 100;
+
+// webmention.io `count.json` type names
+const COUNT_TYPES = {
+  "in-reply-to": "reply",
+  "like-of": "like",
+  "repost-of": "repost",
+  "bookmark-of": "bookmark",
+  "mention-of": "mention",
+  rsvp: "rsvp",
+};
+
+// `sort-by` values; webmention.io calls received "created"
+const SORT_FIELDS = {
+  received: "received",
+  created: "received",
+  published: "published",
+};
+
+const SORT_DIRECTIONS = { down: -1, desc: -1, up: 1, asc: 1 };
 
 export const apiController = {
   /**
    * GET /api/mentions - Public JF2 webmentions API
+   * Pages with `page` or an `after`/`before` cursor from `paging`;
+   * `since`/`since_id` return only newer (or, for `since`, edited) mentions.
+   * `target[]`, `wm-property[]`, `domain` and `target-prefix` select
+   * mentions; `sort-by`/`sort-dir` order them. With `threaded=1`, returns
+   * the conversations on the targets instead, replies nested as `comment`
    */
   async getMentions(request, response) {
     try {
@@ -18,34 +57,450 @@ export const apiController = {
         return response.status(503).json({ error: "Database unavailable" });
       }
 
-      const collection = db.collection("webmentions");
-
-      const target = request.query.target || null;
-      const wmProperty = request.query["wm-property"] || null;
-      const perPage = Math.min(Number(request.query["per-page"]) || 50, 10000);
-      const page = Number(request.query.page) || 0;
+      const { options, targets, cursorSort, error } = parseMentionsQuery(
+        request.query,
+      );
+      if (error) {
+        return response.status(400).json({ error });
+      }
 
-      const { items } = await getWebmentions(collection, {
-        target,
-        wmProperty,
-        showHidden: false,
-        page,
-        perPage,
-      });
+      if (["1", "true"].includes(request.query.threaded)) {
+        return getThreaded(request, response, db, options.target);
+      }
 
-      const children = items.map(documentToJf2);
+      if (!(await placeSinceId(db, options))) {
+        return response.status(400).json({ error: "Unknown since_id" });
+      }
 
-      const cacheTtl = application.webmentionConfig?.cacheTtl || 60;
-      response.set("Cache-Control", `public, max-age=${cacheTtl}`);
+      await sendCached(
+        request,
+        response,
+        `mentions:${JSON.stringify(options)}`,
+        targets,
+        async () => {
+          const { items, total, hasNext, hasPrev } = await getWebmentions(
+            db.collection("webmentions"),
+            options,
+          );
+          const paging = cursorSort && items.length > 0;
 
-      response.json({
-        type: "feed",
-        name: "Webmentions",
-        children,
-      });
+          return JSON.stringify({
+            type: "feed",
+            name: "Webmentions",
+            children: await toJf2(request, db, items),
+            total,
+            paging: {
+              perPage: options.perPage,
+              next: hasNext && paging ? encodeCursor(items.at(-1)) : null,
+              prev: hasPrev && paging ? encodeCursor(items[0]) : null,
+            },
+          });
+        },
+      );
     } catch (error) {
       console.error("[Webmentions] API error:", error);
       response.status(500).json({ error: "Failed to fetch webmentions" });
     }
   },
+
+  /**
+   * GET /api/mentions.html - Embeddable HTML fragment with a facepile of
+   * likes and reposts and a list of replies, marked up as h-cite.
+   * Takes the same query parameters as /api/mentions
+   */
+  async getMentionsHtml(request, response) {
+    try {
+      const { application } = request.app.locals;
+      const db = application.getWebmentionDb();
+
+      if (!db) {
+        return response.status(503).type("text").send("Database unavailable");
+      }
+
+      const { options, targets, error } = parseMentionsQuery(request.query);
+      if (error) {
+        return response.status(400).type("text").send(error);
+      }
+
+      if (!(await placeSinceId(db, options))) {
+        return response.status(400).type("text").send("Unknown since_id");
+      }
+
+      const template =
+        application.webmentionConfig?.embedTemplate || "webmentions-embed";
+
+      await sendCached(
+        request,
+        response,
+        `mentions.html:${template}:${JSON.stringify(options)}`,
+        targets,
+        async () => {
+          const { items } = await getWebmentions(
+            db.collection("webmentions"),
+            options,
+          );
+          const mentions = await toJf2(request, db, items);
+          for (const item of mentions) {
+            if (item.content?.html) {
+              item.content.html = cleanHtml(item.content.html);
+            }
+          }
+          const byProperty = (...properties) =>
+            mentions.filter((item) => properties.includes(item["wm-property"]));
+
+          return renderView(response, template, {
+            target: options.target.length === 1 ? options.target[0] : null,
+            mentions,
+            likes: byProperty("like-of"),
+            reposts: byProperty("repost-of"),
+            replies: byProperty("in-reply-to", "mention-of"),
+          });
+        },
+        "html",
+      );
+    } catch (error) {
+      console.error("[Webmentions] Embed error:", error);
+      response.status(500).type("text").send("Failed to render webmentions");
+    }
+  },
+
+  /**
+   * GET /api/count - Interaction counts per target, in the shape of
+   * webmention.io's `count.json`
+   * Query: target=URL, or target[]=URL&target[]=URL for several at once
+   */
+  async getCount(request, response) {
+    try {
+      const { application } = request.app.locals;
+      const db = application.getWebmentionDb();
+
+      if (!db) {
+        return response.status(503).json({ error: "Database unavailable" });
+      }
+
+      const batch =
+        request.query["target[]"] !== undefined ||
+        Array.isArray(request.query.target);
+      const targets = getQueryList(request.query, "target");
+
+      if (targets.length === 0) {
+        return response.status(400).json({ error: "target is required" });
+      }
+
+      if (targets.length > MAX_COUNT_TARGETS) {
+        return response
+          .status(400)
+          .json({ error: `No more than ${MAX_COUNT_TARGETS} targets allowed` });
+      }
+
+      const key = `count:${JSON.stringify({ batch, targets: targets.sort() })}`;
+
+      await sendCached(request, response, key, targets, async () => {
+        const counts = await getInteractionCounts(
+          db.collection("webmentions"),
+          targets,
+        );
+
+        if (!batch) {
+          return JSON.stringify(formatCount(counts.get(targets[0])));
+        }
+
+        const result = {};
+        for (const [target, byProperty] of counts) {
+          result[target] = formatCount(byProperty);
+        }
+
+        return JSON.stringify({ targets: result });
+      });
+    } catch (error) {
+      console.error("[Webmentions] Count API error:", error);
+      response.status(500).json({ error: "Failed to count webmentions" });
+    }
+  },
 };
+
+/**
+ * Send the conversation threads on some targets
+ * Replies to our own replies can target any of our posts, so the cached
+ * response is dropped on every change.
+ * @param {object} request - Express request
+ * @param {object} response - Express response
+ * @param {object} db - MongoDB database
+ * @param {Array<string>} targets - Normalised target URLs
+ */
+async function getThreaded(request, response, db, targets) {
+  if (targets.length === 0) {
+    return response.status(400).json({ error: "threaded requires a target" });
+  }
+
+  await sendCached(
+    request,
+    response,
+    `mentions.threaded:${JSON.stringify(targets)}`,
+    null,
+    async () => {
+      const docs = await getThreadMentions(db.collection("webmentions"), targets, {
+        showHidden: false,
+      });
+      const threads = buildThreads(docs).flatMap((post) => post.threads);
+      const authors = await getAuthors(db, docs);
+
+      const children = await proxyPhotos(
+        request,
+        db,
+        threads.map((node) => threadToJf2(node, authors)),
+      );
+
+      return JSON.stringify({
+        type: "feed",
+        name: "Webmentions",
+        children,
+        total: docs.length,
+      });
+    },
+  );
+}
+
+/**
+ * Get the identities of the authors of some mentions
+ * @param {object} db - MongoDB database
+ * @param {Array<object>} docs - Mention documents
+ * @returns {Promise<Map>} From `resolveAuthors()`
+ */
+async function getAuthors(db, docs) {
+  return resolveAuthors(
+    db.collection("webmentionAuthors"),
+    docs.map((doc) => doc.authorKey),
+  );
+}
+
+/**
+ * Convert mentions to JF2, with merged and overridden author details
+ * @param {object} request - Express request
+ * @param {object} db - MongoDB database
+ * @param {Array<object>} docs - Mention documents
+ * @returns {Promise<Array<object>>}
+ */
+async function toJf2(request, db, docs) {
+  const authors = await getAuthors(db, docs);
+  return proxyPhotos(
+    request,
+    db,
+    docs.map((doc) => documentToJf2(doc, authors.get(doc.authorKey))),
+  );
+}
+
+/**
+ * With `avatarProxy`, point author photos at our cached copies
+ * @param {object} request - Express request
+ * @param {object} db - MongoDB database
+ * @param {Array<object>} items - JF2 items
+ * @returns {Promise<Array<object>>}
+ */
+async function proxyPhotos(request, db, items) {
+  const { application } = request.app.locals;
+  if (!application.webmentionConfig?.avatarProxy) {
+    return items;
+  }
+
+  // Never the request's Host header: responses are cached for every client
+  const origin = (application.url || "").replace(/\/$/, "");
+
+  return proxyAvatars(
+    db.collection("webmentionAvatars"),
+    items,
+    `${origin}${application.webmentionEndpoint}/avatars`,
+  );
+}
+
+/**
+ * Turn a `since_id` into the `seq` it leaves off at (`sinceSeq`)
+ * @param {object} db - MongoDB database
+ * @param {object} options - From `parseMentionsQuery()`, changed in place
+ * @returns {Promise<boolean>} false if the ID is unknown
+ */
+async function placeSinceId(db, options) {
+  if (!options.sinceId) {
+    return true;
+  }
+
+  options.sinceSeq = await getSinceSequence(
+    db.collection("webmentions"),
+    options.sinceId,
+  );
+  return options.sinceSeq !== null;
+}
+
+/**
+ * Normalise a target URL; mentions match with and without trailing slash
+ * @param {string} url - Target URL
+ * @returns {string}
+ */
+function normaliseTarget(url) {
+  return url.replace(/\/$/, "") || url;
+}
+
+/**
+ * Get a single string query parameter
+ * @param {*} value - Query value
+ * @returns {string|null}
+ */
+function getQueryString(value) {
+  return typeof value === "string" && value ? value : null;
+}
+
+/**
+ * Parse a date query parameter
+ * @param {*} value - Query value
+ * @returns {string|null|false} ISO date, null if not given, false if invalid
+ */
+function getQueryDate(value) {
+  if (!value) {
+    return null;
+  }
+
+  const date = new Date(String(value));
+  return Number.isNaN(date.getTime()) ? false : date.toISOString();
+}
+
+/**
+ * Parse and validate the query parameters shared by /api/mentions and
+ * /api/mentions.html
+ * @param {object} query - Express request query
+ * @returns {object} `options` for `getWebmentions()` (also the cache key),
+ *   the `targets` the response covers (null if it may include any target),
+ *   whether paging cursors apply (`cursorSort`) and any `error`
+ */
+function parseMentionsQuery(query) {
+  const targets = getQueryList(query, "target", normaliseTarget);
+  const wmProperties = getQueryList(query, "wm-property");
+  const domain = getQueryString(query.domain);
+  const targetPrefix = getQueryString(query["target-prefix"]);
+  const perPage = Math.min(Number(query["per-page"]) || 50, 10000);
+  const page = Number(query.page) || 0;
+
+  const after = query.after ? decodeCursor(query.after) : null;
+  const before = query.before ? decodeCursor(query.before) : null;
+  if ((query.after && !after) || (query.before && !before)) {
+    return { error: "Invalid cursor" };
+  }
+
+  const sortBy = SORT_FIELDS[query["sort-by"] || "received"];
+  const sortDir = SORT_DIRECTIONS[query["sort-dir"] || "down"];
+  if (!sortBy || !sortDir) {
+    return { error: "Invalid sort" };
+  }
+
+  // Cursors follow the order mentions were stored in, which is also the
+  // default order; it only differs from `wm-received` for late syncs
+  const cursorSort = sortBy === "received" && sortDir === -1;
+  if ((after || before) && !cursorSort) {
+    return { error: "Cursors require the default sort order" };
+  }
+
+  const since = getQueryDate(query.since);
+  if (since === false) {
+    return { error: "Invalid since date" };
+  }
+
+  const until = getQueryDate(query.until);
+  if (until === false) {
+    return { error: "Invalid until date" };
+  }
+
+  const sinceId = Number(query.since_id) || null;
+
+  // Responses for listed targets only are dropped when those change
+  const onlyTargets = targets.length > 0 && !targetPrefix && !domain;
+
+  return {
+    options: {
+      target: targets.sort(),
+      targetPrefix,
+      domain,
+      wmProperty: wmProperties.length > 0 ? wmProperties.sort() : null,
+      showHidden: false,
+      since,
+      until,
+      sinceId,
+      page,
+      perPage,
+      after,
+      before,
+      sortBy: cursorSort ? "stored" : sortBy,
+      sortDir,
+    },
+    targets: onlyTargets ? targets : null,
+    cursorSort,
+  };
+}
+
+/**
+ * Send a response from the response cache, building and caching it on a
+ * miss. Conditional requests matching the ETag or Last-Modified get a 304.
+ * @param {object} request - Express request
+ * @param {object} response - Express response
+ * @param {string} key - Normalised query
+ * @param {Array<string>|null} targets - Targets the response covers, or
+ *   null if it may include any target
+ * @param {Function} build - Returns the serialised response body
+ * @param {string} [type] - Content type
+ */
+async function sendCached(request, response, key, targets, build, type = "json") {
+  const { application } = request.app.locals;
+
+  const entry =
+    getCachedResponse(key) || setCachedResponse(key, await build(), targets);
+
+  setCacheHeaders(response, application);
+  response.set({ ETag: entry.etag, "Last-Modified": entry.lastModified });
+
+  if (request.fresh) {
+    return response.status(304).end();
+  }
+
+  response.type(type).send(entry.body);
+}
+
+/**
+ * Render a view to a string
+ * @param {object} response - Express response
+ * @param {string} view - View name
+ * @param {object} context - Template context
+ * @returns {Promise<string>} HTML
+ */
+function renderView(response, view, context) {
+  return new Promise((resolve, reject) => {
+    response.render(view, context, (error, html) =>
+      error ? reject(error) : resolve(html),
+    );
+  });
+}
+
+/**
+ * Set Cache-Control for public API responses
+ * @param {object} response - Express response
+ * @param {object} application - Indiekit application config
+ */
+function setCacheHeaders(response, application) {
+  const cacheTtl = application.webmentionConfig?.cacheTtl || 60;
+  response.set("Cache-Control", `public, max-age=${cacheTtl}`);
+}
+
+/**
+ * Format counts by `wm-property` as a webmention.io `count.json` object
+ * @param {object} byProperty - Counts keyed by `wm-property`
+ * @returns {{count: number, type: object}}
+ */
+function formatCount(byProperty) {
+  const type = {};
+  let count = 0;
+
+  for (const [property, value] of Object.entries(byProperty)) {
+    const name = COUNT_TYPES[property] || property;
+    type[name] = (type[name] || 0) + value;
+    count += value;
+  }
+
+  return { count, type };
+}
@@ -0,0 +1,268 @@
+/**
+ * Authors controller - identities, their profiles and interactions
+ */
+
+import { getWebmentionsByAuthor } from "../storage/webmentions.js";
+import {
+  getAuthorProfile,
+  getIdentities,
+  getIdentityProfiles,
+  summariseIdentity,
+  mergeIdentities,
+  splitProfile,
+  setIdentityOverrides,
+} from "../storage/authors.js";
+import {
+  getMentionType,
+  getMentionTitle,
+  getAuthorName,
+  ensureISOString,
+  normaliseProfileUrl,
+} from "../utils.js";
+
+export const authorsController = {
+  /**
+   * GET /authors - Identities, most mentioned first
+   * Query: q (profile URL or name), page
+   */
+  async list(request, response) {
+    const { application } = request.app.locals;
+
+    try {
+      const db = application.getWebmentionDb();
+      const page = Number(request.query.page) || 0;
+      const limit = 50;
+      const q = typeof request.query.q === "string" ? request.query.q.trim() : "";
+
+      const { items, total } = await getIdentities(
+        db.collection("webmentionAuthors"),
+        { q, page, perPage: limit },
+      );
+
+      const authors = items.map((item) => ({
+        ...summariseIdentity(item.identity, item.profiles),
+        mentions: item.mentions,
+        lastSeen: item.lastSeen,
+        profiles: item.profiles.length,
+      }));
+
+      const params = q ? `&q=${encodeURIComponent(q)}` : "";
+      const cursor = {};
+      if ((page + 1) * limit < total) {
+        cursor.next = { href: `?page=${page + 1}${params}` };
+      }
+      if (page > 0) {
+        cursor.previous = { href: `?page=${page - 1}${params}` };
+      }
+
+      response.render("webmentions-authors", {
+        title: response.locals.__("webmention-io.authors.title"),
+        authors,
+        total,
+        q,
+        cursor,
+        wmEndpoint: application.webmentionEndpoint,
+      });
+    } catch (error) {
+      console.error("[Webmentions] Authors error:", error);
+      response.status(500).render("error", {
+        title: "Error",
+        message: "Failed to load authors",
+        error: error.message,
+      });
+    }
+  },
+
+  /**
+   * GET /authors/profile?url=URL - One identity: its profiles, overrides
+   * and every interaction from it. Any of its profile URLs will do.
+   */
+  async show(request, response) {
+    const { application } = request.app.locals;
+    const endpoint = application.webmentionEndpoint;
+    const url = normaliseProfileUrl(request.query.url);
+
+    try {
+      const db = application.getWebmentionDb();
+      const collection = db.collection("webmentionAuthors");
+      const profile = url && (await getAuthorProfile(collection, url));
+
+      if (!profile) {
+        return response.redirect(`${endpoint}/authors?error=unknown-author`);
+      }
+
+      if (profile.identity !== url) {
+        return response.redirect(authorUrl(endpoint, profile.identity));
+      }
+
+      const profiles = await getIdentityProfiles(collection, url);
+      const page = Number(request.query.page) || 0;
+      const limit = 20;
+
+      const { items, total } = await getWebmentionsByAuthor(
+        db.collection("webmentions"),
+        profiles.map((item) => item.url),
+        { page, perPage: limit },
+      );
+
+      const mentions = items.map((item) => ({
+        id: item.wmId,
+        "wm-property": item.wmProperty,
+        "wm-target": item.wmTarget,
+        icon: getMentionType(item.wmProperty),
+        title: getMentionTitle({ name: item.name, "wm-property": item.wmProperty }),
+        description: item.contentHtml ? { html: item.contentHtml } : undefined,
+        published: ensureISOString(item.published) || ensureISOString(item.wmReceived),
+        url: item.sourceUrl,
+        user: {
+          avatar: item.authorPhoto ? { src: item.authorPhoto } : undefined,
+          name: item.authorName || getAuthorName({
+            author: { name: item.authorName, url: item.authorUrl },
+            url: item.sourceUrl,
+          }),
+        },
+        hidden: item.hidden,
+        hiddenReason: item.hiddenReason,
+      }));
+
+      const base = `?url=${encodeURIComponent(url)}`;
+      const cursor = {};
+      if ((page + 1) * limit < total) {
+        cursor.next = { href: `${base}&page=${page + 1}` };
+      }
+      if (page > 0) {
+        cursor.previous = { href: `${base}&page=${page - 1}` };
+      }
+
+      const main = profiles.find((item) => item.url === url);
+
+      response.render("webmentions-author", {
+        title: response.locals.__("webmention-io.authors.profile"),
+        author: summariseIdentity(url, profiles),
+        nameOverride: main.nameOverride || "",
+        photoOverride: main.photoOverride || "",
+        profiles,
+        mentions,
+        total,
+        cursor,
+        wmEndpoint: endpoint,
+      });
+    } catch (error) {
+      console.error("[Webmentions] Author error:", error);
+      response.status(500).render("error", {
+        title: "Error",
+        message: "Failed to load author",
+        error: error.message,
+      });
+    }
+  },
+
+  /**
+   * POST /authors/merge - Merge another identity into this one
+   * Body: identity, other (any profile URL of the identity to merge)
+   */
+  async merge(request, response) {
+    const { application } = request.app.locals;
+    const endpoint = application.webmentionEndpoint;
+    const identity = normaliseProfileUrl(request.body.identity);
+    const otherUrl = normaliseProfileUrl(request.body.other);
+
+    if (!identity) {
+      return response.redirect(`${endpoint}/authors?error=unknown-author`);
+    }
+
+    try {
+      const db = application.getWebmentionDb();
+      const collection = db.collection("webmentionAuthors");
+      const other = otherUrl && (await getAuthorProfile(collection, otherUrl));
+
+      if (!other) {
+        return response.redirect(`${authorUrl(endpoint, identity)}&error=unknown-author`);
+      }
+
+      const moved = await mergeIdentities(collection, identity, other.identity);
+      console.log(
+        `[Webmentions] Merged author ${other.url} into ${identity} (${moved} profiles)`,
+      );
+
+      response.redirect(`${authorUrl(endpoint, identity)}&merged=${moved}`);
+    } catch (error) {
+      console.error("[Webmentions] Author merge error:", error);
+      response.redirect(`${authorUrl(endpoint, identity)}&error=${encodeURIComponent(error.message)}`);
+    }
+  },
+
+  /**
+   * POST /authors/split - Split a profile out into an identity of its own
+   * Body: url (profile URL)
+   */
+  async split(request, response) {
+    const { application } = request.app.locals;
+    const endpoint = application.webmentionEndpoint;
+    const url = normaliseProfileUrl(request.body.url);
+
+    if (!url) {
+      return response.redirect(`${endpoint}/authors?error=unknown-author`);
+    }
+
+    try {
+      const db = application.getWebmentionDb();
+      const remaining = await splitProfile(db.collection("webmentionAuthors"), url);
+
+      if (!remaining) {
+        return response.redirect(`${authorUrl(endpoint, url)}&error=not-merged`);
+      }
+
+      console.log(`[Webmentions] Split author ${url} from ${remaining}`);
+      response.redirect(
+        `${authorUrl(endpoint, remaining)}&split=${encodeURIComponent(url)}`,
+      );
+    } catch (error) {
+      console.error("[Webmentions] Author split error:", error);
+      response.redirect(`${authorUrl(endpoint, url)}&error=${encodeURIComponent(error.message)}`);
+    }
+  },
+
+  /**
+   * POST /authors/override - Set the name and photo shown for an identity
+   * Body: identity, name, photo (empty to use the profiles' own)
+   */
+  async override(request, response) {
+    const { application } = request.app.locals;
+    const endpoint = application.webmentionEndpoint;
+    const identity = normaliseProfileUrl(request.body.identity);
+    const name = request.body.name?.trim();
+    const photo = request.body.photo?.trim();
+
+    if (!identity) {
+      return response.redirect(`${endpoint}/authors?error=unknown-author`);
+    }
+
+    if (photo && !/^https?:\/\//i.test(photo)) {
+      return response.redirect(`${authorUrl(endpoint, identity)}&error=invalid-photo`);
+    }
+
+    try {
+      const db = application.getWebmentionDb();
+      await setIdentityOverrides(db.collection("webmentionAuthors"), identity, {
+        name,
+        photo,
+      });
+
+      response.redirect(`${authorUrl(endpoint, identity)}&saved=1`);
+    } catch (error) {
+      console.error("[Webmentions] Author override error:", error);
+      response.redirect(`${authorUrl(endpoint, identity)}&error=${encodeURIComponent(error.message)}`);
+    }
+  },
+};
+
+/**
+ * Get the dashboard URL of an identity's page
+ * @param {string} endpoint - Plugin mount path
+ * @param {string} identity - Identity URL
+ * @returns {string}
+ */
+function authorUrl(endpoint, identity) {
+  return `${endpoint}/authors/profile?url=${encodeURIComponent(identity)}`;
+}
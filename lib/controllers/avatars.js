@@ -0,0 +1,54 @@
+/**
+ * Avatars controller - serves cached copies of author photos
+ */
+
+import { getAvatar } from "../storage/avatars.js";
+import { readAvatarFile, DEFAULT_AVATAR_SIZE } from "../avatars.js";
+
+export const avatarsController = {
+  /**
+   * GET /avatars/:hash - A cached author photo
+   * Query: size (pixels, default 96); the closest stored size is sent
+   */
+  async get(request, response) {
+    const { application } = request.app.locals;
+    const { hash } = request.params;
+
+    try {
+      const db = application.getWebmentionDb();
+
+      if (!db) {
+        return response.status(503).type("text").send("Database unavailable");
+      }
+
+      if (!/^[\da-f]{32}$/.test(hash)) {
+        return response.status(404).type("text").send("Not found");
+      }
+
+      const avatar = await getAvatar(db.collection("webmentionAvatars"), hash);
+      const size = Number(request.query.size) || DEFAULT_AVATAR_SIZE;
+      const file =
+        avatar &&
+        (await readAvatarFile(
+          avatar,
+          size,
+          application.webmentionConfig?.avatarDirectory,
+        ));
+
+      if (!file) {
+        return response.status(404).type("text").send("Not found");
+      }
+
+      response.set({
+        "Cache-Control": "public, max-age=86400",
+        "Content-Security-Policy": "default-src 'none'",
+        "X-Content-Type-Options": "nosniff",
+        "Last-Modified": new Date(avatar.fetchedAt).toUTCString(),
+      });
+      response.type(file.contentType).send(file.data);
+    } catch (error) {
+      console.error("[Webmentions] Avatar error:", error);
+      response.status(500).type("text").send("Failed to load avatar");
+    }
+  },
+};
@@ -2,8 +2,44 @@
  * Blocklist controller
  */
 
-import { getBlocklist, unblockDomain } from "../storage/blocklist.js";
-import { unhideByDomain } from "../storage/webmentions.js";
+import {
+  ensureBlocklistIndexes,
+  getBlocklist,
+  getBlocklistEntry,
+  blockEntry,
+  unblockDomain,
+} from "../storage/blocklist.js";
+import {
+  ensureTrustedIndexes,
+  getTrustedDomains,
+  trustDomain,
+  untrustDomain,
+} from "../storage/trusted.js";
+import {
+  approveByDomain,
+  countByBlockEntry,
+  hideByBlockEntry,
+  unhideByBlockEntry,
+} from "../storage/webmentions.js";
+import {
+  BLOCK_TYPES,
+  compileBlocklist,
+  getBlockType,
+  getBlockPattern,
+  parseBlockEntry,
+  serialiseBlocklist,
+} from "../blocklist.js";
+import {
+  ensureSubscriptionIndexes,
+  getSubscriptions,
+} from "../storage/subscriptions.js";
+import {
+  importBlocklist,
+  subscribeBlocklist,
+  unsubscribeBlocklist,
+  refreshSubscriptions,
+} from "../blocklist-sharing.js";
+import { dispatchWebhooks } from "../webhooks.js";
 import { ensureISOString } from "../utils.js";
 
 export const blocklistController = {
@@ -16,19 +52,62 @@ export const blocklistController = {
     try {
       const db = application.getWebmentionDb();
       let entries = [];
+      let trusted = [];
+      let subscriptions = [];
+      let preview = null;
 
       if (db) {
         const collection = db.collection("webmentionBlocklist");
-        const raw = await getBlocklist(collection);
+        // Subscribed entries are summarised per subscription instead
+        const raw = await getBlocklist(collection, { source: null });
         entries = raw.map((entry) => ({
           ...entry,
+          type: getBlockType(entry),
+          pattern: getBlockPattern(entry),
           blockedAt: ensureISOString(entry.blockedAt),
         }));
+
+        // Count stored mentions a pattern would match before it is saved
+        if (request.query.pattern) {
+          preview = {
+            type: request.query.type || "domain",
+            pattern: request.query.pattern,
+          };
+
+          try {
+            const entry = parseBlockEntry(preview.type, preview.pattern);
+            preview.count = await countByBlockEntry(
+              db.collection("webmentions"),
+              entry,
+            );
+          } catch (error) {
+            preview.error = error.message;
+          }
+        }
+
+        const subscriptionCollection = db.collection("webmentionBlocklistSubscriptions");
+        await ensureSubscriptionIndexes(subscriptionCollection);
+        const subscriptionsRaw = await getSubscriptions(subscriptionCollection);
+        subscriptions = subscriptionsRaw.map((subscription) => ({
+          ...subscription,
+          refreshedAt: ensureISOString(subscription.refreshedAt),
+        }));
+
+        const trustedRaw = await getTrustedDomains(db.collection("webmentionTrusted"));
+        trusted = trustedRaw.map((entry) => ({
+          ...entry,
+          trustedAt: ensureISOString(entry.trustedAt),
+        }));
       }
 
       response.render("webmentions-blocklist", {
         title: response.locals.__("webmention-io.blocklist.title"),
         entries,
+        trusted,
+        subscriptions,
+        preview,
+        blockTypes: BLOCK_TYPES,
+        preModeration: Boolean(application.webmentionConfig?.preModeration),
         wmEndpoint: application.webmentionEndpoint,
       });
     } catch (error) {
@@ -42,21 +121,188 @@ export const blocklistController = {
   },
 
   /**
-   * POST /blocklist/:domain/delete - Unblock a domain
+   * POST /blocklist - Add a domain or pattern entry to the blocklist
+   */
+  async add(request, response) {
+    const { application } = request.app.locals;
+    const { type = "domain", pattern } = request.body;
+
+    let entry;
+    try {
+      entry = parseBlockEntry(type, pattern);
+    } catch {
+      return response.redirect(application.webmentionEndpoint + "/blocklist?error=invalid-pattern");
+    }
+
+    try {
+      const db = application.getWebmentionDb();
+      const blockCollection = db.collection("webmentionBlocklist");
+      const wmCollection = db.collection("webmentions");
+
+      await ensureBlocklistIndexes(blockCollection);
+
+      // Hide all stored mentions matching the new entry
+      const hidden = await hideByBlockEntry(wmCollection, entry, "blocklist");
+
+      await blockEntry(blockCollection, entry, "manual", hidden);
+
+      response.redirect(
+        application.webmentionEndpoint + "/blocklist?blocked=1&hidden=" + hidden,
+      );
+    } catch (error) {
+      console.error("[Webmentions] Block error:", error);
+      response.redirect(application.webmentionEndpoint + "/blocklist?error=block-failed");
+    }
+  },
+
+  /**
+   * GET /blocklist/export - Download local blocklist entries as JSON or CSV
+   */
+  async exportList(request, response) {
+    const { application } = request.app.locals;
+
+    try {
+      const format = request.query.format === "csv" ? "csv" : "json";
+      const db = application.getWebmentionDb();
+      const entries = await getBlocklist(db.collection("webmentionBlocklist"), {
+        source: null,
+      });
+
+      response
+        .attachment(`webmention-blocklist.${format}`)
+        .type(format === "csv" ? "text/csv" : "application/json")
+        .send(serialiseBlocklist(entries, format));
+    } catch (error) {
+      console.error("[Webmentions] Blocklist export error:", error);
+      response.redirect(application.webmentionEndpoint + "/blocklist?error=export-failed");
+    }
+  },
+
+  /**
+   * POST /blocklist/import - Import a JSON, CSV or plain text blocklist
+   */
+  async importList(request, response) {
+    const { application } = request.app.locals;
+
+    try {
+      const { data, mode } = request.body;
+      if (!data?.trim()) {
+        return response.redirect(application.webmentionEndpoint + "/blocklist?error=import-failed");
+      }
+
+      const db = application.getWebmentionDb();
+      const result = await importBlocklist(db, data, {
+        mode: mode === "replace" ? "replace" : "merge",
+      });
+
+      const query = new URLSearchParams({
+        imported: 1,
+        added: result.added,
+        dropped: result.removed,
+        invalid: result.invalid,
+      });
+      response.redirect(application.webmentionEndpoint + "/blocklist?" + query);
+    } catch (error) {
+      console.error("[Webmentions] Blocklist import error:", error);
+      response.redirect(application.webmentionEndpoint + "/blocklist?error=import-failed");
+    }
+  },
+
+  /**
+   * POST /blocklist/subscribe - Subscribe to a shared blocklist
+   */
+  async subscribe(request, response) {
+    const { application } = request.app.locals;
+
+    try {
+      const url = request.body.url?.trim();
+      if (!url) {
+        return response.redirect(application.webmentionEndpoint + "/blocklist?error=subscribe-failed");
+      }
+
+      const db = application.getWebmentionDb();
+      const result = await subscribeBlocklist(
+        db,
+        { url, name: request.body.name?.trim() },
+        application.webmentionConfig || {},
+      );
+
+      if (result.error) {
+        return response.redirect(application.webmentionEndpoint + "/blocklist?error=refresh-failed");
+      }
+
+      response.redirect(
+        application.webmentionEndpoint + "/blocklist?subscribed=1&added=" + result.added,
+      );
+    } catch (error) {
+      console.error("[Webmentions] Blocklist subscribe error:", error);
+      response.redirect(application.webmentionEndpoint + "/blocklist?error=subscribe-failed");
+    }
+  },
+
+  /**
+   * POST /blocklist/unsubscribe - Cancel a subscription and remove its entries
+   */
+  async unsubscribe(request, response) {
+    const { application } = request.app.locals;
+
+    try {
+      const db = application.getWebmentionDb();
+      const result = await unsubscribeBlocklist(db, request.body.url);
+
+      response.redirect(
+        application.webmentionEndpoint + "/blocklist?unsubscribed=1&unhidden=" + result.unhidden,
+      );
+    } catch (error) {
+      console.error("[Webmentions] Blocklist unsubscribe error:", error);
+      response.redirect(application.webmentionEndpoint + "/blocklist?error=unsubscribe-failed");
+    }
+  },
+
+  /**
+   * POST /blocklist/refresh - Re-fetch one or all subscribed blocklists now
+   */
+  async refresh(request, response) {
+    const { application } = request.app.locals;
+
+    try {
+      const db = application.getWebmentionDb();
+      const results = await refreshSubscriptions(
+        db,
+        application.webmentionConfig || {},
+        request.body.url,
+      );
+      const failed = results.some((result) => result.error);
+
+      response.redirect(
+        application.webmentionEndpoint +
+          (failed ? "/blocklist?error=refresh-failed" : "/blocklist?refreshed=1"),
+      );
+    } catch (error) {
+      console.error("[Webmentions] Blocklist refresh error:", error);
+      response.redirect(application.webmentionEndpoint + "/blocklist?error=refresh-failed");
+    }
+  },
+
+  /**
+   * POST /blocklist/:domain/delete - Unblock a domain or pattern
    */
   async unblock(request, response) {
     const { application } = request.app.locals;
 
     try {
-      const domain = decodeURIComponent(request.params.domain);
+      const { domain } = request.params;
       const db = application.getWebmentionDb();
       const blockCollection = db.collection("webmentionBlocklist");
       const wmCollection = db.collection("webmentions");
 
+      const entry = (await getBlocklistEntry(blockCollection, domain)) || { domain };
       await unblockDomain(blockCollection, domain);
 
-      // Unhide mentions that were hidden by blocklist (not manual or privacy)
-      const unhidden = await unhideByDomain(wmCollection, domain);
+      // Unhide mentions that were hidden by blocklist (not manual or privacy),
+      // keeping those another entry still matches
+      const remaining = compileBlocklist(await getBlocklist(blockCollection));
+      const unhidden = await unhideByBlockEntry(wmCollection, entry, remaining);
 
       response.redirect(
         application.webmentionEndpoint + "/blocklist?unblocked=1&unhidden=" + unhidden,
@@ -66,4 +312,56 @@ export const blocklistController = {
       response.redirect(application.webmentionEndpoint + "/blocklist?error=unblock-failed");
     }
   },
+
+  /**
+   * POST /trusted - Trust a domain (approves its pending mentions)
+   */
+  async trust(request, response) {
+    const { application } = request.app.locals;
+
+    try {
+      const { domain } = request.body;
+      if (!domain) {
+        return response.redirect(application.webmentionEndpoint + "/blocklist?error=no-domain");
+      }
+
+      const db = application.getWebmentionDb();
+      const trustedCollection = db.collection("webmentionTrusted");
+      const wmCollection = db.collection("webmentions");
+
+      await ensureTrustedIndexes(trustedCollection);
+      await trustDomain(trustedCollection, domain, "manual");
+
+      const approved = await approveByDomain(wmCollection, domain);
+      await dispatchWebhooks(db, application.webmentionConfig || {}, approved);
+
+      response.redirect(
+        application.webmentionEndpoint +
+          "/blocklist?trusted=1&approved=" +
+          approved.length,
+      );
+    } catch (error) {
+      console.error("[Webmentions] Trust error:", error);
+      response.redirect(application.webmentionEndpoint + "/blocklist?error=trust-failed");
+    }
+  },
+
+  /**
+   * POST /trusted/:domain/delete - Remove a domain from the allowlist
+   */
+  async untrust(request, response) {
+    const { application } = request.app.locals;
+
+    try {
+      const { domain } = request.params;
+      const db = application.getWebmentionDb();
+
+      await untrustDomain(db.collection("webmentionTrusted"), domain);
+
+      response.redirect(application.webmentionEndpoint + "/blocklist?untrusted=1");
+    } catch (error) {
+      console.error("[Webmentions] Untrust error:", error);
+      response.redirect(application.webmentionEndpoint + "/blocklist?error=untrust-failed");
+    }
+  },
 };
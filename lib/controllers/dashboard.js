@@ -3,17 +3,42 @@
  * Admin UI for webmention moderation
  */
 
+import { diffWords } from "diff";
+
 import {
+  getWebmention,
   getWebmentions,
   getWebmentionCounts,
   hideWebmention,
   unhideWebmention,
   hideByDomain,
+  ensureIndexes,
+  hideByQuery,
+  unhideByQuery,
+  getDomainsByQuery,
+  buildWebmentionQuery,
   deleteByDomain,
+  approveByDomain,
+  VERIFY_HIDDEN_REASONS,
+  PENDING_HIDDEN_REASONS,
 } from "../storage/webmentions.js";
 import { blockDomain } from "../storage/blocklist.js";
+import { ensureTrustedIndexes, trustDomain } from "../storage/trusted.js";
 import { getSyncState } from "../sync.js";
-import { getMentionType, getMentionTitle, getAuthorName, ensureISOString } from "../utils.js";
+import { dispatchWebhooks } from "../webhooks.js";
+import {
+  getMentionType,
+  getMentionTitle,
+  getAuthorName,
+  ensureISOString,
+  getSearchTerms,
+  highlightTerms,
+} from "../utils.js";
+
+const BULK_ACTIONS = ["hide", "unhide", "block", "privacy-remove"];
+
+// Where approve/reject return to by default
+const PENDING_QUEUE = "?filter=pending";
 
 export const dashboardController = {
   /**
@@ -28,11 +53,13 @@ export const dashboardController = {
         return response.render("webmentions", {
           title: response.locals.__("webmention-io.title"),
           webmentions: [],
-          counts: { total: 0, hidden: 0, visible: 0 },
+          counts: { total: 0, hidden: 0, visible: 0, pending: 0 },
           syncState: getSyncState(),
           cursor: {},
           filter: "all",
           typeFilter: "all",
+          q: "",
+          digestEnabled: Boolean(application.webmentionConfig?.digest),
           wmEndpoint: application.webmentionEndpoint,
         });
       }
@@ -43,34 +70,37 @@ export const dashboardController = {
       const limit = Number(request.query.limit) || 20;
       const filter = request.query.filter || "all";
       const typeFilter = request.query.type || "all";
+      const q = (request.query.q || "").trim();
+      // A single mention, e.g. linked from a digest
+      const wmId = Number(request.query.wm) || null;
+
+      // The text index is created with the others; make sure it exists
+      // even if no sync has run yet
+      if (q) {
+        await ensureIndexes(collection);
+      }
 
-      // Build query options
       const queryOptions = {
+        ...getFilterOptions(filter, typeFilter, q),
+        wmId,
         page,
         perPage: limit,
       };
-
-      if (filter === "hidden") {
-        queryOptions.showHidden = true;
-      } else if (filter === "visible") {
-        queryOptions.showHidden = false;
-      } else {
-        // "all" — show everything
-        queryOptions.showHidden = true;
-      }
-
-      if (typeFilter !== "all") {
-        queryOptions.wmProperty = typeFilter;
-      }
+      const terms = getSearchTerms(q);
 
       const { items, total } = await getWebmentions(collection, queryOptions);
       const counts = await getWebmentionCounts(collection);
 
+      // After posting a response, link it from the success message
+      const responded = request.query.responded
+        ? await getResponded(collection, request.query)
+        : null;
+
       // Transform for the mention() macro
       const webmentions = items.map((item) => {
         let html;
         if (item.contentHtml) {
-          html = item.contentHtml;
+          html = highlightTerms(item.contentHtml, terms);
         }
 
         return {
@@ -92,19 +122,26 @@ export const dashboardController = {
             }),
             url: item.authorUrl,
           },
+          authorKey: item.authorKey,
           // Moderation metadata
           hidden: item.hidden,
           hiddenReason: item.hiddenReason,
           sourceDomain: item.sourceDomain,
+          editedAt: ensureISOString(item.editedAt),
+          moderation: item.moderation,
+          // Our replies, likes and reposts
+          responses: item.responses || [],
         };
       });
 
       // Pagination cursor
-      const cursor = {
-        next: { href: `?page=${page + 1}&filter=${filter}&type=${typeFilter}` },
-      };
+      const params = `filter=${filter}&type=${typeFilter}${q ? `&q=${encodeURIComponent(q)}` : ""}`;
+      const cursor = {};
+      if ((page + 1) * limit < total) {
+        cursor.next = { href: `?page=${page + 1}&${params}` };
+      }
       if (page > 0) {
-        cursor.previous = { href: `?page=${page - 1}&filter=${filter}&type=${typeFilter}` };
+        cursor.previous = { href: `?page=${page - 1}&${params}` };
       }
 
       response.render("webmentions", {
@@ -115,6 +152,10 @@ export const dashboardController = {
         cursor,
         filter,
         typeFilter,
+        q,
+        total,
+        responded,
+        digestEnabled: Boolean(application.webmentionConfig?.digest),
         wmEndpoint: application.webmentionEndpoint,
       });
     } catch (error) {
@@ -127,6 +168,77 @@ export const dashboardController = {
     }
   },
 
+  /**
+   * GET /:wmId/revisions - Edit history of a webmention
+   */
+  async revisions(request, response) {
+    const { application } = request.app.locals;
+
+    try {
+      const wmId = Number.parseInt(request.params.wmId, 10);
+      const db = application.getWebmentionDb();
+      const collection = db.collection("webmentions");
+
+      const doc = await getWebmention(collection, wmId);
+      if (!doc) {
+        return response.redirect(application.webmentionEndpoint + "?error=not-found");
+      }
+
+      // Oldest first, ending with the current version
+      const versions = [
+        ...(doc.revisions || []),
+        { ...doc, revisedAt: doc.editedAt },
+      ];
+
+      // Diff each version against the one before it, newest first
+      const revisions = [];
+      for (let index = versions.length - 1; index > 0; index--) {
+        const before = versions[index - 1];
+        const after = versions[index];
+
+        revisions.push({
+          revisedAt: ensureISOString(after.revisedAt),
+          current: index === versions.length - 1,
+          changes: ["wmProperty", "wmTarget", "name", "authorName", "authorUrl", "authorPhoto"]
+            .filter((field) => (before[field] || "") !== (after[field] || ""))
+            .map((field) => ({
+              field,
+              before: before[field] || "",
+              after: after[field] || "",
+            })),
+          content: diffWords(getText(before), getText(after)),
+        });
+      }
+
+      response.render("webmentions-revisions", {
+        title: response.locals.__("webmention-io.revisions.title"),
+        mention: {
+          id: doc.wmId,
+          url: doc.sourceUrl,
+          title: getMentionTitle({ name: doc.name, "wm-property": doc.wmProperty }),
+          authorName: doc.authorName || getAuthorName({
+            author: { name: doc.authorName, url: doc.authorUrl },
+            url: doc.sourceUrl,
+          }),
+          published: ensureISOString(doc.published) || ensureISOString(doc.wmReceived),
+        },
+        original: {
+          syncedAt: ensureISOString(versions[0].revisedAt),
+          text: getText(versions[0]),
+        },
+        revisions,
+        wmEndpoint: application.webmentionEndpoint,
+      });
+    } catch (error) {
+      console.error("[Webmentions] Revisions error:", error);
+      response.status(500).render("error", {
+        title: "Error",
+        message: "Failed to load revisions",
+        error: error.message,
+      });
+    }
+  },
+
   /**
    * POST /:wmId/hide - Hide a webmention
    */
@@ -140,10 +252,10 @@ export const dashboardController = {
 
       await hideWebmention(collection, wmId, "manual");
 
-      response.redirect(application.webmentionEndpoint + "?hidden=1");
+      response.redirect(getReturnUrl(request, application, "hidden=1"));
     } catch (error) {
       console.error("[Webmentions] Hide error:", error);
-      response.redirect(application.webmentionEndpoint + "?error=hide-failed");
+      response.redirect(getReturnUrl(request, application, "error=hide-failed"));
     }
   },
 
@@ -158,12 +270,102 @@ export const dashboardController = {
       const db = application.getWebmentionDb();
       const collection = db.collection("webmentions");
 
+      // Held mentions weren't announced when they arrived
+      const doc = await getWebmention(collection, wmId);
+      const announce =
+        doc?.hidden && PENDING_HIDDEN_REASONS.includes(doc.hiddenReason)
+          ? [wmId]
+          : [];
+
       await unhideWebmention(collection, wmId);
+      await dispatchWebhooks(db, application.webmentionConfig || {}, announce);
 
-      response.redirect(application.webmentionEndpoint + "?unhidden=1");
+      response.redirect(getReturnUrl(request, application, "unhidden=1"));
     } catch (error) {
       console.error("[Webmentions] Unhide error:", error);
-      response.redirect(application.webmentionEndpoint + "?error=unhide-failed");
+      response.redirect(getReturnUrl(request, application, "error=unhide-failed"));
+    }
+  },
+
+  /**
+   * POST /:wmId/approve - Approve a pending webmention
+   * With `trust=1`, also trusts its domain and approves the domain's other
+   * pending mentions
+   */
+  async approve(request, response) {
+    const { application } = request.app.locals;
+
+    try {
+      const wmId = Number.parseInt(request.params.wmId, 10);
+      const db = application.getWebmentionDb();
+      const collection = db.collection("webmentions");
+
+      // Held mentions weren't announced when they arrived
+      const doc = await getWebmention(collection, wmId);
+      const announce =
+        doc?.hidden && PENDING_HIDDEN_REASONS.includes(doc.hiddenReason)
+          ? [wmId]
+          : [];
+
+      await unhideWebmention(collection, wmId);
+
+      let approved = 1;
+
+      if (request.body?.trust && doc?.sourceDomain) {
+        const trustedCollection = db.collection("webmentionTrusted");
+        await ensureTrustedIndexes(trustedCollection);
+        await trustDomain(trustedCollection, doc.sourceDomain, "approval");
+        const wmIds = await approveByDomain(collection, doc.sourceDomain);
+        approved += wmIds.length;
+        announce.push(...wmIds);
+      }
+
+      await dispatchWebhooks(db, application.webmentionConfig || {}, announce);
+
+      if (request.body?.trust && doc?.sourceDomain) {
+        return response.redirect(
+          getReturnUrl(
+            request,
+            application,
+            "approved=" + approved +
+              "&trusted=" + encodeURIComponent(doc.sourceDomain),
+            PENDING_QUEUE,
+          ),
+        );
+      }
+
+      response.redirect(
+        getReturnUrl(request, application, "approved=" + approved, PENDING_QUEUE),
+      );
+    } catch (error) {
+      console.error("[Webmentions] Approve error:", error);
+      response.redirect(
+        getReturnUrl(request, application, "error=approve-failed", PENDING_QUEUE),
+      );
+    }
+  },
+
+  /**
+   * POST /:wmId/reject - Reject a pending webmention
+   */
+  async reject(request, response) {
+    const { application } = request.app.locals;
+
+    try {
+      const wmId = Number.parseInt(request.params.wmId, 10);
+      const db = application.getWebmentionDb();
+      const collection = db.collection("webmentions");
+
+      await hideWebmention(collection, wmId, "rejected");
+
+      response.redirect(
+        getReturnUrl(request, application, "rejected=1", PENDING_QUEUE),
+      );
+    } catch (error) {
+      console.error("[Webmentions] Reject error:", error);
+      response.redirect(
+        getReturnUrl(request, application, "error=reject-failed", PENDING_QUEUE),
+      );
     }
   },
 
@@ -176,7 +378,7 @@ export const dashboardController = {
     try {
       const { domain } = request.body;
       if (!domain) {
-        return response.redirect(application.webmentionEndpoint + "?error=no-domain");
+        return response.redirect(getReturnUrl(request, application, "error=no-domain"));
       }
 
       const db = application.getWebmentionDb();
@@ -189,10 +391,98 @@ export const dashboardController = {
       // Add to blocklist
       await blockDomain(blockCollection, domain, "spam", hidden);
 
-      response.redirect(application.webmentionEndpoint + "?blocked=1&domain=" + encodeURIComponent(domain));
+      response.redirect(
+        getReturnUrl(request, application, "blocked=1&domain=" + encodeURIComponent(domain)),
+      );
     } catch (error) {
       console.error("[Webmentions] Block error:", error);
-      response.redirect(application.webmentionEndpoint + "?error=block-failed");
+      response.redirect(getReturnUrl(request, application, "error=block-failed"));
+    }
+  },
+
+  /**
+   * POST /bulk - Apply a moderation action to several webmentions
+   * Body: bulkAction, wmId (one or more) or scope=filter with filter/type
+   */
+  async bulk(request, response) {
+    const { application } = request.app.locals;
+    const { bulkAction, scope } = request.body;
+    const filter = request.body.filter || "all";
+    const typeFilter = request.body.type || "all";
+    const q = (request.body.q || "").trim();
+    const back = `${application.webmentionEndpoint}?filter=${encodeURIComponent(filter)}&type=${encodeURIComponent(typeFilter)}${q ? `&q=${encodeURIComponent(q)}` : ""}`;
+
+    if (!BULK_ACTIONS.includes(bulkAction)) {
+      return response.redirect(back + "&error=bulk-invalid-action");
+    }
+
+    try {
+      let query;
+      if (scope === "filter") {
+        query = buildWebmentionQuery(getFilterOptions(filter, typeFilter, q));
+      } else {
+        const wmIds = [request.body.wmId]
+          .flat()
+          .map((wmId) => Number.parseInt(wmId, 10))
+          .filter(Number.isFinite);
+
+        if (wmIds.length === 0) {
+          return response.redirect(back + "&error=bulk-none-selected");
+        }
+
+        query = { wmId: { $in: wmIds } };
+      }
+
+      const db = application.getWebmentionDb();
+      const wmCollection = db.collection("webmentions");
+      const blockCollection = db.collection("webmentionBlocklist");
+
+      let count = 0;
+      let domains = [];
+
+      switch (bulkAction) {
+        case "hide": {
+          count = await hideByQuery(wmCollection, query, "manual");
+          break;
+        }
+        case "unhide": {
+          const result = await unhideByQuery(wmCollection, query);
+          count = result.count;
+
+          // Held mentions weren't announced when they arrived
+          await dispatchWebhooks(
+            db,
+            application.webmentionConfig || {},
+            result.pending,
+          );
+          break;
+        }
+        case "block": {
+          domains = await getDomainsByQuery(wmCollection, query);
+          for (const domain of domains) {
+            const hidden = await hideByDomain(wmCollection, domain, "blocklist");
+            await blockDomain(blockCollection, domain, "spam", hidden);
+            count += hidden;
+          }
+          break;
+        }
+        case "privacy-remove": {
+          domains = await getDomainsByQuery(wmCollection, query);
+          for (const domain of domains) {
+            const deleted = await deleteByDomain(wmCollection, domain);
+            await blockDomain(blockCollection, domain, "privacy", deleted);
+            count += deleted;
+          }
+          break;
+        }
+      }
+
+      response.redirect(
+        `${back}&bulk=${bulkAction}&count=${count}&domains=${domains.length}`,
+      );
+    } catch (error) {
+      console.error("[Webmentions] Bulk action error:", error);
+      response.redirect(back + "&error=bulk-failed");
     }
   },
 
@@ -225,3 +515,98 @@ export const dashboardController = {
     }
   },
 };
+
+/**
+ * Get plain text content of a webmention version for diffing
+ * @param {object} version - Document or revision
+ * @returns {string}
+ */
+function getText(version) {
+  if (version.contentText) return version.contentText;
+  if (version.contentHtml) return version.contentHtml.replaceAll(/<[^>]+>/g, "");
+  return "";
+}
+
+/**
+ * Get the URL to redirect to after an action, with a status message
+ * Goes back to the page the action was taken on, sent as `returnTo`, if it
+ * is one of this plugin's pages; otherwise to the dashboard.
+ * @param {object} request - Express request
+ * @param {object} application - Indiekit application config
+ * @param {string} params - Query string for the message (e.g. "hidden=1")
+ * @param {string} [fallback] - Dashboard query string used without `returnTo`
+ * @returns {string} Redirect URL
+ */
+function getReturnUrl(request, application, params, fallback = "") {
+  const endpoint = application.webmentionEndpoint;
+  const returnTo = request.body?.returnTo;
+
+  // A local path only: no other hosts, schemes or protocol-relative URLs
+  const safe =
+    typeof returnTo === "string" &&
+    (returnTo.startsWith(endpoint + "/") || returnTo.startsWith(endpoint + "?")) &&
+    !/[\\\s]/.test(returnTo) &&
+    !returnTo.startsWith("//");
+
+  const url = safe ? returnTo : endpoint + fallback;
+  return url + (url.includes("?") ? "&" : "?") + params;
+}
+
+/**
+ * Get query options for a dashboard filter
+ * @param {string} filter - "all", "visible", "hidden", "pending" or "gone"
+ * @param {string} typeFilter - Mention type, or "all"
+ * @param {string} [search] - Full-text search
+ * @returns {object} Options for `getWebmentions()`/`buildWebmentionQuery()`
+ */
+function getFilterOptions(filter, typeFilter, search) {
+  const options = {};
+
+  if (filter === "hidden") {
+    options.onlyHidden = true;
+  } else if (filter === "visible") {
+    options.showHidden = false;
+  } else if (filter === "pending") {
+    // Waiting for approval (pre-moderation or auto-moderation review)
+    options.showHidden = true;
+    options.hiddenReason = PENDING_HIDDEN_REASONS;
+  } else if (filter === "gone") {
+    // Hidden by source re-verification
+    options.showHidden = true;
+    options.hiddenReason = VERIFY_HIDDEN_REASONS;
+  } else {
+    // "all" — show everything
+    options.showHidden = true;
+  }
+
+  if (typeFilter !== "all") {
+    options.wmProperty = typeFilter;
+  }
+
+  if (search) {
+    options.search = search;
+  }
+
+  return options;
+}
+
+/**
+ * Get the response just posted to a mention, for the success message
+ * The post URL comes from the stored `responses`, never from the query.
+ * @param {object} collection - Webmentions collection
+ * @param {object} query - Request query (`responded`, `respondedTo`)
+ * @returns {Promise<{type: string, url: string}|null>}
+ */
+async function getResponded(collection, query) {
+  const wmId = Number.parseInt(query.respondedTo, 10);
+  const doc = Number.isNaN(wmId) ? null : await getWebmention(collection, wmId);
+  const item = (doc?.responses || []).findLast(
+    (response) => response.type === query.responded,
+  );
+
+  if (!item || !/^https?:\/\//i.test(item.url)) {
+    return null;
+  }
+
+  return { type: item.type, url: item.url };
+}
@@ -0,0 +1,34 @@
+/**
+ * Digest controller - send a digest on demand
+ */
+
+import { sendDigest } from "../digest.js";
+
+export const digestController = {
+  /**
+   * POST /digest/send - Send a digest of mentions since the last one now
+   */
+  async send(request, response) {
+    const { application } = request.app.locals;
+    const options = application.webmentionConfig || {};
+
+    try {
+      const db = application.getWebmentionDb();
+      const result = await sendDigest(db, options, {
+        force: true,
+        baseUrl:
+          options.digest?.baseUrl ||
+          `${request.protocol}://${request.get("host")}`,
+      });
+
+      if (result.error) {
+        response.redirect(application.webmentionEndpoint + "?error=" + encodeURIComponent(result.error));
+      } else {
+        response.redirect(application.webmentionEndpoint + "?digest=sent&count=" + result.count);
+      }
+    } catch (error) {
+      console.error("[Webmentions] Digest error:", error);
+      response.redirect(application.webmentionEndpoint + "?error=digest-failed");
+    }
+  },
+};
@@ -0,0 +1,106 @@
+/**
+ * Feed controller - private Atom and JSON Feed of incoming webmentions
+ * Protected by `feedToken` in the URL, so feed readers don't need a session
+ */
+
+import {
+  getWebmentions,
+  PENDING_HIDDEN_REASONS,
+} from "../storage/webmentions.js";
+import { buildAtomFeed, buildJsonFeed, isValidFeedToken } from "../feed.js";
+import { getPropertiesForTypes, getQueryList } from "../utils.js";
+
+const MAX_FEED_ITEMS = 200;
+
+export const feedController = {
+  /**
+   * GET /feed.atom?token= - Atom feed
+   */
+  async atom(request, response) {
+    const feed = await getFeed(request, response);
+    if (feed) {
+      response
+        .type("application/atom+xml")
+        .send(buildAtomFeed(feed.docs, feed.meta));
+    }
+  },
+
+  /**
+   * GET /feed.json?token= - JSON Feed
+   */
+  async json(request, response) {
+    const feed = await getFeed(request, response);
+    if (feed) {
+      response
+        .type("application/feed+json")
+        .send(JSON.stringify(buildJsonFeed(feed.docs, feed.meta)));
+    }
+  },
+};
+
+/**
+ * Check the token and fetch the mentions for a feed request, sending an
+ * error response if that fails
+ * Query: token, include=hidden|pending, type=like|reply|… (repeatable),
+ * limit (default 50)
+ * @param {object} request - Express request
+ * @param {object} response - Express response
+ * @returns {Promise<object|null>} `docs` and feed `meta`, or null if a
+ *   response was sent
+ */
+async function getFeed(request, response) {
+  const { application } = request.app.locals;
+  const config = application.webmentionConfig || {};
+
+  // Feeds are off without a token; don't reveal whether one is set
+  if (!isValidFeedToken(request.query.token, config.feedToken)) {
+    response.status(404).type("text").send("Not found");
+    return null;
+  }
+
+  try {
+    const db = application.getWebmentionDb();
+    if (!db) {
+      response.status(503).type("text").send("Database unavailable");
+      return null;
+    }
+
+    const include = getQueryList(request.query, "include");
+    const types = getQueryList(request.query, "type");
+    const wmProperty = getPropertiesForTypes(types);
+    if (wmProperty?.length === 0) {
+      response.status(400).type("text").send("Unknown type");
+      return null;
+    }
+
+    const limit = Math.min(
+      Number(request.query.limit) || 50,
+      MAX_FEED_ITEMS,
+    );
+
+    const { items } = await getWebmentions(db.collection("webmentions"), {
+      showHidden: include.includes("hidden"),
+      includeHidden: include.includes("pending") ? PENDING_HIDDEN_REASONS : null,
+      wmProperty,
+      perPage: limit,
+    });
+
+    const origin = `${request.protocol}://${request.get("host")}`;
+    const homeUrl = origin + application.webmentionEndpoint;
+
+    response.set("Cache-Control", "private, no-cache");
+
+    return {
+      docs: items,
+      meta: {
+        title: "Webmentions",
+        feedUrl: origin + request.baseUrl + request.path,
+        homeUrl,
+      },
+    };
+  } catch (error) {
+    console.error("[Webmentions] Feed error:", error);
+    response.status(500).type("text").send("Failed to build feed");
+    return null;
+  }
+}
@@ -0,0 +1,153 @@
+/**
+ * Post controller - every interaction one post received
+ */
+
+import { getWebmentions } from "../storage/webmentions.js";
+import {
+  getMentionType,
+  getMentionTitle,
+  getAuthorName,
+  ensureISOString,
+} from "../utils.js";
+
+// Mentions shown (and counted in the timeline) for one post
+const MAX_MENTIONS = 1000;
+
+// Longest span shown day by day; longer timelines are monthly
+const MAX_DAILY_SPAN = 90 * 86_400_000;
+
+const TYPE_ORDER = [
+  "in-reply-to",
+  "mention-of",
+  "like-of",
+  "repost-of",
+  "bookmark-of",
+  "rsvp",
+];
+
+export const postController = {
+  /**
+   * GET /post?target=URL - Interactions with one post, by type, with a
+   * timeline and moderation actions
+   */
+  async show(request, response) {
+    const { application } = request.app.locals;
+    const target =
+      typeof request.query.target === "string" ? request.query.target.trim() : "";
+
+    if (!target) {
+      return response.redirect(application.webmentionEndpoint + "?error=no-target");
+    }
+
+    try {
+      const db = application.getWebmentionDb();
+      const collection = db.collection("webmentions");
+
+      // `target` matches with and without a trailing slash
+      const { items, total } = await getWebmentions(collection, {
+        target,
+        showHidden: true,
+        perPage: MAX_MENTIONS,
+      });
+
+      const mentions = items.map((item) => ({
+        id: item.wmId,
+        "wm-property": item.wmProperty,
+        icon: getMentionType(item.wmProperty),
+        locale: application.locale,
+        title: getMentionTitle({ name: item.name, "wm-property": item.wmProperty }),
+        description: item.contentHtml ? { html: item.contentHtml } : undefined,
+        published: ensureISOString(item.published) || ensureISOString(item.wmReceived),
+        received: ensureISOString(item.wmReceived),
+        url: item.sourceUrl,
+        user: {
+          avatar: item.authorPhoto ? { src: item.authorPhoto } : undefined,
+          name: item.authorName || getAuthorName({
+            author: { name: item.authorName, url: item.authorUrl },
+            url: item.sourceUrl,
+          }),
+          url: item.authorUrl,
+        },
+        hidden: item.hidden,
+        hiddenReason: item.hiddenReason,
+        sourceDomain: item.sourceDomain,
+      }));
+
+      const groups = TYPE_ORDER.map((property) => {
+        const list = mentions.filter((item) => item["wm-property"] === property);
+        return {
+          property,
+          mentions: list,
+          visible: list.filter((item) => !item.hidden).length,
+          hidden: list.filter((item) => item.hidden).length,
+        };
+      }).filter((group) => group.mentions.length > 0);
+
+      response.render("webmentions-post", {
+        title: response.locals.__("webmention-io.post.title"),
+        target,
+        groups,
+        total,
+        shown: mentions.length,
+        timeline: getTimeline(mentions),
+        returnTo: `${application.webmentionEndpoint}/post?target=${encodeURIComponent(target)}`,
+        wmEndpoint: application.webmentionEndpoint,
+      });
+    } catch (error) {
+      console.error("[Webmentions] Post error:", error);
+      response.status(500).render("error", {
+        title: "Error",
+        message: "Failed to load interactions",
+        error: error.message,
+      });
+    }
+  },
+};
+
+/**
+ * Count mentions per day (or per month, for long timelines), from the
+ * first mention to the last, including empty periods
+ * @param {Array<object>} mentions - Mentions with `received` dates
+ * @returns {{unit: string, buckets: Array<{label: string, count: number, percent: number}>}}
+ */
+function getTimeline(mentions) {
+  const dates = mentions
+    .map((item) => item.received)
+    .filter(Boolean)
+    .sort();
+
+  if (dates.length === 0) {
+    return { unit: "day", buckets: [] };
+  }
+
+  const first = new Date(dates[0]);
+  const last = new Date(dates.at(-1));
+  const unit = last - first > MAX_DAILY_SPAN ? "month" : "day";
+  const length = unit === "day" ? 10 : 7; // YYYY-MM-DD or YYYY-MM
+
+  const counts = new Map();
+  for (const date of dates) {
+    const key = date.slice(0, length);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+
+  const buckets = [];
+  const cursor = new Date(dates[0].slice(0, length));
+  while (cursor <= last) {
+    const label = cursor.toISOString().slice(0, length);
+    buckets.push({ label, count: counts.get(label) || 0 });
+
+    if (unit === "day") {
+      cursor.setUTCDate(cursor.getUTCDate() + 1);
+    } else {
+      cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+    }
+  }
+
+  const max = Math.max(...buckets.map((bucket) => bucket.count));
+  for (const bucket of buckets) {
+    bucket.percent = Math.round((bucket.count / max) * 100);
+  }
+
+  return { unit, buckets };
+}
@@ -0,0 +1,48 @@
+/**
+ * Webmention receiving controller
+ * W3C Webmention endpoint, verified asynchronously
+ */
+
+import { extractDomain } from "../utils.js";
+import { validateWebmention, enqueueWebmention } from "../receiver.js";
+
+export const receiveController = {
+  /**
+   * POST /webmention - Receive a Webmention
+   */
+  async receive(request, response) {
+    const { application, publication } = request.app.locals;
+    const db = application.getWebmentionDb();
+
+    if (!db) {
+      return response.status(503).type("text").send("Database unavailable");
+    }
+
+    const source = request.body?.source;
+    const target = request.body?.target;
+
+    const allowedHosts = [
+      application.webmentionConfig?.domain,
+      extractDomain(publication?.me || ""),
+    ].filter(Boolean);
+
+    const error = validateWebmention({ source, target }, allowedHosts);
+    if (error) {
+      return response.status(400).type("text").send(error);
+    }
+
+    const queued = enqueueWebmention(db, application.webmentionConfig || {}, {
+      source,
+      target,
+    });
+    if (!queued) {
+      return response
+        .status(503)
+        .set("Retry-After", "60")
+        .type("text")
+        .send("Too many pending webmentions, try again later");
+    }
+
+    response.status(202).type("text").send("Webmention accepted for processing");
+  },
+};
@@ -0,0 +1,137 @@
+/**
+ * Respond controller - reply to, like or repost a mention's source
+ * Posts are created through Indiekit's Micropub endpoint
+ */
+
+import { addResponse, getWebmention } from "../storage/webmentions.js";
+import { createResponse, RESPONSE_PROPERTIES } from "../micropub.js";
+import {
+  getMentionTitle,
+  getAuthorName,
+  ensureISOString,
+  cleanHtml,
+} from "../utils.js";
+
+const RESPONSE_TYPES = Object.keys(RESPONSE_PROPERTIES);
+
+export const respondController = {
+  /**
+   * GET /:wmId/respond - Response composer
+   */
+  async compose(request, response) {
+    const { application } = request.app.locals;
+
+    try {
+      const wmId = Number.parseInt(request.params.wmId, 10);
+      const db = application.getWebmentionDb();
+      const doc = await getWebmention(db.collection("webmentions"), wmId);
+      if (!doc) {
+        return response.redirect(application.webmentionEndpoint + "?error=not-found");
+      }
+
+      const type = RESPONSE_TYPES.includes(request.query.type)
+        ? request.query.type
+        : "reply";
+
+      response.render("webmentions-respond", {
+        title: response.locals.__("webmention-io.respond.title"),
+        mention: {
+          id: doc.wmId,
+          url: doc.sourceUrl,
+          target: doc.wmTarget,
+          title: getMentionTitle({ name: doc.name, "wm-property": doc.wmProperty }),
+          authorName: doc.authorName || getAuthorName({
+            author: { name: doc.authorName, url: doc.authorUrl },
+            url: doc.sourceUrl,
+          }),
+          contentHtml: cleanHtml(doc.contentHtml),
+          published: ensureISOString(doc.published) || ensureISOString(doc.wmReceived),
+        },
+        responses: (doc.responses || []).map((item) => ({
+          ...item,
+          createdAt: ensureISOString(item.createdAt),
+        })),
+        types: RESPONSE_TYPES,
+        type,
+        content: request.query.content || "",
+        wmEndpoint: application.webmentionEndpoint,
+      });
+    } catch (error) {
+      console.error("[Webmentions] Respond error:", error);
+      response.status(500).render("error", {
+        title: "Error",
+        message: "Failed to load webmention",
+        error: error.message,
+      });
+    }
+  },
+
+  /**
+   * POST /:wmId/respond - Create a reply, like or repost via Micropub
+   */
+  async create(request, response) {
+    const { application } = request.app.locals;
+    const wmId = Number.parseInt(request.params.wmId, 10);
+    const type = request.body?.type;
+    const content = (request.body?.content || "").trim();
+    const composer = `${application.webmentionEndpoint}/${wmId}/respond`;
+
+    try {
+      const db = application.getWebmentionDb();
+      const collection = db.collection("webmentions");
+      const doc = await getWebmention(collection, wmId);
+      if (!doc) {
+        return response.redirect(application.webmentionEndpoint + "?error=not-found");
+      }
+
+      if (!application.micropubEndpoint) {
+        throw new Error("No Micropub endpoint configured");
+      }
+
+      // The endpoint is usually a path on this server. It is resolved
+      // against the configured URL only: the access token must never go
+      // to a host named by the request's Host header
+      let endpoint;
+      try {
+        endpoint = new URL(application.micropubEndpoint, application.url).href;
+      } catch {
+        throw new Error(
+          "Micropub endpoint must be an absolute URL, or Indiekit's application.url must be set",
+        );
+      }
+
+      const url = await createResponse({
+        endpoint,
+        accessToken: request.session?.access_token,
+        type,
+        url: doc.sourceUrl,
+        content,
+      });
+
+      await addResponse(collection, wmId, {
+        type,
+        url,
+        createdAt: new Date().toISOString(),
+      });
+
+      console.log(`[Webmentions] Posted ${type} to ${doc.sourceUrl}: ${url}`);
+
+      response.redirect(
+        application.webmentionEndpoint +
+          `?responded=${type}&respondedTo=${wmId}`,
+      );
+    } catch (error) {
+      console.error("[Webmentions] Respond error:", error.message);
+
+      // Back to the composer, keeping what was typed
+      const params = new URLSearchParams({
+        type: RESPONSE_TYPES.includes(type) ? type : "reply",
+        error: error.message,
+      });
+      if (content) {
+        params.set("content", content);
+      }
+      response.redirect(`${composer}?${params}`);
+    }
+  },
+};
@@ -0,0 +1,116 @@
+/**
+ * Threads controller - conversations per post
+ */
+
+import {
+  getThreadMentions,
+  getThreadTargets,
+} from "../storage/webmentions.js";
+import { buildThreads } from "../threads.js";
+import {
+  getMentionTitle,
+  getAuthorName,
+  ensureISOString,
+  cleanHtml,
+} from "../utils.js";
+
+export const threadsController = {
+  /**
+   * GET /threads - Conversations, most recently active post first
+   * Query: target=URL for a single post
+   */
+  async list(request, response) {
+    const { application } = request.app.locals;
+
+    try {
+      const db = application.getWebmentionDb();
+      const collection = db.collection("webmentions");
+      const page = Number(request.query.page) || 0;
+      const limit = 10;
+      const target =
+        typeof request.query.target === "string" ? request.query.target : null;
+
+      let targets = target ? [target] : [];
+      let total = targets.length;
+
+      if (!target) {
+        const result = await getThreadTargets(collection, {
+          page,
+          perPage: limit,
+        });
+        targets = result.items.map((item) => item.target);
+        total = result.total;
+      }
+
+      const docs = await getThreadMentions(collection, targets, {
+        showHidden: true,
+      });
+      const posts = buildThreads(docs).map((post) => ({
+        target: post.target,
+        total: post.total,
+        latest: post.latest,
+        threads: post.threads.map(toViewNode),
+      }));
+
+      const cursor = {};
+      if (!target && (page + 1) * limit < total) {
+        cursor.next = { href: `?page=${page + 1}` };
+      }
+      if (!target && page > 0) {
+        cursor.previous = { href: `?page=${page - 1}` };
+      }
+
+      response.render("webmentions-threads", {
+        title: response.locals.__("webmention-io.threads.title"),
+        posts,
+        target,
+        total,
+        cursor,
+        wmEndpoint: application.webmentionEndpoint,
+      });
+    } catch (error) {
+      console.error("[Webmentions] Threads error:", error);
+      response.status(500).render("error", {
+        title: "Error",
+        message: "Failed to load threads",
+        error: error.message,
+      });
+    }
+  },
+};
+
+/**
+ * Convert a thread node for the view
+ * @param {object} node - Node from `buildThreads()`
+ * @returns {object} View node
+ */
+function toViewNode(node) {
+  const children = node.children.map(toViewNode);
+
+  if (!node.doc) {
+    return {
+      ours: true,
+      url: node.response.url,
+      published: ensureISOString(node.response.createdAt),
+      children,
+    };
+  }
+
+  const doc = node.doc;
+  return {
+    id: doc.wmId,
+    url: doc.sourceUrl,
+    title: getMentionTitle({ name: doc.name, "wm-property": doc.wmProperty }),
+    authorName: doc.authorName || getAuthorName({
+      author: { name: doc.authorName, url: doc.authorUrl },
+      url: doc.sourceUrl,
+    }),
+    authorUrl: doc.authorUrl,
+    authorPhoto: doc.authorPhoto,
+    contentHtml: cleanHtml(doc.contentHtml),
+    published: ensureISOString(doc.published) || ensureISOString(doc.wmReceived),
+    hidden: doc.hidden,
+    hiddenReason: doc.hiddenReason,
+    children,
+  };
+}
@@ -0,0 +1,105 @@
+/**
+ * Webhooks controller - configured webhooks and delivery log
+ */
+
+import {
+  ensureWebhookIndexes,
+  getDeliveries,
+} from "../storage/webhooks.js";
+import { getWebhooks, retryDelivery } from "../webhooks.js";
+import { ensureISOString } from "../utils.js";
+
+const DELIVERY_STATUSES = ["pending", "delivered", "failed"];
+
+export const webhooksController = {
+  /**
+   * GET /webhooks - Configured webhooks and delivery log
+   */
+  async list(request, response) {
+    const { application } = request.app.locals;
+
+    try {
+      const db = application.getWebmentionDb();
+      const page = Number(request.query.page) || 0;
+      const limit = 50;
+      const status = DELIVERY_STATUSES.includes(request.query.status)
+        ? request.query.status
+        : null;
+
+      // Never show secrets, only whether requests are signed
+      const webhooks = getWebhooks(application.webmentionConfig).map(
+        ({ secret, ...webhook }) => ({ ...webhook, signed: Boolean(secret) }),
+      );
+
+      let deliveries = [];
+      let total = 0;
+
+      if (db) {
+        const collection = db.collection("webmentionWebhookDeliveries");
+        await ensureWebhookIndexes(collection);
+        const result = await getDeliveries(collection, {
+          status,
+          page,
+          perPage: limit,
+        });
+
+        total = result.total;
+        deliveries = result.items.map((delivery) => ({
+          ...delivery,
+          createdAt: ensureISOString(delivery.createdAt),
+          lastAttemptAt: ensureISOString(delivery.lastAttemptAt),
+          nextAttemptAt: ensureISOString(delivery.nextAttemptAt),
+        }));
+      }
+
+      const params = status ? `&status=${status}` : "";
+      const cursor = {};
+      if ((page + 1) * limit < total) {
+        cursor.next = { href: `?page=${page + 1}${params}` };
+      }
+      if (page > 0) {
+        cursor.previous = { href: `?page=${page - 1}${params}` };
+      }
+
+      response.render("webmentions-webhooks", {
+        title: response.locals.__("webmention-io.webhooks.title"),
+        webhooks,
+        deliveries,
+        statuses: DELIVERY_STATUSES,
+        status,
+        total,
+        cursor,
+        wmEndpoint: application.webmentionEndpoint,
+      });
+    } catch (error) {
+      console.error("[Webmentions] Webhooks error:", error);
+      response.status(500).render("error", {
+        title: "Error",
+        message: "Failed to load webhooks",
+        error: error.message,
+      });
+    }
+  },
+
+  /**
+   * POST /webhooks/:id/retry - Send a delivery again now
+   */
+  async retry(request, response) {
+    const { application } = request.app.locals;
+    const endpoint = application.webmentionEndpoint + "/webhooks";
+
+    try {
+      const db = application.getWebmentionDb();
+      const found = await retryDelivery(
+        db,
+        application.webmentionConfig,
+        request.params.id,
+      );
+
+      response.redirect(endpoint + (found ? "?retried=1" : "?error=not-found"));
+    } catch (error) {
+      console.error("[Webmentions] Webhook retry error:", error);
+      response.redirect(endpoint + "?error=retry-failed");
+    }
+  },
+};
@@ -0,0 +1,326 @@
+/**
+ * Notification digests
+ *
+ * A digest lists the mentions stored since the previous one, grouped by
+ * post and type, with a link to moderate each. It is sent daily or weekly
+ * through the transport set in the `digest` option. The time window and
+ * last run are kept in the `webmentionState` collection.
+ */
+
+import { getReceivedWebmentions } from "./storage/webmentions.js";
+import { ensureStateIndexes, getState, setState } from "./storage/state.js";
+import { createTransport } from "./transports/index.js";
+import {
+  ensureISOString,
+  escapeHtml,
+  getAuthorName,
+  getMentionTitle,
+  getMentionType,
+} from "./utils.js";
+
+const DAY = 86_400_000;
+const PERIODS = { daily: DAY, weekly: 7 * DAY };
+const CHECK_INTERVAL = 900_000; // 15 minutes
+const STATE_KEY = "digest";
+
+const TYPE_LABELS = {
+  reply: "Replies",
+  mention: "Mentions",
+  like: "Likes",
+  repost: "Reposts",
+  bookmark: "Bookmarks",
+  rsvp: "RSVPs",
+};
+
+let checkInterval = null;
+
+/**
+ * Get digest settings from plugin options
+ * @param {object} options - Plugin options
+ * @returns {object|null} Settings, or null if digests are off
+ */
+export function getDigestConfig(options = {}) {
+  const digest = options.digest;
+  if (!digest) {
+    return null;
+  }
+
+  const frequency = digest.frequency || "daily";
+  if (!PERIODS[frequency]) {
+    throw new Error(`Unknown digest frequency: ${frequency}`);
+  }
+
+  return {
+    frequency,
+    period: PERIODS[frequency],
+    hour: digest.hour ?? 8,
+    day: digest.day ?? 1,
+    sendEmpty: Boolean(digest.sendEmpty),
+    baseUrl: digest.baseUrl,
+    transport: createTransport(digest.transport),
+  };
+}
+
+/**
+ * Build digest data from webmention documents
+ * @param {Array<object>} docs - Webmention documents, oldest first
+ * @param {object} params - Digest params
+ * @param {string} params.since - Start of the window (ISO date)
+ * @param {string} params.until - End of the window (ISO date)
+ * @param {string} params.dashboardUrl - Dashboard URL, for moderation links
+ * @returns {object} Digest with `posts`, each with mentions grouped by type
+ */
+export function buildDigest(docs, { since, until, dashboardUrl }) {
+  const posts = new Map();
+  let pending = 0;
+
+  for (const doc of docs) {
+    const jf2 = {
+      name: doc.name,
+      "wm-property": doc.wmProperty,
+      author: { name: doc.authorName, url: doc.authorUrl },
+      url: doc.sourceUrl,
+    };
+    const type = getMentionType(doc.wmProperty);
+
+    if (doc.hidden && doc.hiddenReason === "pending") {
+      pending++;
+    }
+
+    const target = doc.wmTarget || "";
+    if (!posts.has(target)) {
+      posts.set(target, { target, total: 0, groups: new Map() });
+    }
+    const post = posts.get(target);
+    if (!post.groups.has(type)) {
+      post.groups.set(type, []);
+    }
+
+    post.total++;
+    post.groups.get(type).push({
+      wmId: doc.wmId,
+      title: getMentionTitle(jf2),
+      author: getAuthorName(jf2),
+      url: doc.sourceUrl,
+      received: ensureISOString(doc.wmReceived),
+      status: doc.hidden ? doc.hiddenReason || "hidden" : null,
+      moderateUrl: `${dashboardUrl}?filter=all&wm=${doc.wmId}`,
+    });
+  }
+
+  // Busiest posts first, types in a fixed order
+  const sorted = [...posts.values()]
+    .sort((a, b) => b.total - a.total)
+    .map((post) => ({
+      target: post.target,
+      total: post.total,
+      groups: Object.keys(TYPE_LABELS)
+        .filter((type) => post.groups.has(type))
+        .map((type) => ({
+          type,
+          label: TYPE_LABELS[type],
+          mentions: post.groups.get(type),
+        })),
+    }));
+
+  return {
+    since,
+    until,
+    total: docs.length,
+    pending,
+    dashboardUrl,
+    posts: sorted,
+  };
+}
+
+/**
+ * Render digest data as a message
+ * @param {object} digest - From `buildDigest()`
+ * @returns {{subject: string, text: string, html: string}}
+ */
+export function renderDigest(digest) {
+  let subject = `${digest.total} new webmention${digest.total === 1 ? "" : "s"}`;
+  if (digest.pending > 0) {
+    subject += `, ${digest.pending} awaiting approval`;
+  }
+
+  const text = [`${subject} since ${digest.since}`, ""];
+  const html = [
+    `<h1>${escapeHtml(subject)}</h1>`,
+    `<p>Since ${escapeHtml(digest.since)} · <a href="${escapeHtml(digest.dashboardUrl)}">Open dashboard</a></p>`,
+  ];
+
+  for (const post of digest.posts) {
+    text.push(`${post.target} (${post.total})`);
+    html.push(
+      `<h2><a href="${escapeHtml(post.target)}">${escapeHtml(post.target)}</a> (${post.total})</h2>`,
+    );
+
+    for (const group of post.groups) {
+      text.push(`  ${group.label}`);
+      html.push(`<h3>${group.label}</h3>`, "<ul>");
+
+      for (const mention of group.mentions) {
+        const status = mention.status ? ` [${mention.status}]` : "";
+        text.push(
+          `  - ${mention.author}: ${mention.title}${status}`,
+          `    ${mention.url}`,
+          `    Moderate: ${mention.moderateUrl}`,
+        );
+        html.push(
+          `<li><a href="${escapeHtml(mention.url)}">${escapeHtml(mention.author)}: ${escapeHtml(mention.title)}</a>${escapeHtml(status)} · <a href="${escapeHtml(mention.moderateUrl)}">Moderate</a></li>`,
+        );
+      }
+
+      html.push("</ul>");
+    }
+
+    text.push("");
+  }
+
+  if (digest.total === 0) {
+    text.push("No new webmentions.");
+    html.push("<p>No new webmentions.</p>");
+  }
+
+  return { subject, text: text.join("\n"), html: html.join("\n") };
+}
+
+/**
+ * Send a digest if one is due
+ * @param {object} dbOrIndiekit - Database or Indiekit instance
+ * @param {object} options - Plugin options
+ * @param {object} [params] - Send params
+ * @param {boolean} [params.force] - Send now, even if not due
+ * @param {string} [params.baseUrl] - Indiekit URL, for dashboard links
+ * @returns {Promise<object>} `sent`, `count` and `error`
+ */
+export async function sendDigest(dbOrIndiekit, options, params = {}) {
+  const db = dbOrIndiekit.database || dbOrIndiekit;
+  if (!db || typeof db.collection !== "function") {
+    return { sent: false, error: "No database available" };
+  }
+
+  const config = getDigestConfig(options);
+  if (!config) {
+    return { sent: false, error: "Digests are not configured" };
+  }
+
+  const stateCollection = db.collection("webmentionState");
+  await ensureStateIndexes(stateCollection);
+  const state = await getState(stateCollection, STATE_KEY);
+
+  const now = new Date();
+  const until = now.toISOString();
+
+  // The first digest covers mentions from when digests were switched on
+  if (!state.since && !params.force) {
+    await setState(stateCollection, STATE_KEY, { since: until, lastRunAt: until });
+    return { sent: false, count: 0 };
+  }
+
+  if (!params.force && !isDue(state, config, now)) {
+    return { sent: false, count: 0 };
+  }
+
+  const since = state.since || new Date(now - config.period).toISOString();
+  const docs = await getReceivedWebmentions(
+    db.collection("webmentions"),
+    since,
+    until,
+  );
+
+  if (docs.length === 0 && !config.sendEmpty && !params.force) {
+    await setState(stateCollection, STATE_KEY, { since: until, lastRunAt: until });
+    return { sent: false, count: 0 };
+  }
+
+  const baseUrl = (params.baseUrl || config.baseUrl || "").replace(/\/$/, "");
+  const digest = buildDigest(docs, {
+    since,
+    until,
+    dashboardUrl: baseUrl + (options.mountPath || "/webmentions"),
+  });
+
+  try {
+    await config.transport.send({ ...renderDigest(digest), digest });
+  } catch (error) {
+    // Keep the window, so the next check tries again with the same mentions
+    console.error(
+      `[Webmentions] Digest via ${config.transport.id} failed:`,
+      error.message,
+    );
+    await setState(stateCollection, STATE_KEY, { lastError: error.message });
+    return { sent: false, count: docs.length, error: error.message };
+  }
+
+  await setState(stateCollection, STATE_KEY, {
+    since: until,
+    lastRunAt: until,
+    lastSentAt: until,
+    lastCount: docs.length,
+    lastError: null,
+  });
+
+  console.log(
+    `[Webmentions] Digest sent via ${config.transport.id}: ${docs.length} mentions`,
+  );
+
+  return { sent: true, count: docs.length };
+}
+
+/**
+ * Start checking for due digests
+ * @param {object} Indiekit - Indiekit instance
+ * @param {object} options - Plugin options
+ */
+export function startDigests(Indiekit, options) {
+  if (!options.digest) {
+    return;
+  }
+
+  // Validate the config (and transport) at startup, not on the first send
+  getDigestConfig(options);
+
+  const baseUrl = options.digest.baseUrl || Indiekit.config?.application?.url;
+
+  checkInterval = setInterval(() => {
+    sendDigest(Indiekit, options, { baseUrl }).catch((err) => {
+      console.error("[Webmentions] Digest error:", err.message);
+    });
+  }, CHECK_INTERVAL);
+}
+
+/**
+ * Stop checking for due digests
+ */
+export function stopDigests() {
+  if (checkInterval) {
+    clearInterval(checkInterval);
+    checkInterval = null;
+  }
+}
+
+/**
+ * Whether the most recent scheduled digest time has passed since the last run
+ * Digests are scheduled at `hour` (server time) every day, or on `day`
+ * (0 = Sunday) every week.
+ * @param {object} state - Digest state
+ * @param {object} config - From `getDigestConfig()`
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+export function isDue(state, config, now) {
+  const slot = new Date(now);
+  slot.setHours(config.hour, 0, 0, 0);
+
+  if (config.frequency === "weekly") {
+    slot.setDate(slot.getDate() - ((slot.getDay() - config.day + 7) % 7));
+  }
+
+  if (slot > now) {
+    slot.setDate(slot.getDate() - (config.frequency === "weekly" ? 7 : 1));
+  }
+
+  return !state.lastRunAt || new Date(state.lastRunAt) < slot;
+}
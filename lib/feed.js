@@ -0,0 +1,146 @@
+/**
+ * Atom and JSON Feed of incoming webmentions
+ *
+ * Feeds are built from the JF2 that `documentToJf2()` produces, with the
+ * moderation state of each mention added to its title, so hidden and pending
+ * mentions stand out when they are included.
+ */
+
+import { createHash, timingSafeEqual } from "node:crypto";
+
+import { documentToJf2 } from "./storage/webmentions.js";
+import { escapeHtml, getAuthorName, getMentionType } from "./utils.js";
+
+const VERBS = {
+  reply: "replied to",
+  like: "liked",
+  repost: "reposted",
+  bookmark: "bookmarked",
+  rsvp: "RSVPed to",
+  mention: "mentioned",
+};
+
+/**
+ * Check a feed token against the configured one, in constant time
+ * @param {string} given - Token from the request
+ * @param {string} expected - Configured `feedToken`
+ * @returns {boolean}
+ */
+export function isValidFeedToken(given, expected) {
+  if (!expected || typeof given !== "string" || !given) {
+    return false;
+  }
+
+  // Compare digests so differing lengths don't short-circuit
+  const digest = (value) => createHash("sha256").update(value).digest();
+  return timingSafeEqual(digest(given), digest(expected));
+}
+
+/**
+ * Build an Atom feed
+ * @param {Array<object>} docs - Webmention documents, newest first
+ * @param {object} meta - Feed metadata
+ * @param {string} meta.title - Feed title
+ * @param {string} meta.feedUrl - Feed URL (without token)
+ * @param {string} meta.homeUrl - Dashboard URL
+ * @returns {string} Atom XML
+ */
+export function buildAtomFeed(docs, { title, feedUrl, homeUrl }) {
+  const items = docs.map(toFeedItem);
+  const updated = items[0]?.updated || new Date().toISOString();
+
+  const entries = items.map(
+    (item) => `  <entry>
+    <id>${escapeHtml(item.id)}</id>
+    <title>${escapeHtml(item.title)}</title>
+    <link rel="alternate" href="${escapeHtml(item.url)}"/>
+    <link rel="related" href="${escapeHtml(item.target)}"/>
+    <published>${item.published}</published>
+    <updated>${item.updated}</updated>
+    <author>
+      <name>${escapeHtml(item.author.name)}</name>${item.author.url ? `
+      <uri>${escapeHtml(item.author.url)}</uri>` : ""}
+    </author>
+    <category term="${item.type}"/>
+    <content type="html">${escapeHtml(item.contentHtml)}</content>
+  </entry>`,
+  );
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escapeHtml(feedUrl)}</id>
+  <title>${escapeHtml(title)}</title>
+  <link rel="self" href="${escapeHtml(feedUrl)}"/>
+  <link rel="alternate" href="${escapeHtml(homeUrl)}"/>
+  <updated>${updated}</updated>
+${entries.join("\n")}
+</feed>
+`;
+}
+
+/**
+ * Build a JSON Feed (version 1.1)
+ * @param {Array<object>} docs - Webmention documents, newest first
+ * @param {object} meta - Feed metadata, as for `buildAtomFeed()`
+ * @returns {object} JSON Feed
+ */
+export function buildJsonFeed(docs, { title, feedUrl, homeUrl }) {
+  return {
+    version: "https://jsonfeed.org/version/1.1",
+    title,
+    home_page_url: homeUrl,
+    feed_url: feedUrl,
+    items: docs.map(toFeedItem).map((item) => ({
+      id: item.id,
+      url: item.url,
+      external_url: item.target,
+      title: item.title,
+      content_html: item.contentHtml,
+      date_published: item.published,
+      date_modified: item.updated,
+      authors: [
+        {
+          name: item.author.name,
+          ...(item.author.url && { url: item.author.url }),
+          ...(item.author.photo && { avatar: item.author.photo }),
+        },
+      ],
+      tags: [item.type, item.status].filter(Boolean),
+      _webmention: item.jf2,
+    })),
+  };
+}
+
+/**
+ * Get the fields both feed formats need from a webmention document
+ * @param {object} doc - Webmention document
+ * @returns {object} Feed item
+ */
+function toFeedItem(doc) {
+  const jf2 = documentToJf2(doc);
+  const type = getMentionType(jf2["wm-property"]);
+  const author = getAuthorName(jf2);
+  const status = doc.hidden ? doc.hiddenReason || "hidden" : null;
+
+  let title = `${author} ${VERBS[type]} ${jf2["wm-target"]}`;
+  if (status) {
+    title = `[${status}] ${title}`;
+  }
+
+  const content = jf2.content?.html || escapeHtml(jf2.content?.text || jf2.name || "");
+  const contentHtml = `${content ? `${content}\n` : ""}<p><a href="${escapeHtml(jf2.url)}">${escapeHtml(jf2.url)}</a> → <a href="${escapeHtml(jf2["wm-target"])}">${escapeHtml(jf2["wm-target"])}</a></p>`;
+
+  return {
+    id: `urn:webmention:${jf2["wm-id"]}`,
+    url: jf2.url,
+    target: jf2["wm-target"],
+    title,
+    type,
+    status,
+    contentHtml,
+    published: jf2.published,
+    updated: doc.editedAt || jf2["wm-received"],
+    author: { name: author, url: jf2.author.url, photo: jf2.author.photo },
+    jf2,
+  };
+}
@@ -1,44 +1,93 @@
 /**
- * h-card discovery for author photo enrichment
+ * h-card discovery for author enrichment
  *
  * When webmention.io returns empty author photos (common with IndieWeb
  * sites that only have h-cards on their homepage, not individual post pages),
- * this module fetches the source domain's homepage and parses the h-card
- * to find the author's photo and URL.
+ * this module looks for the author's h-card: first the `p-author` of one of
+ * the domain's posts, then the representative h-card of the author's page
+ * (or the domain's homepage), parsed with microformats-parser.
  *
- * Results are cached in MongoDB (7-day TTL) and in-memory (process lifetime)
- * to avoid redundant HTTP requests.
+ * Post authors are cached per post and homepage h-cards per domain, in
+ * MongoDB (7-day TTL) and in-memory (process lifetime), to avoid redundant
+ * HTTP requests. A post's author is only ever applied to that post's
+ * mentions (and the same author's), never to the rest of its domain.
  */
 
-// In-memory cache: domain -> { photoUrl, authorUrl } | null
+import { mf2 } from "microformats-parser";
+
+import { findEntry, getUrl } from "./mf2.js";
+import { fetchPublic } from "./source.js";
+import { normaliseProfileUrl } from "./utils.js";
+
+// In-memory caches: domain (or post URL) -> { photoUrl, authorUrl, name, note }
 const memoryCache = new Map();
+const postMemoryCache = new Map();
 
 const CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+const MAX_BODY_BYTES = 1_000_000; // 1 MB
 
 /**
- * Discover author data (photo + URL) from a domain's homepage h-card
+ * Discover author data from the representative h-card of a domain's
+ * homepage
  * @param {string} domain - Domain to check (e.g., "crowdersoup.com")
- * @param {object} [cacheCollection] - MongoDB collection for persistent cache
- * @returns {Promise<{photoUrl: string|null, authorUrl: string|null}>}
+ * @param {object} [cacheCollection] - MongoDB collection for persistent
+ *   cache, keyed by `domain`
+ * @returns {Promise<{photoUrl: string|null, authorUrl: string|null, name: string|null, note: string|null}>}
  */
 export async function discoverAuthorData(domain, cacheCollection) {
-  if (!domain) return { photoUrl: null, authorUrl: null };
+  if (!domain) return emptyCard();
+
+  return withCache(memoryCache, cacheCollection, { domain }, async () => {
+    const page = await fetchHtml(`https://${domain}`);
+    return page ? parseHcard(page.html, page.url) : emptyCard();
+  });
+}
+
+/**
+ * Discover the author of a post: its `p-author`, with any gaps filled from
+ * the representative h-card of the author's page
+ * @param {string} sourceUrl - Post URL
+ * @param {object} [cacheCollection] - MongoDB collection for persistent
+ *   cache, keyed by `url`
+ * @returns {Promise<{photoUrl: string|null, authorUrl: string|null, name: string|null, note: string|null}>}
+ */
+export async function discoverPostAuthor(sourceUrl, cacheCollection) {
+  if (!sourceUrl) return emptyCard();
+
+  return withCache(postMemoryCache, cacheCollection, { url: sourceUrl }, () =>
+    findPostAuthor(sourceUrl),
+  );
+}
+
+/**
+ * Look up author data through the in-memory and MongoDB caches, storing
+ * what the lookup finds. Failed lookups are cached as empty cards.
+ * @param {Map} cache - In-memory cache
+ * @param {object} [cacheCollection] - MongoDB collection
+ * @param {object} key - Cache key (`{ domain }` or `{ url }`)
+ * @param {Function} lookup - Resolves to author data
+ * @returns {Promise<{photoUrl: string|null, authorUrl: string|null, name: string|null, note: string|null}>}
+ */
+async function withCache(cache, cacheCollection, key, lookup) {
+  const id = Object.values(key)[0];
 
   // Check in-memory cache
-  if (memoryCache.has(domain)) {
-    return memoryCache.get(domain);
+  if (cache.has(id)) {
+    return cache.get(id);
   }
 
   // Check MongoDB cache
   if (cacheCollection) {
     try {
-      const cached = await cacheCollection.findOne({ domain });
+      const cached = await cacheCollection.findOne(key);
       if (cached && !isExpired(cached.fetchedAt)) {
         const result = {
           photoUrl: cached.photoUrl || null,
           authorUrl: cached.authorUrl || null,
+          name: cached.name || null,
+          note: cached.note || null,
         };
-        memoryCache.set(domain, result);
+        cache.set(id, result);
         return result;
       }
     } catch {
@@ -46,28 +95,26 @@ export async function discoverAuthorData(domain, cacheCollection) {
     }
   }
 
-  // Fetch and parse the homepage h-card
-  let result = { photoUrl: null, authorUrl: null };
+  let result = emptyCard();
   try {
-    result = await fetchHcardData(domain);
+    result = await lookup();
   } catch (error) {
     console.log(
-      `[Webmentions] h-card discovery failed for ${domain}: ${error.message}`,
+      `[Webmentions] h-card discovery failed for ${id}: ${error.message}`,
     );
   }
 
   // Store in caches
-  memoryCache.set(domain, result);
+  cache.set(id, result);
 
   if (cacheCollection) {
     try {
       await cacheCollection.updateOne(
-        { domain },
+        key,
         {
           $set: {
-            domain,
-            photoUrl: result.photoUrl,
-            authorUrl: result.authorUrl,
+            ...key,
+            ...result,
             fetchedAt: new Date().toISOString(),
           },
         },
@@ -82,139 +129,169 @@ export async function discoverAuthorData(domain, cacheCollection) {
 }
 
 /**
- * Fetch a domain's homepage and extract h-card data
- * @param {string} domain
- * @returns {Promise<{photoUrl: string|null, authorUrl: string|null}>}
+ * Find a post's author, starting from its `p-author` and filling any gaps
+ * from the representative h-card of the author's page
+ * @param {string} sourceUrl - Post URL
+ * @returns {Promise<{photoUrl: string|null, authorUrl: string|null, name: string|null, note: string|null}>}
  */
-async function fetchHcardData(domain) {
-  const baseUrl = `https://${domain}`;
-  const response = await fetch(baseUrl, {
-    headers: {
-      accept: "text/html",
-      "user-agent": "Indiekit-Webmention/1.0 (h-card discovery)",
-    },
-    signal: AbortSignal.timeout(10_000),
-    redirect: "follow",
-  });
+async function findPostAuthor(sourceUrl) {
+  const post = await fetchHtml(sourceUrl);
+  if (!post) {
+    return emptyCard();
+  }
 
-  if (!response.ok) {
-    return { photoUrl: null, authorUrl: null };
+  const card = parsePostAuthor(post.html, post.url);
+  if (!card.authorUrl || (card.photoUrl && card.name)) {
+    return card;
   }
 
-  const contentType = response.headers.get("content-type") || "";
-  if (!contentType.includes("text/html")) {
-    return { photoUrl: null, authorUrl: null };
+  // An author given only by URL (or rel=author) is looked up on that page
+  const page = await fetchHtml(card.authorUrl);
+  if (!page) {
+    return card;
   }
 
-  const html = await response.text();
-  return parseHcard(html, baseUrl);
+  const profile = parseHcard(page.html, page.url);
+  return {
+    photoUrl: card.photoUrl || profile.photoUrl,
+    authorUrl: card.authorUrl,
+    name: card.name || profile.name,
+    note: card.note || profile.note,
+  };
 }
 
 /**
- * Parse h-card microformat from HTML to extract photo and URL
- * @param {string} html - Page HTML
- * @param {string} baseUrl - Base URL for resolving relative URLs
- * @returns {{photoUrl: string|null, authorUrl: string|null}}
+ * Fetch an HTML page
+ * @param {string} url - Page URL
+ * @returns {Promise<{html: string, url: string}|null>} The page and the URL
+ *   it was fetched from (after redirects), or null if it isn't HTML
  */
-export function parseHcard(html, baseUrl) {
-  let photoUrl = null;
-  let authorUrl = null;
-
-  // Find u-photo images and u-url links in the page.
-  // These are microformat-specific class names that are unlikely to
-  // appear outside h-card context.
-  photoUrl = findUPhoto(html);
-  authorUrl = findUUrl(html);
-
-  // Resolve relative URLs
-  if (photoUrl) {
-    photoUrl = resolveUrl(photoUrl, baseUrl);
-  }
-  if (authorUrl) {
-    authorUrl = resolveUrl(authorUrl, baseUrl);
+async function fetchHtml(url) {
+  const response = await fetchPublic(url, {
+    accept: "text/html",
+    userAgent: "Indiekit-Webmention/1.0 (h-card discovery)",
+    maxBytes: MAX_BODY_BYTES,
+    timeout: 10_000,
+  });
+
+  if (!response.ok || response.tooLarge || !response.contentType.includes("text/html")) {
+    return null;
   }
 
-  return { photoUrl, authorUrl };
+  return { html: response.body.toString("utf8"), url: response.url };
 }
 
 /**
- * Find u-photo value from img elements
- * @param {string} html
- * @returns {string|null}
+ * Parse the representative h-card of a page: the person or organisation
+ * the page is about (https://microformats.org/wiki/representative-h-card-parsing)
+ * @param {string} html - Page HTML
+ * @param {string} baseUrl - Page URL, for resolving relative URLs
+ * @returns {{photoUrl: string|null, authorUrl: string|null, name: string|null, note: string|null}}
  */
-function findUPhoto(html) {
-  const imgRegex = /<img\s[^>]*?>/gi;
-  let match;
+export function parseHcard(html, baseUrl) {
+  const parsed = mf2(html, { baseUrl });
+  const card = findRepresentativeCard(parsed, baseUrl);
+  return card ? cardToAuthor(card) : emptyCard();
+}
 
-  while ((match = imgRegex.exec(html)) !== null) {
-    const tag = match[0];
+/**
+ * Parse the author of a post: its h-entry's `p-author` h-card, or the
+ * author URL (or name) it gives, or the page's rel=author link
+ * @param {string} html - Post HTML
+ * @param {string} baseUrl - Post URL
+ * @returns {{photoUrl: string|null, authorUrl: string|null, name: string|null, note: string|null}}
+ */
+export function parsePostAuthor(html, baseUrl) {
+  const parsed = mf2(html, { baseUrl });
+  const author = findEntry(parsed.items, baseUrl)?.properties.author?.[0];
 
-    if (!hasClass(tag, "u-photo")) continue;
+  if (author?.type?.includes("h-card")) {
+    return cardToAuthor(author);
+  }
 
-    const src = getAttr(tag, "src");
-    if (src) return src;
+  const value = typeof author === "string" ? author.trim() : getUrl(author);
+  if (value && !/^https?:\/\//i.test(value)) {
+    return { ...emptyCard(), name: value, authorUrl: parsed.rels.author?.[0] || null };
   }
 
-  return null;
+  return { ...emptyCard(), authorUrl: value || parsed.rels.author?.[0] || null };
 }
 
 /**
- * Find u-url or u-uid value from anchor elements
- * @param {string} html
- * @returns {string|null}
+ * Pick a page's representative h-card. In order: an h-card whose `uid` and
+ * `url` are the page; one whose `url` is also a rel=me link on the page; the
+ * first whose `url` is the page; the page's only h-card, if it has no `url`
+ * @param {object} parsed - microformats-parser result
+ * @param {string} pageUrl - Page URL
+ * @returns {object|null} h-card item
  */
-function findUUrl(html) {
-  const aRegex = /<a\s[^>]*?>/gi;
-  let match;
-
-  while ((match = aRegex.exec(html)) !== null) {
-    const tag = match[0];
-
-    if (!hasClass(tag, "u-url") && !hasClass(tag, "u-uid")) continue;
-
-    const href = getAttr(tag, "href");
-    if (href) return href;
-  }
-
-  return null;
+export function findRepresentativeCard(parsed, pageUrl) {
+  const cards = findCards(parsed.items);
+  const page = normaliseProfileUrl(pageUrl);
+  const relMe = new Set((parsed.rels?.me || []).map(normaliseProfileUrl));
+  const urls = (card, property = "url") =>
+    (card.properties[property] || [])
+      .map((value) => normaliseProfileUrl(getUrl(value)))
+      .filter(Boolean);
+
+  return (
+    cards.find((card) => urls(card, "uid").includes(page) && urls(card).includes(page)) ||
+    cards.find((card) => urls(card).some((url) => relMe.has(url))) ||
+    cards.find((card) => urls(card).includes(page)) ||
+    (cards.length === 1 && urls(cards[0]).length === 0 ? cards[0] : null)
+  );
 }
 
 /**
- * Check if an HTML tag has a specific class
- * @param {string} tag - HTML tag string
- * @param {string} className - Class to check for
- * @returns {boolean}
+ * Collect every h-card on a page, including nested ones (children and
+ * property values such as an h-entry's author)
+ * @param {Array} items - mf2 items
+ * @returns {Array<object>}
  */
-function hasClass(tag, className) {
-  const classMatch = tag.match(/class=["']([^"']*)["']/i);
-  if (!classMatch) return false;
-  return classMatch[1].split(/\s+/).includes(className);
+function findCards(items) {
+  const cards = [];
+  const walk = (list) => {
+    for (const item of list || []) {
+      if (!item?.type) continue;
+      if (item.type.includes("h-card")) cards.push(item);
+      walk(item.children);
+      for (const values of Object.values(item.properties || {})) {
+        walk(values);
+      }
+    }
+  };
+  walk(items);
+  return cards;
 }
 
 /**
- * Get an attribute value from an HTML tag
- * @param {string} tag - HTML tag string
- * @param {string} attr - Attribute name
- * @returns {string|null}
+ * Get author data from an h-card
+ * @param {object} card - h-card item
+ * @returns {{photoUrl: string|null, authorUrl: string|null, name: string|null, note: string|null}}
  */
-function getAttr(tag, attr) {
-  const regex = new RegExp(`${attr}=["']([^"']*)["']`, "i");
-  const match = tag.match(regex);
-  return match ? match[1] : null;
+function cardToAuthor(card) {
+  const properties = card.properties || {};
+  return {
+    photoUrl: getUrl(properties.photo?.[0]) || null,
+    authorUrl: getUrl(properties.url?.[0]) || null,
+    name: getText(properties.name?.[0]) || null,
+    note: getText(properties.note?.[0]) || null,
+  };
 }
 
 /**
- * Resolve a potentially relative URL against a base
- * @param {string} url
- * @param {string} base
+ * Get the plain text of an mf2 property value
+ * @param {string|object} value - Property value
  * @returns {string}
  */
-function resolveUrl(url, base) {
-  try {
-    return new URL(url, base).href;
-  } catch {
-    return url;
-  }
+function getText(value) {
+  if (!value) return "";
+  if (typeof value === "string") return value.trim();
+  return typeof value.value === "string" ? value.value.trim() : "";
+}
+
+function emptyCard() {
+  return { photoUrl: null, authorUrl: null, name: null, note: null };
 }
 
 /**
@@ -229,8 +306,9 @@ function isExpired(fetchedAt) {
 }
 
 /**
- * Clear the in-memory cache (useful for testing)
+ * Clear the in-memory caches (useful for testing)
  */
 export function clearMemoryCache() {
   memoryCache.clear();
+  postMemoryCache.clear();
 }
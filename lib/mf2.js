@@ -0,0 +1,176 @@
+/**
+ * Microformats2 parsing helpers
+ *
+ * Turns a verified source document into a JF2 entry shaped like the ones
+ * webmention.io returns, so it can go through `jf2ToDocument()` unchanged.
+ */
+
+import { mf2 } from "microformats-parser";
+
+import { normaliseUrl } from "./source.js";
+
+const RESPONSE_PROPERTIES = ["in-reply-to", "like-of", "repost-of", "bookmark-of"];
+
+/**
+ * Parse a source document into a JF2 mention entry
+ * @param {string} html - Source HTML
+ * @param {object} params - Mention params
+ * @param {string} params.source - Source URL
+ * @param {string} params.target - Target URL
+ * @param {string} [params.baseUrl] - URL the document was fetched from (after redirects)
+ * @returns {object} JF2 entry (without `wm-id`)
+ */
+export function parseMention(html, { source, target, baseUrl = source }) {
+  const parsed = mf2(html, { baseUrl });
+  const entry = findEntry(parsed.items, baseUrl);
+
+  const jf2 = {
+    type: "entry",
+    "wm-source": source,
+    "wm-target": target,
+    "wm-property": "mention-of",
+    url: source,
+  };
+
+  if (!entry) {
+    return jf2;
+  }
+
+  const properties = entry.properties;
+  const targetClean = normaliseUrl(target);
+
+  for (const property of RESPONSE_PROPERTIES) {
+    const values = properties[property] || [];
+    if (values.some((value) => normaliseUrl(getUrl(value)) === targetClean)) {
+      jf2["wm-property"] = property;
+      jf2[property] = target;
+      break;
+    }
+  }
+
+  // Keep every in-reply-to URL, so replies to other mentions can be threaded
+  const inReplyTo = (properties["in-reply-to"] || []).map(getUrl).filter(Boolean);
+  if (inReplyTo.length > 1 || (inReplyTo.length === 1 && !jf2["in-reply-to"])) {
+    jf2["in-reply-to"] = inReplyTo.length === 1 ? inReplyTo[0] : inReplyTo;
+  }
+
+  if (jf2["wm-property"] === "in-reply-to" && properties.rsvp?.length > 0) {
+    jf2["wm-property"] = "rsvp";
+    jf2.rsvp = String(properties.rsvp[0]);
+  }
+
+  // Anything other than an http(s) URL keeps the verified source URL
+  const url = getHttpUrl(properties.url?.[0]);
+  if (url) {
+    jf2.url = url;
+  }
+
+  const author = getAuthor(properties.author?.[0]);
+  if (author) {
+    jf2.author = author;
+  }
+
+  const published = properties.published?.[0];
+  if (published && !Number.isNaN(Date.parse(published))) {
+    jf2.published = new Date(published).toISOString();
+  }
+
+  const content = properties.content?.[0];
+  if (content) {
+    jf2.content =
+      typeof content === "string"
+        ? { text: content }
+        : { html: content.html, text: content.value };
+  }
+
+  const name = properties.name?.[0];
+  if (typeof name === "string" && name.trim() && !isContentPrefix(name, jf2.content)) {
+    jf2.name = name.trim();
+  }
+
+  return jf2;
+}
+
+/**
+ * Find the h-entry describing the source page
+ * @param {Array} items - Top-level mf2 items
+ * @param {string} source - Source URL
+ * @returns {object|undefined}
+ */
+export function findEntry(items, source) {
+  const entries = [];
+  const walk = (list) => {
+    for (const item of list || []) {
+      if (item.type?.includes("h-entry")) entries.push(item);
+      walk(item.children);
+    }
+  };
+  walk(items);
+
+  const sourceClean = normaliseUrl(source);
+  return (
+    entries.find((entry) =>
+      (entry.properties.url || []).some((url) => normaliseUrl(getUrl(url)) === sourceClean),
+    ) || entries[0]
+  );
+}
+
+/**
+ * Convert an mf2 author value to a JF2 card
+ * @param {string|object} value - `author` property value
+ * @returns {object|null}
+ */
+function getAuthor(value) {
+  if (!value) return null;
+
+  if (typeof value === "string") {
+    return { type: "card", name: "", url: getHttpUrl(value), photo: "" };
+  }
+
+  const properties = value.properties || {};
+  return {
+    type: "card",
+    name: String(properties.name?.[0] || value.value || ""),
+    url: getHttpUrl(properties.url?.[0]),
+    photo: getHttpUrl(properties.photo?.[0]),
+  };
+}
+
+/**
+ * Get a URL from an mf2 property value (string, image object or embedded item)
+ * @param {string|object} value - Property value
+ * @returns {string}
+ */
+export function getUrl(value) {
+  if (!value) return "";
+  if (typeof value === "string") return value;
+  if (value.properties?.url?.[0]) return getUrl(value.properties.url[0]);
+  return value.value || "";
+}
+
+/**
+ * Get an http(s) URL from an mf2 property value, so `javascript:` and
+ * `data:` values never reach a link or image on the dashboard or embeds
+ * @param {string|object} value - Property value
+ * @returns {string} URL, or an empty string
+ */
+function getHttpUrl(value) {
+  const url = getUrl(value);
+  try {
+    return ["http:", "https:"].includes(new URL(url).protocol) ? url : "";
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * Check whether a name is just the (implied) start of the content
+ * @param {string} name - Entry name
+ * @param {object} [content] - JF2 content
+ * @returns {boolean}
+ */
+function isContentPrefix(name, content) {
+  if (!content?.text) return false;
+  const squash = (string) => string.replaceAll(/\s+/g, " ").trim();
+  return squash(content.text).startsWith(squash(name).replace(/…$/, ""));
+}
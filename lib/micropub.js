@@ -0,0 +1,78 @@
+/**
+ * Responses via Micropub
+ * Replies to, likes and reposts of a mention's source are created as posts
+ * through Indiekit's Micropub endpoint, with the signed-in user's token.
+ */
+
+/**
+ * Micropub property for each response type
+ */
+export const RESPONSE_PROPERTIES = {
+  reply: "in-reply-to",
+  like: "like-of",
+  repost: "repost-of",
+};
+
+/**
+ * Create a response post
+ * @param {object} params - Response params
+ * @param {string} params.endpoint - Micropub endpoint URL
+ * @param {string} params.accessToken - Bearer token
+ * @param {string} params.type - "reply", "like" or "repost"
+ * @param {string} params.url - URL being responded to
+ * @param {string} [params.content] - Post content (required for replies)
+ * @returns {Promise<string>} URL of the new post
+ */
+export async function createResponse({ endpoint, accessToken, type, url, content }) {
+  const property = RESPONSE_PROPERTIES[type];
+  if (!property) {
+    throw new Error(`Unknown response type: ${type}`);
+  }
+
+  if (type === "reply" && !content) {
+    throw new Error("A reply needs some content");
+  }
+
+  if (!accessToken) {
+    throw new Error("No access token; sign in again");
+  }
+
+  const properties = { [property]: [url] };
+  if (content) {
+    properties.content = [content];
+  }
+
+  const response = await fetch(endpoint, {
+    method: "POST",
+    headers: {
+      accept: "application/json",
+      authorization: `Bearer ${accessToken}`,
+      "content-type": "application/json",
+    },
+    body: JSON.stringify({ type: ["h-entry"], properties }),
+    signal: AbortSignal.timeout(30_000),
+  });
+
+  if (!response.ok) {
+    // Micropub errors are JSON with `error` and `error_description`
+    const body = await response.json().catch(() => ({}));
+    throw new Error(
+      body.error_description || body.error || `HTTP ${response.status}`,
+    );
+  }
+
+  await response.body?.cancel();
+
+  const location = response.headers.get("location");
+  if (!location) {
+    throw new Error("Micropub endpoint did not return the post URL");
+  }
+
+  // The URL is stored and linked from the dashboard
+  const postUrl = new URL(location, endpoint);
+  if (!["http:", "https:"].includes(postUrl.protocol)) {
+    throw new Error("Micropub endpoint returned a post URL that isn't HTTP");
+  }
+
+  return postUrl.href;
+}
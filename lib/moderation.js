@@ -0,0 +1,322 @@
+/**
+ * Rule-based auto-moderation
+ *
+ * Each incoming mention is scored against the configured rules before it
+ * is stored. The total score decides whether it is accepted, held for
+ * review or hidden straight away.
+ *
+ * Rule types:
+ * - `keyword` - any of `keywords` appears in the content or name
+ * - `regex` - `pattern` (with `flags`) matches `field` ("content", "name",
+ *   "author" or "url")
+ * - `link-density` - content has more than `maxLinks` links, or more than
+ *   `maxDensity` links per word
+ * - `content-length` - content is shorter than `min` or longer than `max`
+ * - `missing-author` - no author name or URL
+ * - `mention-type` - `wm-property` is one of `types`
+ * - `new-domain` - first mention ever seen from the source domain
+ */
+
+import { extractDomain } from "./utils.js";
+
+const DEFAULT_HIDE_SCORE = 10;
+const DEFAULT_REVIEW_SCORE = 5;
+
+/**
+ * Create a rule engine from the `moderation` option
+ * @param {object} [config] - Moderation config
+ * @param {Array<object>} [config.rules] - Rule definitions
+ * @param {number} [config.hideScore] - Score at which a mention is hidden
+ * @param {number} [config.reviewScore] - Score at which a mention is held for review
+ * @returns {object} Rule engine
+ */
+export function createRuleEngine(config = {}) {
+  const rules = (config.rules || [])
+    .map((rule) => compileRule(rule))
+    .filter(Boolean);
+  const hideScore = config.hideScore ?? DEFAULT_HIDE_SCORE;
+  const reviewScore = config.reviewScore ?? DEFAULT_REVIEW_SCORE;
+
+  return {
+    rules,
+
+    /**
+     * Whether any rule needs the set of already known source domains
+     */
+    needsKnownDomains: rules.some((rule) => rule.type === "new-domain"),
+
+    /**
+     * Score a JF2 entry against all rules
+     * @param {object} item - JF2 entry
+     * @param {object} [context] - Evaluation context
+     * @param {Set<string>} [context.knownDomains] - Domains already stored
+     * @param {string} [context.domain] - Source domain, when it is known
+     *   better than the entry's author or URL (a verified native source)
+     * @returns {{score: number, matches: Array<object>, action: string}}
+     *   Action is "accept", "review" or "hide"
+     */
+    evaluate(item, context = {}) {
+      const matches = [];
+
+      for (const rule of rules) {
+        const detail = rule.test(item, context);
+        if (detail) {
+          matches.push({ rule: rule.name, score: rule.score, detail });
+        }
+      }
+
+      const score = matches.reduce((total, match) => total + match.score, 0);
+
+      let action = "accept";
+      if (matches.length > 0 && score >= hideScore) {
+        action = "hide";
+      } else if (matches.length > 0 && score >= reviewScore) {
+        action = "review";
+      }
+
+      return { score, matches, action };
+    },
+  };
+}
+
+/**
+ * Get fields to store on a new mention for a rule engine result
+ * @param {object} result - Result of `evaluate()`
+ * @param {object} [options] - Options
+ * @param {boolean} [options.pending] - Hold accepted mentions for approval
+ *   (pre-moderation of an untrusted domain)
+ * @returns {object|null} Fields for `upsertWebmention()`'s `onInsert`
+ */
+export function getModerationFields(result, options = {}) {
+  const fields = {};
+
+  if (result.matches.length > 0) {
+    fields.moderation = {
+      score: result.score,
+      action: result.action,
+      rules: result.matches,
+      evaluatedAt: new Date().toISOString(),
+    };
+  }
+
+  if (result.action === "hide" || result.action === "review") {
+    fields.hidden = true;
+    fields.hiddenAt = new Date().toISOString();
+    fields.hiddenReason = result.action === "hide" ? "auto-rule" : "review";
+  } else if (options.pending) {
+    fields.hidden = true;
+    fields.hiddenAt = new Date().toISOString();
+    fields.hiddenReason = "pending";
+  }
+
+  return Object.keys(fields).length > 0 ? fields : null;
+}
+
+/**
+ * Get fields to set on an edited mention that is still visible: it is
+ * hidden or held again if the blocklist or the rules catch the new version
+ * @param {object|null} result - Result of `evaluate()` for the new version
+ * @param {object} [options] - Options
+ * @param {boolean} [options.blocked] - The blocklist matches the new version
+ * @returns {object|null} Fields for `upsertWebmention()`'s `onEdit`
+ */
+export function getEditModerationFields(result, options = {}) {
+  if (options.blocked) {
+    return {
+      hidden: true,
+      hiddenAt: new Date().toISOString(),
+      hiddenReason: "blocklist",
+    };
+  }
+
+  return result && result.action !== "accept" ? getModerationFields(result) : null;
+}
+
+/**
+ * Compile a rule definition
+ * @param {object} rule - Rule definition
+ * @returns {object|null} Compiled rule, or null if invalid
+ */
+function compileRule(rule) {
+  const name = rule.name || rule.type;
+  const score = Number(rule.score ?? DEFAULT_REVIEW_SCORE);
+
+  switch (rule.type) {
+    case "keyword": {
+      const keywords = (rule.keywords || []).map((keyword) =>
+        String(keyword).toLowerCase(),
+      );
+      return {
+        ...rule,
+        name,
+        score,
+        test(item) {
+          const text = `${getText(item)} ${item.name || ""}`.toLowerCase();
+          const found = keywords.find((keyword) => text.includes(keyword));
+          return found ? `keyword "${found}"` : null;
+        },
+      };
+    }
+
+    case "regex": {
+      let regex;
+      try {
+        regex = new RegExp(rule.pattern, rule.flags ?? "i");
+      } catch (error) {
+        console.error(
+          `[Webmentions] Ignoring moderation rule "${name}": ${error.message}`,
+        );
+        return null;
+      }
+      return {
+        ...rule,
+        name,
+        score,
+        test(item) {
+          const value = getField(item, rule.field || "content");
+          const match = value.match(regex);
+          return match ? `matched "${match[0].slice(0, 50)}"` : null;
+        },
+      };
+    }
+
+    case "link-density": {
+      return {
+        ...rule,
+        name,
+        score,
+        test(item) {
+          const links = countLinks(item);
+          const words = getText(item).split(/\s+/).filter(Boolean).length;
+
+          if (rule.maxLinks !== undefined && links > rule.maxLinks) {
+            return `${links} links`;
+          }
+
+          if (rule.maxDensity !== undefined && words > 0 && links / words > rule.maxDensity) {
+            return `${links} links in ${words} words`;
+          }
+
+          return null;
+        },
+      };
+    }
+
+    case "content-length": {
+      return {
+        ...rule,
+        name,
+        score,
+        test(item) {
+          const length = getText(item).trim().length;
+
+          if (rule.min !== undefined && length < rule.min) {
+            return `${length} characters`;
+          }
+
+          if (rule.max !== undefined && length > rule.max) {
+            return `${length} characters`;
+          }
+
+          return null;
+        },
+      };
+    }
+
+    case "missing-author": {
+      return {
+        ...rule,
+        name,
+        score,
+        test(item) {
+          return !item.author?.name && !item.author?.url
+            ? "no author"
+            : null;
+        },
+      };
+    }
+
+    case "mention-type": {
+      const types = rule.types || [];
+      return {
+        ...rule,
+        name,
+        score,
+        test(item) {
+          return types.includes(item["wm-property"])
+            ? item["wm-property"]
+            : null;
+        },
+      };
+    }
+
+    case "new-domain": {
+      return {
+        ...rule,
+        name,
+        score,
+        test(item, context) {
+          const domain =
+            context.domain || extractDomain(item.author?.url || item.url || "");
+          return domain && context.knownDomains && !context.knownDomains.has(domain)
+            ? `first mention from ${domain}`
+            : null;
+        },
+      };
+    }
+
+    default: {
+      console.error(
+        `[Webmentions] Ignoring moderation rule with unknown type: ${rule.type}`,
+      );
+      return null;
+    }
+  }
+}
+
+/**
+ * Get a JF2 entry's text content
+ * @param {object} item - JF2 entry
+ * @returns {string}
+ */
+function getText(item) {
+  if (item.content?.text) return item.content.text;
+  if (item.content?.html) return item.content.html.replaceAll(/<[^>]+>/g, " ");
+  return "";
+}
+
+/**
+ * Get a field of a JF2 entry for regex matching
+ * @param {object} item - JF2 entry
+ * @param {string} field - "content", "name", "author" or "url"
+ * @returns {string}
+ */
+function getField(item, field) {
+  switch (field) {
+    case "name": {
+      return item.name || "";
+    }
+    case "author": {
+      return `${item.author?.name || ""} ${item.author?.url || ""}`;
+    }
+    case "url": {
+      return item.url || "";
+    }
+    default: {
+      return `${getText(item)} ${item.content?.html || ""}`;
+    }
+  }
+}
+
+/**
+ * Count links in a JF2 entry's content
+ * @param {object} item - JF2 entry
+ * @returns {number}
+ */
+function countLinks(item) {
+  if (item.content?.html) {
+    return (item.content.html.match(/<a\s[^>]*href=/gi) || []).length;
+  }
+
+  return (getText(item).match(/https?:\/\/\S+/gi) || []).length;
+}
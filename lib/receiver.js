@@ -0,0 +1,286 @@
+/**
+ * Native W3C Webmention receiver
+ *
+ * Incoming `source`/`target` pairs are validated synchronously, accepted
+ * with 202 and then verified one at a time by an in-process queue. Verified
+ * mentions are stored in the same `webmentions` collection as synced ones,
+ * with `origin: "native"`.
+ */
+
+import { extractDomain, mentionId } from "./utils.js";
+import {
+  ensureIndexes,
+  upsertWebmention,
+  deleteWebmention,
+  getKnownDomains,
+  webmentionSequence,
+  backfillSequence,
+} from "./storage/webmentions.js";
+import { ensureStateIndexes } from "./storage/state.js";
+import {
+  ensureBlocklistIndexes,
+  getBlocklistMatcher,
+} from "./storage/blocklist.js";
+import { subjectFromItem } from "./blocklist.js";
+import { fetchSource, linksToTarget, normaliseUrl } from "./source.js";
+import {
+  ensureTrustedIndexes,
+  getTrustedDomainSet,
+} from "./storage/trusted.js";
+import { parseMention } from "./mf2.js";
+import {
+  createRuleEngine,
+  getEditModerationFields,
+  getModerationFields,
+} from "./moderation.js";
+import { dispatchWebhooks } from "./webhooks.js";
+
+const MAX_QUEUE_LENGTH = 1000;
+
+const queue = [];
+const queuedKeys = new Set();
+let processing = false;
+let sequenced = false;
+
+let receiverState = {
+  received: 0,
+  stored: 0,
+  deleted: 0,
+  rejected: 0,
+  lastError: null,
+};
+
+/**
+ * Get current receiver state
+ * @returns {object}
+ */
+export function getReceiverState() {
+  return { ...receiverState, queued: queue.length };
+}
+
+/**
+ * Validate an incoming Webmention request
+ * @param {object} params - Request params
+ * @param {string} params.source - Source URL
+ * @param {string} params.target - Target URL
+ * @param {string[]} allowedHosts - Hostnames we accept mentions for
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateWebmention({ source, target }, allowedHosts) {
+  if (!source || !target) {
+    return "Both source and target are required";
+  }
+
+  let sourceUrl;
+  let targetUrl;
+  try {
+    sourceUrl = new URL(source);
+    targetUrl = new URL(target);
+  } catch {
+    return "Source and target must be valid URLs";
+  }
+
+  if (!["http:", "https:"].includes(sourceUrl.protocol)) {
+    return "Source must be an http(s) URL";
+  }
+
+  if (!["http:", "https:"].includes(targetUrl.protocol)) {
+    return "Target must be an http(s) URL";
+  }
+
+  if (normaliseUrl(source) === normaliseUrl(target)) {
+    return "Source and target must be different";
+  }
+
+  if (!allowedHosts.includes(targetUrl.hostname)) {
+    return "Target is not a valid resource on this site";
+  }
+
+  return null;
+}
+
+/**
+ * Queue a Webmention for background verification
+ * @param {object} db - MongoDB database instance
+ * @param {object} options - Plugin options
+ * @param {object} params - Webmention params
+ * @param {string} params.source - Source URL
+ * @param {string} params.target - Target URL
+ * @returns {boolean} false if the queue is full
+ */
+export function enqueueWebmention(db, options, { source, target }) {
+  const key = `${source} ${target}`;
+
+  receiverState.received++;
+
+  // Repeated sends of a mention that is still queued collapse into one
+  if (queuedKeys.has(key)) {
+    return true;
+  }
+
+  if (queue.length >= MAX_QUEUE_LENGTH) {
+    return false;
+  }
+
+  queue.push({ db, options, source, target });
+  queuedKeys.add(key);
+
+  processQueue().catch((error) => {
+    console.error("[Webmentions] Receiver queue error:", error.message);
+  });
+
+  return true;
+}
+
+/**
+ * Drop any queued Webmentions
+ */
+export function stopReceiver() {
+  queue.length = 0;
+  queuedKeys.clear();
+}
+
+/**
+ * Work through the queue one Webmention at a time
+ */
+async function processQueue() {
+  if (processing) return;
+  processing = true;
+
+  try {
+    while (queue.length > 0) {
+      const { db, options, source, target } = queue.shift();
+      queuedKeys.delete(`${source} ${target}`);
+
+      try {
+        const result = await verifyWebmention(db, options, { source, target });
+        receiverState[result.status]++;
+        console.log(
+          `[Webmentions] Received ${source} -> ${target}: ${result.status}${result.reason ? ` (${result.reason})` : ""}`,
+        );
+      } catch (error) {
+        receiverState.rejected++;
+        receiverState.lastError = error.message;
+        console.error(
+          `[Webmentions] Verification of ${source} failed:`,
+          error.message,
+        );
+      }
+    }
+  } finally {
+    processing = false;
+  }
+}
+
+/**
+ * Verify a Webmention and store, update or delete it
+ * @param {object} db - MongoDB database instance
+ * @param {object} options - Plugin options
+ * @param {object} params - Webmention params
+ * @param {string} params.source - Source URL
+ * @param {string} params.target - Target URL
+ * @returns {Promise<{status: string, reason?: string}>} Status is one of
+ *   "stored", "deleted" or "rejected"
+ */
+export async function verifyWebmention(db, options, { source, target }) {
+  const wmCollection = db.collection("webmentions");
+  const blockCollection = db.collection("webmentionBlocklist");
+
+  await ensureIndexes(wmCollection);
+  await ensureBlocklistIndexes(blockCollection);
+
+  const stateCollection = db.collection("webmentionState");
+  const sequence = webmentionSequence(stateCollection);
+  if (!sequenced) {
+    // Older mentions are numbered first, so new ones come after them
+    await ensureStateIndexes(stateCollection);
+    await backfillSequence(wmCollection, sequence);
+    sequenced = true;
+  }
+
+  const wmId = mentionId("native", `${source} ${target}`);
+  const fetched = await fetchSource(source);
+
+  const linked = !fetched.ok || linksToTarget(fetched, target);
+
+  // A link past the part we read can't be ruled out, so nothing is deleted
+  if (!linked && fetched.truncated) {
+    return {
+      status: "rejected",
+      reason: "no link to target in the first 1 MB of the source",
+    };
+  }
+
+  // Source gone or no longer linking: remove any mention we stored earlier
+  if ([404, 410].includes(fetched.status) || !linked) {
+    const deleted = await deleteWebmention(wmCollection, wmId);
+    return deleted
+      ? { status: "deleted" }
+      : { status: "rejected", reason: "source does not link to target" };
+  }
+
+  if (!fetched.ok) {
+    return {
+      status: "rejected",
+      reason: `source returned ${fetched.status}`,
+    };
+  }
+
+  const item = fetched.contentType.includes("html")
+    ? parseMention(fetched.body, { source, target, baseUrl: fetched.url })
+    : {
+        type: "entry",
+        "wm-source": source,
+        "wm-target": target,
+        "wm-property": "mention-of",
+        url: source,
+      };
+
+  item["wm-id"] = wmId;
+  item["wm-received"] = new Date().toISOString();
+
+  // The source's host is the only domain we have verified: the page's
+  // own u-url and author URL could name anyone
+  const domain = extractDomain(source);
+
+  const blocklist = await getBlocklistMatcher(blockCollection);
+  const blocked = blocklist.match({ ...subjectFromItem(item), domain });
+
+  if (blocked) {
+    // Never stored, but a stored mention edited into a blocked one is hidden
+    await upsertWebmention(wmCollection, item, {
+      origin: "native",
+      insert: false,
+      onEdit: getEditModerationFields(null, { blocked: true }),
+    });
+    return { status: "rejected", reason: `blocked by ${blocked.domain}` };
+  }
+
+  const engine = createRuleEngine(options.moderation);
+  const knownDomains = engine.needsKnownDomains
+    ? await getKnownDomains(wmCollection)
+    : new Set();
+  const moderation = engine.evaluate(item, { knownDomains, domain });
+
+  // Pre-moderation: mentions from untrusted domains wait for approval
+  let pending = false;
+  if (options.preModeration) {
+    const trustedCollection = db.collection("webmentionTrusted");
+    await ensureTrustedIndexes(trustedCollection);
+    const trustedDomains = await getTrustedDomainSet(trustedCollection);
+    pending = !trustedDomains.has(domain);
+  }
+
+  const status = await upsertWebmention(wmCollection, item, {
+    origin: "native",
+    onInsert: getModerationFields(moderation, { pending }),
+    onEdit: getEditModerationFields(moderation),
+    sequence,
+  });
+
+  if (status === "inserted") {
+    await dispatchWebhooks(db, options, [wmId]);
+  }
+
+  return { status: "stored", reason: status };
+}
@@ -0,0 +1,304 @@
+/**
+ * Source page fetching and link verification
+ *
+ * Shared by the native Webmention receiver and anything else that needs to
+ * confirm a source document still links to one of our pages. URLs from
+ * mentions are only fetched from public addresses (`fetchPublic()`).
+ */
+
+import { lookup } from "node:dns";
+import http from "node:http";
+import https from "node:https";
+import { BlockList, isIP } from "node:net";
+
+const MAX_BODY_BYTES = 1_000_000; // 1 MB
+const MAX_REDIRECTS = 5;
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+
+// Loopback, private, link-local, shared, documentation, multicast and
+// reserved ranges; none of these are fetched on a sender's say-so
+const privateRanges = new BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.0.2.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["198.51.100.0", 24],
+  ["203.0.113.0", 24],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+]) {
+  privateRanges.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+  ["::", 128],
+  ["::1", 128],
+  ["64:ff9b::", 96],
+  ["100::", 64],
+  ["2001:db8::", 32],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  privateRanges.addSubnet(network, prefix, "ipv6");
+}
+
+/**
+ * Fetch a source document. A `truncated` body was cut off at 1 MB, so a
+ * missing link in it proves nothing
+ * @param {string} url - Source URL
+ * @returns {Promise<{status: number, ok: boolean, url: string, contentType: string, truncated: boolean, body: string}>}
+ */
+export async function fetchSource(url) {
+  const response = await fetchPublic(url, {
+    accept: "text/html, application/xhtml+xml, application/json;q=0.9, text/plain;q=0.8",
+    userAgent: "Indiekit-Webmention/1.0 (verification)",
+  });
+
+  return {
+    status: response.status,
+    ok: response.ok && !response.tooLarge,
+    url: response.url,
+    contentType: response.contentType,
+    truncated: response.truncated,
+    body: response.ok && !response.tooLarge ? response.body.toString("utf8") : "",
+  };
+}
+
+/**
+ * Fetch a URL taken from a mention (or anything else a sender controls).
+ * Only public addresses are fetched: the host is resolved and checked on
+ * the first request and on every redirect, and the connection is made to
+ * the checked address. Bodies are read up to `maxBytes` and only for
+ * successful responses.
+ * @param {string} url - URL
+ * @param {object} [options] - Request options
+ * @param {string} [options.accept] - Accept header
+ * @param {string} [options.userAgent] - User-Agent header
+ * @param {number} [options.maxBytes] - Longest body read; longer bodies are
+ *   cut short and flagged `truncated`
+ * @param {number} [options.timeout] - Milliseconds for the whole fetch
+ * @returns {Promise<{status: number, ok: boolean, url: string, contentType: string, tooLarge: boolean, truncated: boolean, body: Buffer}>}
+ *   `tooLarge` if the declared length is over `maxBytes` (body not read)
+ */
+export async function fetchPublic(url, options = {}) {
+  const {
+    accept = "*/*",
+    userAgent = "Indiekit-Webmention/1.0",
+    maxBytes = MAX_BODY_BYTES,
+    timeout = 15_000,
+  } = options;
+  const signal = AbortSignal.timeout(timeout);
+  let current = url;
+
+  for (let redirects = 0; redirects <= MAX_REDIRECTS; redirects++) {
+    const response = await request(current, {
+      headers: { accept, "user-agent": userAgent },
+      signal,
+    });
+    const { statusCode: status, headers } = response;
+
+    if (REDIRECT_STATUSES.has(status) && headers.location) {
+      response.resume();
+      current = new URL(headers.location, current).href;
+      continue;
+    }
+
+    const result = {
+      status,
+      ok: status >= 200 && status < 300,
+      url: current,
+      contentType: headers["content-type"] || "",
+      tooLarge: Number(headers["content-length"]) > maxBytes,
+      truncated: false,
+      body: Buffer.alloc(0),
+    };
+
+    if (!result.ok || result.tooLarge) {
+      response.destroy();
+      return result;
+    }
+
+    return { ...result, ...(await readBody(response, maxBytes)) };
+  }
+
+  throw new Error(`More than ${MAX_REDIRECTS} redirects`);
+}
+
+/**
+ * Check whether an IP address is on the public internet
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+export function isPublicAddress(address) {
+  const version = isIP(address);
+  if (version === 0) {
+    return false;
+  }
+
+  if (version === 6) {
+    // IPv4-mapped (::ffff:a.b.c.d) and IPv4-compatible addresses
+    const mapped = address.match(/^::(?:ffff:)?(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) {
+      return isPublicAddress(mapped[1]);
+    }
+
+    if (/^::ffff:/i.test(address)) {
+      return false;
+    }
+  }
+
+  return !privateRanges.check(address, version === 4 ? "ipv4" : "ipv6");
+}
+
+/**
+ * Make one GET request to a public address
+ * @param {string} url - URL
+ * @param {object} options - `headers` and `signal`
+ * @returns {Promise<object>} Node.js response stream
+ */
+function request(url, { headers, signal }) {
+  return new Promise((resolve, reject) => {
+    const parsed = new URL(url);
+    const client = { "http:": http, "https:": https }[parsed.protocol];
+
+    if (!client) {
+      return reject(new Error(`Unsupported URL scheme ${parsed.protocol}`));
+    }
+
+    // IP literals are connected to without a lookup
+    const host = parsed.hostname.replace(/^\[|\]$/g, "");
+    if (isIP(host) && !isPublicAddress(host)) {
+      return reject(new Error(`${host} is not a public address`));
+    }
+
+    client
+      .get(parsed, { headers, signal, lookup: publicLookup }, resolve)
+      .on("error", reject);
+  });
+}
+
+/**
+ * `dns.lookup()` that fails for hosts resolving to non-public addresses
+ * @param {string} hostname - Host name
+ * @param {object} options - Lookup options
+ * @param {Function} callback - Lookup callback
+ */
+function publicLookup(hostname, options, callback) {
+  lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+
+    if (addresses.length === 0 || !addresses.every(({ address }) => isPublicAddress(address))) {
+      return callback(new Error(`${hostname} does not resolve to a public address`));
+    }
+
+    if (options.all) {
+      return callback(null, addresses);
+    }
+
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Read a response body, stopping at a size limit
+ * @param {object} response - Node.js response stream
+ * @param {number} maxBytes - Longest body read
+ * @returns {Promise<{body: Buffer, truncated: boolean}>}
+ */
+async function readBody(response, maxBytes) {
+  const chunks = [];
+  let bytes = 0;
+
+  for await (const chunk of response) {
+    if (bytes + chunk.length > maxBytes) {
+      chunks.push(chunk.subarray(0, maxBytes - bytes));
+      return { body: Buffer.concat(chunks), truncated: true };
+    }
+
+    chunks.push(chunk);
+    bytes += chunk.length;
+  }
+
+  return { body: Buffer.concat(chunks), truncated: false };
+}
+
+/**
+ * Check whether a fetched source document links to a target URL.
+ * HTML documents must contain a link (href/src) resolving to the target;
+ * other content types only need to contain the target URL.
+ * @param {object} source - Result of `fetchSource()`
+ * @param {string} target - Target URL
+ * @returns {boolean}
+ */
+export function linksToTarget(source, target) {
+  if (!source?.body) return false;
+
+  const targetClean = normaliseUrl(target);
+
+  if (!source.contentType.includes("html")) {
+    return source.body.includes(target) || source.body.includes(targetClean);
+  }
+
+  const attrRegex = /\s(?:href|src)\s*=\s*["']([^"']+)["']/gi;
+  let match;
+
+  while ((match = attrRegex.exec(source.body)) !== null) {
+    const url = resolveUrl(decodeEntities(match[1]), source.url);
+    if (url && normaliseUrl(url) === targetClean) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Normalise a URL for comparison (drop fragment and trailing slash)
+ * @param {string} url - URL
+ * @returns {string}
+ */
+export function normaliseUrl(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = "";
+    return parsed.href.replace(/\/$/, "");
+  } catch {
+    return String(url).replace(/\/$/, "");
+  }
+}
+
+/**
+ * Resolve a potentially relative URL against a base
+ * @param {string} url
+ * @param {string} base
+ * @returns {string|null}
+ */
+function resolveUrl(url, base) {
+  try {
+    return new URL(url, base).href;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Decode the HTML entities that commonly appear in attribute values
+ * @param {string} value
+ * @returns {string}
+ */
+function decodeEntities(value) {
+  return value
+    .replaceAll("&amp;", "&")
+    .replaceAll("&#38;", "&")
+    .replaceAll("&#x2F;", "/")
+    .replaceAll("&#47;", "/");
+}
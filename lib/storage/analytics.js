@@ -0,0 +1,162 @@
+/**
+ * Webmention analytics MongoDB aggregations
+ * All functions take an optional received-date range: `since` (inclusive)
+ * and `until` (exclusive), as ISO dates
+ */
+
+import { dateRangeQuery } from "./webmentions.js";
+
+/**
+ * Hidden reasons that count as spam
+ */
+export const SPAM_HIDDEN_REASONS = ["blocklist", "auto-rule", "rejected"];
+
+// `wmReceived` as a date, whether it's stored as an ISO string or a Date
+const receivedDate = {
+  $convert: { input: "$wmReceived", to: "date", onError: null, onNull: null },
+};
+
+/**
+ * Count mentions per day, type and hidden reason
+ * @param {object} collection - MongoDB collection
+ * @param {object} [range] - Date range
+ * @param {string} [range.since] - ISO date
+ * @param {string} [range.until] - ISO date
+ * @returns {Promise<Array<{day: string, wmProperty: string, hidden: boolean, hiddenReason: string|null, count: number}>>}
+ *   Days as YYYY-MM-DD (UTC), oldest first
+ */
+export async function getDailyCounts(collection, range = {}) {
+  const rows = await collection
+    .aggregate([
+      { $match: rangeQuery(range) },
+      {
+        $group: {
+          _id: {
+            day: {
+              $dateToString: {
+                format: "%Y-%m-%d",
+                date: receivedDate,
+                timezone: "UTC",
+              },
+            },
+            wmProperty: "$wmProperty",
+            hidden: "$hidden",
+            hiddenReason: "$hiddenReason",
+          },
+          count: { $sum: 1 },
+        },
+      },
+      { $sort: { "_id.day": 1 } },
+    ])
+    .toArray();
+
+  // Mentions whose date can't be parsed can't be placed on a day
+  return rows
+    .filter((row) => row._id.day)
+    .map((row) => ({
+      day: row._id.day,
+      wmProperty: row._id.wmProperty,
+      hidden: Boolean(row._id.hidden),
+      hiddenReason: row._id.hiddenReason || null,
+      count: row.count,
+    }));
+}
+
+/**
+ * Get the posts with the most visible mentions
+ * @param {object} collection - MongoDB collection
+ * @param {object} [range] - Date range
+ * @param {number} [limit] - Number of posts
+ * @returns {Promise<Array<{target: string, count: number}>>}
+ */
+export async function getTopTargets(collection, range = {}, limit = 20) {
+  const rows = await collection
+    .aggregate([
+      { $match: { ...rangeQuery(range), hidden: { $ne: true } } },
+      { $group: { _id: "$wmTarget", count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: limit },
+    ])
+    .toArray();
+
+  return rows.map((row) => ({ target: row._id, count: row.count }));
+}
+
+/**
+ * Get the source domains sending the most mentions, hidden ones included
+ * @param {object} collection - MongoDB collection
+ * @param {object} [range] - Date range
+ * @param {number} [limit] - Number of domains
+ * @returns {Promise<Array<{domain: string, count: number, hidden: number}>>}
+ */
+export async function getTopSources(collection, range = {}, limit = 20) {
+  const rows = await collection
+    .aggregate([
+      { $match: { ...rangeQuery(range), sourceDomain: { $nin: [null, ""] } } },
+      {
+        $group: {
+          _id: "$sourceDomain",
+          count: { $sum: 1 },
+          hidden: { $sum: { $cond: ["$hidden", 1, 0] } },
+        },
+      },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: limit },
+    ])
+    .toArray();
+
+  return rows.map((row) => ({
+    domain: row._id,
+    count: row.count,
+    hidden: row.hidden,
+  }));
+}
+
+/**
+ * Get the authors of the most visible mentions
+ * @param {object} collection - MongoDB collection
+ * @param {object} [range] - Date range
+ * @param {number} [limit] - Number of authors
+ * @returns {Promise<Array<{url: string, name: string|null, photo: string|null, count: number}>>}
+ */
+export async function getTopAuthors(collection, range = {}, limit = 20) {
+  const rows = await collection
+    .aggregate([
+      {
+        $match: {
+          ...rangeQuery(range),
+          hidden: { $ne: true },
+          authorUrl: { $nin: [null, ""] },
+        },
+      },
+      {
+        $group: {
+          _id: "$authorUrl",
+          name: { $max: "$authorName" },
+          photo: { $max: "$authorPhoto" },
+          count: { $sum: 1 },
+        },
+      },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: limit },
+    ])
+    .toArray();
+
+  return rows.map((row) => ({
+    url: row._id,
+    name: row.name || null,
+    photo: row.photo || null,
+    count: row.count,
+  }));
+}
+
+/**
+ * Build a query for a received-date range
+ * @param {object} range - Date range
+ * @param {string} [range.since] - ISO date (inclusive)
+ * @param {string} [range.until] - ISO date (exclusive)
+ * @returns {object} MongoDB query
+ */
+function rangeQuery({ since, until }) {
+  return dateRangeQuery("wmReceived", { $gte: since, $lt: until });
+}
@@ -0,0 +1,398 @@
+/**
+ * Author profiles MongoDB storage
+ *
+ * One document per normalised profile URL. Profiles belonging to the same
+ * person share an `identity`: the URL of the profile that represents them
+ * (its own URL unless merged). Merging and splitting only move `identity`
+ * pointers, so mentions never need rewriting.
+ */
+
+import { escapeRegex } from "../utils.js";
+import { clearCache } from "../cache.js";
+
+/**
+ * Ensure indexes exist
+ * @param {object} collection - MongoDB collection
+ */
+export async function ensureAuthorIndexes(collection) {
+  await collection.createIndex({ url: 1 }, { unique: true });
+  await collection.createIndex({ identity: 1 });
+  await collection.createIndex({ relMeCheckedAt: 1 });
+}
+
+/**
+ * Store the latest mention stats for each profile, adding new profiles as
+ * identities of their own. Profiles no longer mentioned drop to 0 mentions.
+ * @param {object} collection - MongoDB collection
+ * @param {Array<object>} stats - From `getAuthorStats()`
+ * @returns {Promise<{added: number, changed: number}>}
+ */
+export async function updateAuthorProfiles(collection, stats) {
+  const now = new Date().toISOString();
+  let added = 0;
+  let changed = 0;
+
+  for (const stat of stats) {
+    const result = await collection.updateOne(
+      { url: stat.key },
+      {
+        $set: {
+          profileUrl: stat.url,
+          mentions: stat.mentions,
+          firstSeen: stat.firstSeen,
+          lastSeen: stat.lastSeen,
+          // Keep the last known name and photo if the latest mention had none
+          ...(stat.name && { name: stat.name }),
+          ...(stat.photo && { photo: stat.photo }),
+        },
+        $setOnInsert: {
+          url: stat.key,
+          identity: stat.key,
+          relMe: [],
+          separate: [],
+          createdAt: now,
+        },
+      },
+      { upsert: true },
+    );
+
+    if (result.upsertedCount > 0) {
+      added++;
+    } else if (result.modifiedCount > 0) {
+      changed++;
+    }
+  }
+
+  await collection.updateMany(
+    { url: { $nin: stats.map((stat) => stat.key) }, mentions: { $gt: 0 } },
+    { $set: { mentions: 0 } },
+  );
+
+  if (added > 0 || changed > 0) {
+    clearCache();
+  }
+
+  return { added, changed };
+}
+
+/**
+ * Get one profile
+ * @param {object} collection - MongoDB collection
+ * @param {string} url - Normalised profile URL
+ * @returns {Promise<object|null>}
+ */
+export async function getAuthorProfile(collection, url) {
+  return collection.findOne({ url });
+}
+
+/**
+ * Get the profiles of an identity, most mentioned first
+ * @param {object} collection - MongoDB collection
+ * @param {string} identity - Identity URL
+ * @returns {Promise<Array>}
+ */
+export async function getIdentityProfiles(collection, identity) {
+  return collection.find({ identity }).sort({ mentions: -1, url: 1 }).toArray();
+}
+
+/**
+ * List identities, most mentioned first
+ * @param {object} collection - MongoDB collection
+ * @param {object} [options] - Query options
+ * @param {string} [options.q] - Match profile URLs and names
+ * @param {number} [options.page] - Page number (0-indexed)
+ * @param {number} [options.perPage] - Identities per page
+ * @returns {Promise<{items: Array<{identity: string, mentions: number, lastSeen: string, profiles: Array}>, total: number}>}
+ */
+export async function getIdentities(collection, options = {}) {
+  const { q, page = 0, perPage = 50 } = options;
+
+  const match = {};
+  if (q) {
+    const pattern = { $regex: escapeRegex(q), $options: "i" };
+    match.$or = [{ url: pattern }, { name: pattern }, { nameOverride: pattern }];
+  }
+
+  const [rows, identities] = await Promise.all([
+    collection
+      .aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: "$identity",
+            mentions: { $sum: "$mentions" },
+            lastSeen: { $max: "$lastSeen" },
+          },
+        },
+        { $sort: { mentions: -1, _id: 1 } },
+        { $skip: page * perPage },
+        { $limit: perPage },
+      ])
+      .toArray(),
+    collection.distinct("identity", match),
+  ]);
+
+  const profiles = await collection
+    .find({ identity: { $in: rows.map((row) => row._id) } })
+    .sort({ mentions: -1, url: 1 })
+    .toArray();
+
+  const items = rows.map((row) => ({
+    identity: row._id,
+    mentions: row.mentions,
+    lastSeen: row.lastSeen,
+    profiles: profiles.filter((profile) => profile.identity === row._id),
+  }));
+
+  return { items, total: identities.length };
+}
+
+/**
+ * Resolve mention authors to their identities
+ * @param {object} collection - MongoDB collection
+ * @param {Array<string|null>} keys - `authorKey` of each mention
+ * @returns {Promise<Map<string, {identity: string, url: string, name: string|null, photo: string|null}>>}
+ *   Identity per profile URL; profiles we have no record of are left out
+ */
+export async function resolveAuthors(collection, keys) {
+  const wanted = [...new Set(keys.filter(Boolean))];
+  if (wanted.length === 0) {
+    return new Map();
+  }
+
+  const profiles = await collection
+    .find({ url: { $in: wanted } }, { projection: { url: 1, identity: 1 } })
+    .toArray();
+
+  const identityIds = [...new Set(profiles.map((profile) => profile.identity))];
+  const members = await collection
+    .find({ identity: { $in: identityIds } })
+    .sort({ mentions: -1, url: 1 })
+    .toArray();
+
+  const identities = new Map(
+    identityIds.map((identity) => [
+      identity,
+      summariseIdentity(
+        identity,
+        members.filter((profile) => profile.identity === identity),
+      ),
+    ]),
+  );
+
+  return new Map(
+    profiles.map((profile) => [profile.url, identities.get(profile.identity)]),
+  );
+}
+
+/**
+ * Work out how an identity is shown: overrides first, then the
+ * representative profile, then whichever other profile has a value
+ * @param {string} identity - Identity URL
+ * @param {Array<object>} profiles - The identity's profiles, most
+ *   mentioned first
+ * @returns {{identity: string, url: string, name: string|null, photo: string|null}}
+ */
+export function summariseIdentity(identity, profiles) {
+  const main = profiles.find((profile) => profile.url === identity) || {};
+  const first = (field) => profiles.find((profile) => profile[field])?.[field];
+
+  return {
+    identity,
+    url: main.profileUrl || identity,
+    name: main.nameOverride || main.name || first("name") || null,
+    photo: main.photoOverride || main.photo || first("photo") || null,
+  };
+}
+
+/**
+ * Get profiles whose rel=me links are due for a check
+ * @param {object} collection - MongoDB collection
+ * @param {string} before - ISO date; profiles checked since are skipped
+ * @param {number} limit - Maximum profiles
+ * @returns {Promise<Array>}
+ */
+export async function getProfilesToCheck(collection, before, limit) {
+  return collection
+    .find({
+      mentions: { $gt: 0 },
+      $or: [
+        { relMeCheckedAt: { $exists: false } },
+        { relMeCheckedAt: { $lt: before } },
+      ],
+    })
+    .sort({ mentions: -1 })
+    .limit(limit)
+    .toArray();
+}
+
+/**
+ * Store the rel=me links found on a profile
+ * @param {object} collection - MongoDB collection
+ * @param {string} url - Normalised profile URL
+ * @param {Array<string>} relMe - Normalised rel=me URLs
+ */
+export async function setRelMe(collection, url, relMe) {
+  await collection.updateOne(
+    { url },
+    { $set: { relMe, relMeCheckedAt: new Date().toISOString() } },
+  );
+}
+
+/**
+ * Merge one identity into another. Overrides move across where the kept
+ * identity has none. Automatic merges are skipped for profiles that were
+ * split apart; manual merges lift that.
+ * @param {object} collection - MongoDB collection
+ * @param {string} keep - Identity to keep
+ * @param {string} other - Identity to merge into it
+ * @param {object} [options] - Merge options
+ * @param {string} [options.by] - "manual" or "rel-me"
+ * @returns {Promise<number>} Profiles moved (0 if not merged)
+ */
+export async function mergeIdentities(collection, keep, other, options = {}) {
+  const { by = "manual" } = options;
+
+  if (keep === other) {
+    return 0;
+  }
+
+  const [kept, merged] = await Promise.all([
+    getIdentityProfiles(collection, keep),
+    getIdentityProfiles(collection, other),
+  ]);
+
+  if (kept.length === 0 || merged.length === 0) {
+    return 0;
+  }
+
+  const keptUrls = kept.map((profile) => profile.url);
+  const mergedUrls = merged.map((profile) => profile.url);
+  const isSeparate = (profiles, urls) =>
+    profiles.some((profile) => profile.separate?.some((url) => urls.includes(url)));
+
+  if (by !== "manual" && (isSeparate(kept, mergedUrls) || isSeparate(merged, keptUrls))) {
+    return 0;
+  }
+
+  const main = kept.find((profile) => profile.url === keep) || {};
+  const mergedMain = merged.find((profile) => profile.url === other) || {};
+  const overrides = {};
+  if (!main.nameOverride && mergedMain.nameOverride) {
+    overrides.nameOverride = mergedMain.nameOverride;
+  }
+  if (!main.photoOverride && mergedMain.photoOverride) {
+    overrides.photoOverride = mergedMain.photoOverride;
+  }
+  if (Object.keys(overrides).length > 0) {
+    await collection.updateOne({ url: keep }, { $set: overrides });
+  }
+
+  const result = await collection.updateMany(
+    { identity: other },
+    {
+      $set: { identity: keep, mergedBy: by, mergedAt: new Date().toISOString() },
+      $unset: { nameOverride: "", photoOverride: "" },
+    },
+  );
+
+  if (by === "manual") {
+    await collection.updateMany(
+      { url: { $in: [...keptUrls, ...mergedUrls] } },
+      { $pull: { separate: { $in: [...keptUrls, ...mergedUrls] } } },
+    );
+  }
+
+  clearCache();
+  return result.modifiedCount;
+}
+
+/**
+ * Split a profile out of its identity into one of its own, and keep it
+ * from being merged back automatically. If it represented the identity,
+ * the next most mentioned profile takes over, with the overrides.
+ * @param {object} collection - MongoDB collection
+ * @param {string} url - Normalised profile URL
+ * @returns {Promise<string|null>} The remaining identity, or null if the
+ *   profile was already on its own
+ */
+export async function splitProfile(collection, url) {
+  const profile = await getAuthorProfile(collection, url);
+  if (!profile) {
+    return null;
+  }
+
+  const profiles = await getIdentityProfiles(collection, profile.identity);
+  const others = profiles.filter((other) => other.url !== url);
+  if (others.length === 0) {
+    return null;
+  }
+
+  const otherUrls = others.map((other) => other.url);
+  let remaining = profile.identity;
+
+  if (profile.identity === url) {
+    remaining = otherUrls[0];
+    await collection.updateMany(
+      { url: { $in: otherUrls } },
+      { $set: { identity: remaining } },
+    );
+    if (profile.nameOverride || profile.photoOverride) {
+      await collection.updateOne(
+        { url: remaining },
+        {
+          $set: {
+            nameOverride: profile.nameOverride || null,
+            photoOverride: profile.photoOverride || null,
+          },
+        },
+      );
+    }
+  }
+
+  await collection.updateOne(
+    { url },
+    {
+      $set: { identity: url, mergedBy: null, mergedAt: null },
+      $unset: { nameOverride: "", photoOverride: "" },
+      $addToSet: { separate: { $each: otherUrls } },
+    },
+  );
+
+  clearCache();
+  return remaining;
+}
+
+/**
+ * Set or clear an identity's name and photo overrides
+ * @param {object} collection - MongoDB collection
+ * @param {string} identity - Identity URL
+ * @param {object} overrides - Overrides; empty values clear them
+ * @param {string} [overrides.name] - Display name
+ * @param {string} [overrides.photo] - Photo URL
+ */
+export async function setIdentityOverrides(collection, identity, { name, photo }) {
+  await collection.updateOne(
+    { url: identity },
+    {
+      $set: {
+        nameOverride: name || null,
+        photoOverride: photo || null,
+        updatedAt: new Date().toISOString(),
+      },
+    },
+  );
+
+  clearCache();
+}
+
+/**
+ * Get the distinct photo overrides set on identities
+ * @param {object} collection - MongoDB collection
+ * @returns {Promise<string[]>}
+ */
+export async function getPhotoOverrides(collection) {
+  return collection.distinct("photoOverride", {
+    photoOverride: { $nin: [null, ""] },
+  });
+}
@@ -0,0 +1,116 @@
+/**
+ * Cached avatars MongoDB storage
+ *
+ * One document per remote photo URL, keyed by `hash` for the public
+ * `/avatars/:hash` route. `files` holds each stored size: the image itself
+ * (`data`) or, with `avatarDirectory`, the name of the file on disk.
+ */
+
+/**
+ * Ensure indexes exist
+ * @param {object} collection - MongoDB collection
+ */
+export async function ensureAvatarIndexes(collection) {
+  await collection.createIndex({ hash: 1 }, { unique: true });
+  await collection.createIndex({ url: 1 }, { unique: true });
+}
+
+/**
+ * Get a cached avatar, including its files
+ * @param {object} collection - MongoDB collection
+ * @param {string} hash - Avatar hash
+ * @returns {Promise<object|null>}
+ */
+export async function getAvatar(collection, hash) {
+  return collection.findOne({ hash, status: "cached" });
+}
+
+/**
+ * Get the cache state of some photo URLs, without their files
+ * @param {object} collection - MongoDB collection
+ * @param {Array<string>} urls - Photo URLs
+ * @returns {Promise<Map<string, object>>} From URL to avatar document
+ */
+export async function getAvatarStates(collection, urls) {
+  const docs = await collection
+    .find({ url: { $in: urls } }, { projection: { files: 0 } })
+    .toArray();
+
+  return new Map(docs.map((doc) => [doc.url, doc]));
+}
+
+/**
+ * Get the hashes of the photo URLs that have been cached
+ * @param {object} collection - MongoDB collection
+ * @param {Array<string>} urls - Photo URLs
+ * @returns {Promise<Map<string, string>>} From URL to hash
+ */
+export async function getCachedAvatarHashes(collection, urls) {
+  if (urls.length === 0) {
+    return new Map();
+  }
+
+  const docs = await collection
+    .find(
+      { url: { $in: urls }, status: "cached" },
+      { projection: { url: 1, hash: 1 } },
+    )
+    .toArray();
+
+  return new Map(docs.map((doc) => [doc.url, doc.hash]));
+}
+
+/**
+ * Store a downloaded avatar, replacing any earlier copy
+ * @param {object} collection - MongoDB collection
+ * @param {object} avatar - Avatar
+ * @param {string} avatar.url - Remote photo URL
+ * @param {string} avatar.hash - Avatar hash
+ * @param {object} avatar.files - Stored sizes, from size to
+ *   `{ contentType, bytes, data }` or `{ contentType, bytes, file }`
+ * @param {string} avatar.contentType - Content type of the original
+ */
+export async function saveAvatar(collection, { url, hash, files, contentType }) {
+  const now = new Date().toISOString();
+
+  await collection.updateOne(
+    { url },
+    {
+      $set: {
+        hash,
+        status: "cached",
+        contentType,
+        files,
+        fetchedAt: now,
+        checkedAt: now,
+        failures: 0,
+        error: null,
+      },
+      $setOnInsert: { url, createdAt: now },
+    },
+    { upsert: true },
+  );
+}
+
+/**
+ * Record a failed download. An avatar cached earlier keeps its files, so
+ * it's still served after the remote photo goes away.
+ * @param {object} collection - MongoDB collection
+ * @param {object} avatar - Avatar
+ * @param {string} avatar.url - Remote photo URL
+ * @param {string} avatar.hash - Avatar hash
+ * @param {string} avatar.error - What went wrong
+ */
+export async function markAvatarFailed(collection, { url, hash, error }) {
+  const now = new Date().toISOString();
+
+  await collection.updateOne(
+    { url },
+    {
+      $set: { error, checkedAt: now },
+      $inc: { failures: 1 },
+      $setOnInsert: { url, hash, status: "failed", files: {}, createdAt: now },
+    },
+    { upsert: true },
+  );
+}
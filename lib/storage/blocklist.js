@@ -2,6 +2,8 @@
  * Webmention blocklist MongoDB storage
  */
 
+import { compileBlocklist } from "../blocklist.js";
+
 /**
  * Ensure indexes exist
  * @param {object} collection - MongoDB collection
@@ -19,22 +21,47 @@ export async function ensureBlocklistIndexes(collection) {
  * @returns {Promise<boolean>} true if inserted, false if already existed
  */
 export async function blockDomain(collection, domain, reason = "spam", mentionsHidden = 0) {
+  return blockEntry(
+    collection,
+    { type: "domain", pattern: domain, domain },
+    reason,
+    mentionsHidden,
+  );
+}
+
+/**
+ * Add a pattern entry to the blocklist
+ * Blocking an entry that came from a subscription yourself makes it one of
+ * your own, so it stays when the subscription drops it or is cancelled.
+ * @param {object} collection - MongoDB collection
+ * @param {object} entry - Entry from `parseBlockEntry()`, optionally with
+ *   the `source` (subscription URL) it came from
+ * @param {string} reason - Reason ("spam", "privacy", "manual")
+ * @param {number} mentionsHidden - Count of mentions hidden
+ * @returns {Promise<boolean>} true if inserted, false if already existed
+ */
+export async function blockEntry(collection, entry, reason = "spam", mentionsHidden = 0) {
+  const { domain, type, pattern } = entry;
+
   try {
     await collection.insertOne({
       domain,
+      type,
+      pattern,
+      source: entry.source || null,
       reason,
       blockedAt: new Date().toISOString(),
       mentionsHidden,
     });
     return true;
   } catch (error) {
-    // Duplicate key — domain already blocked
+    // Duplicate key — entry already exists
     if (error.code === 11000) {
       // Update reason and count
       await collection.updateOne(
         { domain },
         {
-          $set: { reason },
+          $set: { reason, ...(!entry.source && { source: null }) },
           $inc: { mentionsHidden },
         },
       );
@@ -53,13 +80,40 @@ export async function unblockDomain(collection, domain) {
   await collection.deleteOne({ domain });
 }
 
+/**
+ * Remove several entries from the blocklist
+ * @param {object} collection - MongoDB collection
+ * @param {Array<string>} domains - Entry keys
+ * @returns {Promise<number>} Number removed
+ */
+export async function removeBlockEntries(collection, domains) {
+  if (domains.length === 0) {
+    return 0;
+  }
+
+  const result = await collection.deleteMany({ domain: { $in: domains } });
+  return result.deletedCount;
+}
+
 /**
  * Get all blocked domains
  * @param {object} collection - MongoDB collection
+ * @param {object} [query] - Filter, e.g. `{ source: null }` for entries
+ *   not added by a subscription
  * @returns {Promise<Array>}
  */
-export async function getBlocklist(collection) {
-  return collection.find({}).sort({ blockedAt: -1 }).toArray();
+export async function getBlocklist(collection, query = {}) {
+  return collection.find(query).sort({ blockedAt: -1 }).toArray();
+}
+
+/**
+ * Get a blocklist entry by its key
+ * @param {object} collection - MongoDB collection
+ * @param {string} domain - Entry key (domain, or `type:pattern`)
+ * @returns {Promise<object|null>}
+ */
+export async function getBlocklistEntry(collection, domain) {
+  return collection.findOne({ domain });
 }
 
 /**
@@ -82,3 +136,13 @@ export async function getBlockedDomainSet(collection) {
   const entries = await collection.find({}, { projection: { domain: 1 } }).toArray();
   return new Set(entries.map((e) => e.domain));
 }
+
+/**
+ * Get a matcher for all blocklist entries (for sync filtering)
+ * @param {object} collection - MongoDB collection
+ * @returns {Promise<object>} Matcher from `compileBlocklist()`
+ */
+export async function getBlocklistMatcher(collection) {
+  const entries = await collection.find({}).toArray();
+  return compileBlocklist(entries);
+}
@@ -0,0 +1,68 @@
+/**
+ * Plugin state MongoDB storage
+ * Small keyed documents for background job bookkeeping
+ * (e.g. per-source sync cursors)
+ */
+
+/**
+ * Ensure indexes exist
+ * @param {object} collection - MongoDB collection
+ */
+export async function ensureStateIndexes(collection) {
+  await collection.createIndex({ key: 1 }, { unique: true });
+}
+
+/**
+ * Get a state document
+ * @param {object} collection - MongoDB collection
+ * @param {string} key - State key (e.g. "sync:webmention.io")
+ * @returns {Promise<object>} State values (empty object if none stored)
+ */
+export async function getState(collection, key) {
+  const doc = await collection.findOne({ key });
+  return doc || {};
+}
+
+/**
+ * Set fields on a state document
+ * @param {object} collection - MongoDB collection
+ * @param {string} key - State key
+ * @param {object} fields - Fields to set
+ */
+export async function setState(collection, key, fields) {
+  await collection.updateOne(
+    { key },
+    { $set: { ...fields, updatedAt: new Date().toISOString() } },
+    { upsert: true },
+  );
+}
+
+/**
+ * Delete a state document
+ * @param {object} collection - MongoDB collection
+ * @param {string} key - State key
+ */
+export async function deleteState(collection, key) {
+  await collection.deleteOne({ key });
+}
+
+/**
+ * Take the next number from a counter
+ * @param {object} collection - MongoDB collection
+ * @param {string} key - Counter key (e.g. "sequence:webmentions")
+ * @returns {Promise<number>} 1 on first use, then one higher each call
+ */
+export async function nextSequence(collection, key) {
+  const result = await collection.findOneAndUpdate(
+    { key },
+    {
+      $inc: { value: 1 },
+      $set: { updatedAt: new Date().toISOString() },
+    },
+    { upsert: true, returnDocument: "after" },
+  );
+
+  // Driver 6 returns the document, earlier drivers wrap it in `value`
+  const doc = result && "key" in result ? result : result?.value;
+  return doc.value;
+}
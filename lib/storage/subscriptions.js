@@ -0,0 +1,76 @@
+/**
+ * Shared blocklist subscriptions MongoDB storage
+ * Each subscription is a remote URL or local file whose entries are
+ * tagged with `source: url` in the blocklist
+ */
+
+/**
+ * Ensure indexes exist
+ * @param {object} collection - MongoDB collection
+ */
+export async function ensureSubscriptionIndexes(collection) {
+  await collection.createIndex({ url: 1 }, { unique: true });
+}
+
+/**
+ * Add a blocklist subscription
+ * @param {object} collection - MongoDB collection
+ * @param {string} url - Blocklist URL or file path
+ * @param {string} [name] - Display name
+ * @returns {Promise<boolean>} true if inserted, false if already subscribed
+ */
+export async function addSubscription(collection, url, name) {
+  const result = await collection.updateOne(
+    { url },
+    {
+      $setOnInsert: {
+        url,
+        name: name || url,
+        subscribedAt: new Date().toISOString(),
+        refreshedAt: null,
+        entryCount: 0,
+        lastError: null,
+      },
+    },
+    { upsert: true },
+  );
+  return result.upsertedCount > 0;
+}
+
+/**
+ * Update a subscription after a refresh
+ * @param {object} collection - MongoDB collection
+ * @param {string} url - Blocklist URL or file path
+ * @param {object} fields - Fields to set
+ */
+export async function updateSubscription(collection, url, fields) {
+  await collection.updateOne({ url }, { $set: fields });
+}
+
+/**
+ * Remove a blocklist subscription
+ * @param {object} collection - MongoDB collection
+ * @param {string} url - Blocklist URL or file path
+ */
+export async function removeSubscription(collection, url) {
+  await collection.deleteOne({ url });
+}
+
+/**
+ * Get a blocklist subscription
+ * @param {object} collection - MongoDB collection
+ * @param {string} url - Blocklist URL or file path
+ * @returns {Promise<object|null>}
+ */
+export async function getSubscription(collection, url) {
+  return collection.findOne({ url });
+}
+
+/**
+ * Get all blocklist subscriptions
+ * @param {object} collection - MongoDB collection
+ * @returns {Promise<Array>}
+ */
+export async function getSubscriptions(collection) {
+  return collection.find({}).sort({ subscribedAt: -1 }).toArray();
+}
@@ -0,0 +1,62 @@
+/**
+ * Trusted domain allowlist MongoDB storage
+ * Mentions from trusted domains skip the pre-moderation queue
+ */
+
+/**
+ * Ensure indexes exist
+ * @param {object} collection - MongoDB collection
+ */
+export async function ensureTrustedIndexes(collection) {
+  await collection.createIndex({ domain: 1 }, { unique: true });
+}
+
+/**
+ * Add a domain to the trusted allowlist
+ * @param {object} collection - MongoDB collection
+ * @param {string} domain - Domain to trust
+ * @param {string} [source] - How it was added ("manual", "approval")
+ * @returns {Promise<boolean>} true if inserted, false if already trusted
+ */
+export async function trustDomain(collection, domain, source = "manual") {
+  const result = await collection.updateOne(
+    { domain },
+    {
+      $setOnInsert: {
+        domain,
+        source,
+        trustedAt: new Date().toISOString(),
+      },
+    },
+    { upsert: true },
+  );
+  return result.upsertedCount > 0;
+}
+
+/**
+ * Remove a domain from the trusted allowlist
+ * @param {object} collection - MongoDB collection
+ * @param {string} domain - Domain
+ */
+export async function untrustDomain(collection, domain) {
+  await collection.deleteOne({ domain });
+}
+
+/**
+ * Get all trusted domains
+ * @param {object} collection - MongoDB collection
+ * @returns {Promise<Array>}
+ */
+export async function getTrustedDomains(collection) {
+  return collection.find({}).sort({ trustedAt: -1 }).toArray();
+}
+
+/**
+ * Get set of all trusted domains (for efficient sync filtering)
+ * @param {object} collection - MongoDB collection
+ * @returns {Promise<Set<string>>}
+ */
+export async function getTrustedDomainSet(collection) {
+  const entries = await collection.find({}, { projection: { domain: 1 } }).toArray();
+  return new Set(entries.map((e) => e.domain));
+}
@@ -0,0 +1,101 @@
+/**
+ * Webhook deliveries MongoDB storage
+ * One document per webhook request, kept as the delivery log and
+ * used as the retry queue
+ */
+
+/**
+ * Ensure indexes exist
+ * @param {object} collection - MongoDB collection
+ */
+export async function ensureWebhookIndexes(collection) {
+  await collection.createIndex({ id: 1 }, { unique: true });
+  await collection.createIndex({ status: 1, nextAttemptAt: 1 });
+  await collection.createIndex({ createdAt: -1 });
+}
+
+/**
+ * Queue webhook deliveries
+ * @param {object} collection - MongoDB collection
+ * @param {Array<object>} deliveries - Delivery documents
+ */
+export async function addDeliveries(collection, deliveries) {
+  if (deliveries.length > 0) {
+    await collection.insertMany(deliveries);
+  }
+}
+
+/**
+ * Get a webhook delivery
+ * @param {object} collection - MongoDB collection
+ * @param {string} id - Delivery ID
+ * @returns {Promise<object|null>}
+ */
+export async function getDelivery(collection, id) {
+  return collection.findOne({ id });
+}
+
+/**
+ * Get pending deliveries whose next attempt is due
+ * @param {object} collection - MongoDB collection
+ * @param {number} limit - Maximum deliveries
+ * @returns {Promise<Array>}
+ */
+export async function getDueDeliveries(collection, limit) {
+  return collection
+    .find({
+      status: "pending",
+      nextAttemptAt: { $lte: new Date().toISOString() },
+    })
+    .sort({ nextAttemptAt: 1 })
+    .limit(limit)
+    .toArray();
+}
+
+/**
+ * Update a delivery after an attempt
+ * @param {object} collection - MongoDB collection
+ * @param {string} id - Delivery ID
+ * @param {object} fields - Fields to set
+ */
+export async function updateDelivery(collection, id, fields) {
+  await collection.updateOne({ id }, { $set: fields });
+}
+
+/**
+ * Get recent deliveries for the delivery log, newest first
+ * @param {object} collection - MongoDB collection
+ * @param {object} [options] - Query options
+ * @param {string} [options.status] - "pending", "delivered" or "failed"
+ * @param {number} [options.page] - Page number
+ * @param {number} [options.perPage] - Items per page
+ * @returns {Promise<{items: Array, total: number}>}
+ */
+export async function getDeliveries(collection, options = {}) {
+  const { status, page = 0, perPage = 50 } = options;
+  const query = status ? { status } : {};
+
+  const total = await collection.countDocuments(query);
+  const items = await collection
+    .find(query, { projection: { payload: 0 } })
+    .sort({ createdAt: -1 })
+    .skip(page * perPage)
+    .limit(perPage)
+    .toArray();
+
+  return { items, total };
+}
+
+/**
+ * Delete finished deliveries older than a date
+ * @param {object} collection - MongoDB collection
+ * @param {string} before - ISO date
+ * @returns {Promise<number>} Number deleted
+ */
+export async function pruneDeliveries(collection, before) {
+  const result = await collection.deleteMany({
+    status: { $in: ["delivered", "failed"] },
+    createdAt: { $lt: before },
+  });
+  return result.deletedCount;
+}
@@ -2,7 +2,38 @@
  * Webmentions MongoDB storage
  */
 
-import { extractDomain, ensureISOString, sanitiseHtml } from "../utils.js";
+import {
+  extractDomain,
+  ensureISOString,
+  escapeHtml,
+  escapeRegex,
+  normaliseProfileUrl,
+  sanitiseHtml,
+  GENERATED_ID_OFFSET,
+} from "../utils.js";
+import { blockEntryQuery, subjectFromDocument } from "../blocklist.js";
+import { clearCache, hasCachedResponses, invalidateTargets } from "../cache.js";
+import { nextSequence } from "./state.js";
+
+/**
+ * Hidden reasons set by source re-verification
+ */
+export const VERIFY_HIDDEN_REASONS = ["source-deleted", "link-removed"];
+
+/**
+ * Hidden reasons for mentions waiting in the moderation queue
+ */
+export const PENDING_HIDDEN_REASONS = ["pending", "review"];
+
+/**
+ * Mention types that take part in conversation threads
+ */
+export const THREAD_PROPERTIES = ["in-reply-to", "mention-of"];
+
+/**
+ * Replies to our own replies are followed this many levels deep
+ */
+const MAX_THREAD_DEPTH = 10;
 
 /**
  * Ensure indexes exist
@@ -13,27 +44,47 @@ export async function ensureIndexes(collection) {
   await collection.createIndex({ wmTarget: 1, hidden: 1 });
   await collection.createIndex({ sourceDomain: 1 });
   await collection.createIndex({ wmReceived: -1 });
+  await collection.createIndex({ wmReceived: -1, wmId: -1 });
+  await collection.createIndex({ syncedAt: 1 });
+  await collection.createIndex({ firstSyncedAt: 1 });
+  await collection.createIndex({ seq: 1 }, { unique: true, sparse: true });
+  await collection.createIndex({ nextVerifyAt: 1 });
+  await collection.createIndex({ authorKey: 1 });
+  await collection.createIndex(
+    {
+      contentText: "text",
+      name: "text",
+      authorName: "text",
+      sourceUrl: "text",
+      wmTarget: "text",
+    },
+    { name: "webmention_text_search" },
+  );
 }
 
 /**
- * Transform a JF2 webmention entry into our storage format
+ * Transform a JF2 webmention entry into our storage format. Natively
+ * received mentions take `sourceDomain` from the verified source URL
  * @param {object} item - JF2 entry from webmention.io
+ * @param {string} [origin] - Where the mention came from ("webmention.io", "native")
  * @returns {object} Document for MongoDB
  */
-export function jf2ToDocument(item) {
+export function jf2ToDocument(item, origin = "webmention.io") {
   let contentHtml = null;
   let contentText = null;
 
   if (item.content?.html) {
     contentHtml = sanitiseHtml(item.content.html);
   } else if (item.content?.text) {
-    contentHtml = `<p>${item.content.text}</p>`;
+    contentHtml = sanitiseHtml(escapeHtml(item.content.text));
   }
 
   if (item.content?.text) {
     contentText = item.content.text;
   }
 
+  const now = new Date().toISOString();
+
   return {
     wmId: item["wm-id"],
     wmReceived: ensureISOString(item["wm-received"]) || new Date().toISOString(),
@@ -42,8 +93,13 @@ export function jf2ToDocument(item) {
     authorName: item.author?.name || null,
     authorUrl: item.author?.url || null,
     authorPhoto: item.author?.photo || null,
+    authorKey: normaliseProfileUrl(item.author?.url),
     sourceUrl: item.url || null,
-    sourceDomain: extractDomain(item.author?.url || item.url || ""),
+    sourceDomain: extractDomain(
+      origin === "native"
+        ? item["wm-source"]
+        : item.author?.url || item.url || "",
+    ),
     published: ensureISOString(item.published),
     contentHtml,
     contentText,
@@ -51,7 +107,9 @@ export function jf2ToDocument(item) {
     hidden: false,
     hiddenAt: null,
     hiddenReason: null,
-    syncedAt: new Date().toISOString(),
+    origin,
+    syncedAt: now,
+    firstSyncedAt: now,
     raw: item,
   };
 }
@@ -59,9 +117,11 @@ export function jf2ToDocument(item) {
 /**
  * Convert a stored document back to JF2 format for the public API
  * @param {object} doc - MongoDB document
+ * @param {object} [author] - The author's identity, from `resolveAuthors()`;
+ *   its name, photo and URL replace the ones stored on the mention
  * @returns {object} JF2 entry
  */
-export function documentToJf2(doc) {
+export function documentToJf2(doc, author) {
   const jf2 = {
     type: "entry",
     "wm-id": doc.wmId,
@@ -70,9 +130,9 @@ export function documentToJf2(doc) {
     "wm-target": doc.wmTarget,
     author: {
       type: "card",
-      name: doc.authorName || "",
-      url: doc.authorUrl || "",
-      photo: doc.authorPhoto || "",
+      name: author?.name || doc.authorName || "",
+      url: author?.url || doc.authorUrl || "",
+      photo: author?.photo || doc.authorPhoto || "",
     },
     url: doc.sourceUrl || "",
     published: ensureISOString(doc.published) || ensureISOString(doc.wmReceived),
@@ -92,101 +152,741 @@ export function documentToJf2(doc) {
 }
 
 /**
- * Upsert a webmention into MongoDB
+ * Fields compared to detect edits, and snapshotted into revisions
+ */
+const REVISION_FIELDS = [
+  "wmProperty",
+  "wmTarget",
+  "contentHtml",
+  "contentText",
+  "name",
+  "authorName",
+  "authorUrl",
+  "authorPhoto",
+];
+
+const MAX_REVISIONS = 20;
+
+/**
+ * Upsert a webmention into MongoDB.
+ * If the mention already exists and its type, target, content, name, author
+ * or raw JF2 changed, the document is updated and the previous version is
+ * pushed onto its `revisions` history. Moderation decisions are kept on
+ * update; an edit can only hide a visible mention, through `onEdit`.
  * @param {object} collection - MongoDB collection
  * @param {object} item - JF2 entry
- * @returns {Promise<boolean>} true if inserted (new), false if updated
+ * @param {object} [options] - Upsert options
+ * @param {string} [options.origin] - Where the mention came from
+ * @param {object} [options.onInsert] - Extra fields for a new document
+ *   (e.g. auto-moderation results)
+ * @param {object} [options.onEdit] - Extra fields for an edited mention
+ *   that is still visible (e.g. hiding it after the blocklist or
+ *   auto-moderation rules matched the new version)
+ * @param {boolean} [options.insert] - Store the mention if it's new
+ *   (default); false only updates a stored one
+ * @param {Function} [options.sequence] - Returns the `seq` for a new
+ *   document, its place in the order mentions were stored
+ * @returns {Promise<string>} "inserted", "updated" or "unchanged"
  */
-export async function upsertWebmention(collection, item) {
-  const doc = jf2ToDocument(item);
-  const result = await collection.updateOne(
+export async function upsertWebmention(collection, item, options = {}) {
+  const doc = jf2ToDocument(item, options.origin);
+  const existing = await collection.findOne({ wmId: doc.wmId });
+
+  if (!existing && options.insert === false) {
+    return "unchanged";
+  }
+
+  if (!existing) {
+    const seq = options.sequence ? await options.sequence() : undefined;
+    const result = await collection.updateOne(
+      { wmId: doc.wmId },
+      {
+        $setOnInsert: { ...doc, ...options.onInsert, ...(seq && { seq }) },
+      },
+      { upsert: true },
+    );
+    if (result.upsertedCount === 0) {
+      return "unchanged";
+    }
+
+    invalidateTargets([doc.wmTarget]);
+    return "inserted";
+  }
+
+  // Compare against what the provider sent last time, not the stored
+  // values, so fields filled in by h-card enrichment don't count as edits
+  const previous = existing.raw
+    ? jf2ToDocument(existing.raw, existing.origin)
+    : existing;
+
+  const changed = REVISION_FIELDS.filter(
+    (field) => (previous[field] || null) !== (doc[field] || null),
+  );
+  const rawChanged = stableStringify(existing.raw) !== stableStringify(item);
+
+  if (changed.length === 0 && !rawChanged) {
+    return "unchanged";
+  }
+
+  const revision = { revisedAt: existing.editedAt || existing.syncedAt || null };
+  for (const field of REVISION_FIELDS) {
+    revision[field] = existing[field] ?? null;
+  }
+  revision.raw = existing.raw || null;
+
+  const setFields = {
+    published: doc.published,
+    raw: doc.raw,
+    editedAt: new Date().toISOString(),
+    syncedAt: doc.syncedAt,
+  };
+  for (const field of changed) {
+    setFields[field] = doc[field];
+  }
+  if (changed.includes("authorUrl")) {
+    setFields.authorKey = doc.authorKey;
+    setFields.sourceDomain = doc.sourceDomain;
+  }
+  if (!existing.hidden) {
+    Object.assign(setFields, options.onEdit);
+  }
+
+  await collection.updateOne(
     { wmId: doc.wmId },
     {
-      $setOnInsert: doc,
+      $set: setFields,
+      $push: { revisions: { $each: [revision], $slice: -MAX_REVISIONS } },
     },
-    { upsert: true },
   );
-  return result.upsertedCount > 0;
+  invalidateTargets([existing.wmTarget, doc.wmTarget]);
+
+  return "updated";
+}
+
+/**
+ * Serialise a value as JSON with sorted keys, ignoring `wm-received`
+ * (which changes on every native re-send)
+ * @param {*} value - Value
+ * @returns {string}
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+
+  if (value && typeof value === "object") {
+    const keys = Object.keys(value)
+      .filter((key) => key !== "wm-received" && value[key] !== undefined)
+      .sort();
+    return `{${keys.map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(",")}}`;
+  }
+
+  return JSON.stringify(value ?? null);
 }
 
 /**
- * Get webmentions with filters
+ * Get a single webmention
  * @param {object} collection - MongoDB collection
- * @param {object} options - Query options
- * @returns {Promise<{items: Array, total: number}>}
+ * @param {number} wmId - Webmention ID
+ * @returns {Promise<object|null>}
  */
-export async function getWebmentions(collection, options = {}) {
+export async function getWebmention(collection, wmId) {
+  return collection.findOne({ wmId });
+}
+
+/**
+ * Get visible webmentions by ID, oldest first
+ * @param {object} collection - MongoDB collection
+ * @param {Array<number>} wmIds - Webmention IDs
+ * @returns {Promise<Array>}
+ */
+export async function getWebmentionsByIds(collection, wmIds) {
+  return collection
+    .find({ wmId: { $in: wmIds }, hidden: { $ne: true } })
+    .sort({ wmReceived: 1, wmId: 1 })
+    .toArray();
+}
+
+/**
+ * Get webmentions stored in a time window, hidden ones included, oldest
+ * first. Uses `firstSyncedAt`, not `wmReceived`: a mention synced late (or
+ * re-sent natively) can have been received long before it was stored. Edits
+ * only move `syncedAt`, so an edited mention doesn't turn up again;
+ * mentions stored before `firstSyncedAt` existed fall back to `syncedAt`.
+ * @param {object} collection - MongoDB collection
+ * @param {string} since - ISO date (exclusive)
+ * @param {string} until - ISO date (inclusive)
+ * @returns {Promise<Array>}
+ */
+export async function getReceivedWebmentions(collection, since, until) {
+  return collection
+    .find({
+      $or: [
+        { firstSyncedAt: { $gt: since, $lte: until } },
+        { firstSyncedAt: { $exists: false }, syncedAt: { $gt: since, $lte: until } },
+      ],
+    })
+    .sort({ firstSyncedAt: 1, syncedAt: 1, wmId: 1 })
+    .toArray();
+}
+
+/**
+ * Get the replies and mentions in the conversations on some targets, oldest
+ * first. Replies sent to our own reply posts (recorded in `responses`) are
+ * followed too, so whole back-and-forth conversations are returned.
+ * @param {object} collection - MongoDB collection
+ * @param {Array<string>} targets - Target URLs
+ * @param {object} [options] - Query options
+ * @param {boolean} [options.showHidden] - Include hidden mentions
+ * @returns {Promise<Array>}
+ */
+export async function getThreadMentions(collection, targets, options = {}) {
+  const docs = [];
+  const seen = new Set();
+  let pending = targets;
+
+  for (let depth = 0; depth < MAX_THREAD_DEPTH && pending.length > 0; depth++) {
+    const found = await collection
+      .find(
+        buildWebmentionQuery({
+          target: pending,
+          wmProperty: THREAD_PROPERTIES,
+          showHidden: options.showHidden,
+        }),
+      )
+      .sort({ wmReceived: 1, wmId: 1 })
+      .toArray();
+
+    pending = [];
+    for (const doc of found) {
+      if (seen.has(doc.wmId)) continue;
+      seen.add(doc.wmId);
+      docs.push(doc);
+
+      for (const response of doc.responses || []) {
+        if (response.type === "reply") {
+          pending.push(response.url);
+        }
+      }
+    }
+  }
+
+  return docs.sort((a, b) =>
+    ensureISOString(a.wmReceived).localeCompare(ensureISOString(b.wmReceived)),
+  );
+}
+
+/**
+ * Get targets with conversations, most recently active first
+ * Our own reply posts are left out, as their replies belong to the
+ * conversation on the original post.
+ * @param {object} collection - MongoDB collection
+ * @param {object} [options] - Query options
+ * @param {number} [options.page] - Page number
+ * @param {number} [options.perPage] - Targets per page
+ * @returns {Promise<{items: Array<{target: string, count: number, latest: string}>, total: number}>}
+ */
+export async function getThreadTargets(collection, options = {}) {
+  const { page = 0, perPage = 10 } = options;
+
+  const responseUrls = await collection.distinct("responses.url");
+  const match = {
+    wmProperty: { $in: THREAD_PROPERTIES },
+    wmTarget: {
+      $nin: responseUrls.flatMap((url) => {
+        const urlClean = url.replace(/\/$/, "");
+        return [urlClean, urlClean + "/"];
+      }),
+    },
+  };
+
+  const total = (await collection.distinct("wmTarget", match)).length;
+  const items = await collection
+    .aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: "$wmTarget",
+          count: { $sum: 1 },
+          latest: { $max: "$wmReceived" },
+        },
+      },
+      { $sort: { latest: -1, _id: 1 } },
+      { $skip: page * perPage },
+      { $limit: perPage },
+    ])
+    .toArray();
+
+  return {
+    items: items.map((item) => ({
+      target: item._id,
+      count: item.count,
+      latest: ensureISOString(item.latest),
+    })),
+    total,
+  };
+}
+
+/**
+ * Build a query comparing a date field. Dates are usually stored as ISO
+ * strings but can be BSON Dates (e.g. in imported documents), and MongoDB
+ * only compares values of the same type, so both are matched.
+ * @param {string} field - Field name, e.g. `wmReceived`
+ * @param {object} bounds - Comparison operators and ISO dates, e.g.
+ *   `{ $gte: since, $lt: until }`; empty bounds are ignored
+ * @returns {object} MongoDB query
+ */
+export function dateRangeQuery(field, bounds) {
+  const asString = {};
+  const asDate = {};
+  for (const [operator, value] of Object.entries(bounds)) {
+    if (value) {
+      asString[operator] = value;
+      asDate[operator] = new Date(value);
+    }
+  }
+
+  if (Object.keys(asString).length === 0) {
+    return {};
+  }
+
+  return { $or: [{ [field]: asString }, { [field]: asDate }] };
+}
+
+/**
+ * Build a MongoDB query from webmention filter options
+ * @param {object} options - Filter options
+ * @param {number} [options.wmId] - A single webmention
+ * @param {string|Array<string>} [options.target] - Target URL(s)
+ * @param {string} [options.targetPrefix] - Target URL prefix (e.g. a section)
+ * @param {string} [options.domain] - Target domain (every page on a site)
+ * @param {string|Array<string>} [options.wmProperty] - Mention type(s)
+ * @param {string|Array<string>} [options.hiddenReason] - Hidden reason(s)
+ * @param {boolean} [options.showHidden] - Include hidden mentions
+ * @param {boolean} [options.onlyHidden] - Only hidden mentions
+ * @param {Array<string>} [options.includeHidden] - Also include mentions
+ *   hidden for these reasons (e.g. pending)
+ * @param {string} [options.search] - Full-text search (content, name,
+ *   author name, source and target URL)
+ * @param {string} [options.since] - Only mentions received or edited after
+ *   this ISO date
+ * @param {string} [options.until] - Only mentions received up to this ISO date
+ * @param {number} [options.sinceSeq] - Only mentions stored after this
+ *   `seq`, from `getSinceSequence()`
+ * @returns {object} MongoDB query
+ */
+export function buildWebmentionQuery(options = {}) {
   const {
+    wmId,
     target,
+    targetPrefix,
+    domain,
     wmProperty,
+    hiddenReason,
     showHidden = false,
-    page = 0,
-    perPage = 20,
+    onlyHidden,
+    includeHidden,
+    search,
+    since,
+    until,
+    sinceSeq,
   } = options;
 
   const query = {};
+  const conditions = [];
 
-  if (!showHidden) {
+  if (onlyHidden) {
+    query.hidden = true;
+  } else if (!showHidden && includeHidden?.length > 0) {
+    conditions.push({
+      $or: [{ hidden: { $ne: true } }, { hiddenReason: { $in: includeHidden } }],
+    });
+  } else if (!showHidden) {
     query.hidden = { $ne: true };
   }
 
-  if (target) {
+  if (wmId) {
+    query.wmId = wmId;
+  }
+
+  // A mention matches if it matches any of the target options
+  const targetConditions = [];
+  const targets = [target].flat().filter(Boolean);
+
+  if (targets.length > 0) {
     // Match with and without trailing slash
-    const targetClean = target.replace(/\/$/, "");
-    query.wmTarget = { $in: [targetClean, targetClean + "/"] };
+    const variants = targets.flatMap((url) => {
+      const targetClean = url.replace(/\/$/, "");
+      return [targetClean, targetClean + "/"];
+    });
+    targetConditions.push({ wmTarget: { $in: variants } });
   }
 
-  if (wmProperty) {
+  if (targetPrefix) {
+    targetConditions.push({
+      wmTarget: { $regex: `^${escapeRegex(targetPrefix)}` },
+    });
+  }
+
+  if (domain) {
+    targetConditions.push({
+      wmTarget: {
+        $regex: `^https?://${escapeRegex(domain)}(?:[:/?#]|$)`,
+        $options: "i",
+      },
+    });
+  }
+
+  if (targetConditions.length === 1) {
+    Object.assign(query, targetConditions[0]);
+  } else if (targetConditions.length > 1) {
+    conditions.push({ $or: targetConditions });
+  }
+
+  if (Array.isArray(wmProperty)) {
+    query.wmProperty = { $in: wmProperty };
+  } else if (wmProperty) {
     query.wmProperty = wmProperty;
   }
 
+  if (hiddenReason) {
+    query.hiddenReason = Array.isArray(hiddenReason)
+      ? { $in: hiddenReason }
+      : hiddenReason;
+  }
+
+  if (search) {
+    query.$text = { $search: search };
+  }
+
+  if (since) {
+    conditions.push({
+      $or: [
+        dateRangeQuery("wmReceived", { $gt: since }),
+        dateRangeQuery("editedAt", { $gt: since }),
+      ],
+    });
+  }
+
+  if (until) {
+    conditions.push(dateRangeQuery("wmReceived", { $lte: until }));
+  }
+
+  if (typeof sinceSeq === "number") {
+    query.seq = { $gt: sinceSeq };
+  }
+
+  if (conditions.length > 0) {
+    query.$and = conditions;
+  }
+
+  return query;
+}
+
+/**
+ * Get webmentions with filters, newest first unless sorted otherwise.
+ * Pages either by `page` (skip/limit) or, more stably while new mentions
+ * arrive, by an `after`/`before` cursor from `encodeCursor()`. Cursors
+ * follow the order mentions were stored in (`seq`, newest first).
+ * @param {object} collection - MongoDB collection
+ * @param {object} options - Query options, see `buildWebmentionQuery()`
+ * @param {number} [options.page] - Page number
+ * @param {number} [options.perPage] - Items per page
+ * @param {object} [options.after] - Decoded cursor; return older mentions
+ * @param {object} [options.before] - Decoded cursor; return newer mentions
+ * @param {string} [options.sortBy] - "received" (default), "published"
+ *   or "stored"
+ * @param {number} [options.sortDir] - -1 (default, newest first) or 1
+ * @returns {Promise<{items: Array, total: number, hasNext: boolean, hasPrev: boolean}>}
+ */
+export async function getWebmentions(collection, options = {}) {
+  const {
+    page = 0,
+    perPage = 20,
+    after,
+    before,
+    sortBy = "received",
+    sortDir = -1,
+  } = options;
+  const query = buildWebmentionQuery(options);
   const total = await collection.countDocuments(query);
+
+  const cursor = after || before;
+  if (!cursor) {
+    const sort =
+      sortBy === "stored"
+        ? { seq: sortDir }
+        : {
+            [sortBy === "published" ? "published" : "wmReceived"]: sortDir,
+            wmId: sortDir,
+          };
+    const items = await collection
+      .find(query)
+      .sort(sort)
+      .skip(page * perPage)
+      .limit(perPage + 1)
+      .toArray();
+
+    return {
+      items: items.slice(0, perPage),
+      total,
+      hasNext: items.length > perPage,
+      hasPrev: page > 0,
+    };
+  }
+
+  const direction = after ? "$lt" : "$gt";
+  const cursorQuery = {
+    $and: [query, { seq: { [direction]: cursor.seq } }],
+  };
+  const order = after ? -1 : 1;
+
   const items = await collection
-    .find(query)
-    .sort({ wmReceived: -1 })
-    .skip(page * perPage)
-    .limit(perPage)
+    .find(cursorQuery)
+    .sort({ seq: order })
+    .limit(perPage + 1)
     .toArray();
+  const more = items.length > perPage;
+  const pageItems = items.slice(0, perPage);
 
-  return { items, total };
+  if (before) {
+    pageItems.reverse();
+  }
+
+  return {
+    items: pageItems,
+    total,
+    hasNext: after ? more : true,
+    hasPrev: after ? true : more,
+  };
+}
+
+/**
+ * Encode a pagination cursor for a webmention document
+ * @param {object} doc - Webmention document
+ * @returns {string} Opaque cursor
+ */
+export function encodeCursor(doc) {
+  return Buffer.from(`seq:${doc.seq}`).toString("base64url");
+}
+
+/**
+ * Decode a pagination cursor
+ * @param {string} cursor - Cursor from `encodeCursor()`
+ * @returns {{seq: number}|null} null if invalid
+ */
+export function decodeCursor(cursor) {
+  const match = Buffer.from(String(cursor), "base64url")
+    .toString()
+    .match(/^seq:(\d+)$/);
+  const seq = Number(match?.[1]);
+
+  if (!match || !Number.isSafeInteger(seq) || seq < 1) {
+    return null;
+  }
+
+  return { seq };
+}
+
+/**
+ * Work out where a `since_id` leaves off in the order mentions were
+ * stored. IDs aren't in storage order (other sources use hashed IDs), so
+ * the mention with that ID is looked up. For a webmention.io ID that's
+ * gone (deleted since), the closest lower webmention.io ID stands in.
+ * @param {object} collection - MongoDB collection
+ * @param {number} sinceId - Mention ID
+ * @returns {Promise<number|null>} `seq` to continue after, or null if the
+ *   ID can't be placed
+ */
+export async function getSinceSequence(collection, sinceId) {
+  const doc = await collection.findOne({ wmId: sinceId });
+  if (doc) {
+    return doc.seq ?? 0;
+  }
+
+  if (sinceId >= GENERATED_ID_OFFSET) {
+    return null;
+  }
+
+  const [previous] = await collection
+    .find({ wmId: { $lt: sinceId } })
+    .sort({ wmId: -1 })
+    .limit(1)
+    .toArray();
+
+  return previous?.seq ?? 0;
+}
+
+/**
+ * Get the counter that numbers mentions in the order they're stored
+ * @param {object} stateCollection - `webmentionState` collection
+ * @returns {Function} Returns the next `seq`, for `upsertWebmention()`
+ */
+export function webmentionSequence(stateCollection) {
+  return () => nextSequence(stateCollection, "sequence:webmentions");
+}
+
+/**
+ * Number mentions stored before `seq` existed, oldest first
+ * @param {object} collection - MongoDB collection
+ * @param {Function} sequence - Returns the next `seq`
+ * @returns {Promise<number>} Mentions numbered
+ */
+export async function backfillSequence(collection, sequence) {
+  const docs = await collection
+    .find({ seq: { $exists: false } }, { projection: { wmId: 1 } })
+    .sort({ wmReceived: 1, wmId: 1 })
+    .toArray();
+
+  for (const doc of docs) {
+    await collection.updateOne(
+      { wmId: doc.wmId, seq: { $exists: false } },
+      { $set: { seq: await sequence() } },
+    );
+  }
+
+  return docs.length;
+}
+
+/**
+ * Count visible webmentions per `wm-property` for one or more targets.
+ * Targets match with and without a trailing slash.
+ * @param {object} collection - MongoDB collection
+ * @param {Array<string>} targets - Target URLs
+ * @returns {Promise<Map<string, object>>} Map of each requested target to
+ *   counts keyed by `wm-property`
+ */
+export async function getInteractionCounts(collection, targets) {
+  const variants = new Map();
+  for (const target of targets) {
+    const targetClean = target.replace(/\/$/, "");
+    variants.set(targetClean, target);
+    variants.set(targetClean + "/", target);
+  }
+
+  const results = await collection
+    .aggregate([
+      {
+        $match: {
+          wmTarget: { $in: [...variants.keys()] },
+          hidden: { $ne: true },
+        },
+      },
+      {
+        $group: {
+          _id: { target: "$wmTarget", property: "$wmProperty" },
+          count: { $sum: 1 },
+        },
+      },
+    ])
+    .toArray();
+
+  const counts = new Map(targets.map((target) => [target, {}]));
+  for (const { _id, count } of results) {
+    const byProperty = counts.get(variants.get(_id.target));
+    byProperty[_id.property] = (byProperty[_id.property] || 0) + count;
+  }
+
+  return counts;
 }
 
 /**
  * Get webmention counts
  * @param {object} collection - MongoDB collection
- * @returns {Promise<{total: number, hidden: number, visible: number}>}
+ * @returns {Promise<{total: number, hidden: number, visible: number, pending: number}>}
  */
 export async function getWebmentionCounts(collection) {
   const total = await collection.countDocuments({});
   const hidden = await collection.countDocuments({ hidden: true });
-  return { total, hidden, visible: total - hidden };
+  const pending = await collection.countDocuments({
+    hiddenReason: { $in: PENDING_HIDDEN_REASONS },
+  });
+  return { total, hidden, visible: total - hidden, pending };
 }
 
 /**
- * Get the highest wmId in the collection (for incremental sync)
+ * Get the highest webmention.io wmId in the collection (for incremental sync)
  * @param {object} collection - MongoDB collection
  * @returns {Promise<number>} Highest wmId or 0
  */
 export async function getMaxWmId(collection) {
+  // Documents synced before `origin` existed all came from webmention.io
   const result = await collection
-    .find({})
+    .find({ origin: { $in: [null, "webmention.io"] } })
     .sort({ wmId: -1 })
     .limit(1)
     .toArray();
   return result.length > 0 ? result[0].wmId : 0;
 }
 
+/**
+ * Get webmentions whose source is due for re-verification.
+ * Mentions hidden for reasons other than verification are skipped.
+ * @param {object} collection - MongoDB collection
+ * @param {number} limit - Maximum number of documents
+ * @returns {Promise<Array>}
+ */
+export async function getMentionsDueForVerification(collection, limit) {
+  return collection
+    .find({
+      sourceUrl: { $ne: null },
+      $and: [
+        {
+          $or: [
+            { nextVerifyAt: null },
+            { nextVerifyAt: { $lte: new Date().toISOString() } },
+          ],
+        },
+        {
+          $or: [
+            { hidden: { $ne: true } },
+            { hiddenReason: { $in: VERIFY_HIDDEN_REASONS } },
+          ],
+        },
+      ],
+    })
+    .sort({ nextVerifyAt: 1 })
+    .limit(limit)
+    .toArray();
+}
+
+/**
+ * Record the result of a re-verification check
+ * @param {object} collection - MongoDB collection
+ * @param {number} wmId - Webmention ID
+ * @param {object} fields - Fields to set (verifiedAt, verifyFailures, nextVerifyAt)
+ */
+export async function recordVerification(collection, wmId, fields) {
+  await collection.updateOne({ wmId }, { $set: fields });
+}
+
+/**
+ * Record a response (reply, like, repost) we posted to a webmention
+ * @param {object} collection - MongoDB collection
+ * @param {number} wmId - Webmention ID
+ * @param {object} response - `{ type, url, createdAt }`
+ */
+export async function addResponse(collection, wmId, response) {
+  const targets = await getAffectedTargets(collection, { wmId });
+  await collection.updateOne({ wmId }, { $push: { responses: response } });
+  // Threaded API responses include our replies
+  invalidate(targets);
+}
+
 /**
  * Hide a webmention
  * @param {object} collection - MongoDB collection
  * @param {number} wmId - Webmention ID
- * @param {string} reason - Reason ("manual", "blocklist", "privacy")
+ * @param {string} reason - Reason ("manual", "blocklist", "privacy",
+ *   "source-deleted", "link-removed")
  */
 export async function hideWebmention(collection, wmId, reason = "manual") {
+  const targets = await getAffectedTargets(collection, { wmId });
   await collection.updateOne(
     { wmId },
     { $set: { hidden: true, hiddenAt: new Date().toISOString(), hiddenReason: reason } },
   );
+  invalidate(targets);
 }
 
 /**
@@ -195,10 +895,64 @@ export async function hideWebmention(collection, wmId, reason = "manual") {
  * @param {number} wmId - Webmention ID
  */
 export async function unhideWebmention(collection, wmId) {
+  const targets = await getAffectedTargets(collection, { wmId });
   await collection.updateOne(
     { wmId },
     { $set: { hidden: false, hiddenAt: null, hiddenReason: null } },
   );
+  invalidate(targets);
+}
+
+/**
+ * Hide all visible webmentions matching a query
+ * @param {object} collection - MongoDB collection
+ * @param {object} query - MongoDB query
+ * @param {string} reason - Reason
+ * @returns {Promise<number>} Number of mentions hidden
+ */
+export async function hideByQuery(collection, query, reason = "manual") {
+  const filter = { $and: [query, { hidden: { $ne: true } }] };
+  const targets = await getAffectedTargets(collection, filter);
+  const result = await collection.updateMany(filter, {
+    $set: { hidden: true, hiddenAt: new Date().toISOString(), hiddenReason: reason },
+  });
+  invalidate(targets);
+  return result.modifiedCount;
+}
+
+/**
+ * Unhide all hidden webmentions matching a query
+ * @param {object} collection - MongoDB collection
+ * @param {object} query - MongoDB query
+ * @returns {Promise<{count: number, pending: Array<number>}>} Number of
+ *   mentions unhidden, and the IDs of those that were held for moderation
+ *   (never announced, so callers should dispatch webhooks for them)
+ */
+export async function unhideByQuery(collection, query) {
+  const filter = { $and: [query, { hidden: true }] };
+  const held = await collection
+    .find(
+      { $and: [filter, { hiddenReason: { $in: PENDING_HIDDEN_REASONS } }] },
+      { projection: { wmId: 1 } },
+    )
+    .toArray();
+  const targets = await getAffectedTargets(collection, filter);
+  const result = await collection.updateMany(filter, {
+    $set: { hidden: false, hiddenAt: null, hiddenReason: null },
+  });
+  invalidate(targets);
+  return { count: result.modifiedCount, pending: held.map((doc) => doc.wmId) };
+}
+
+/**
+ * Get the source domains of webmentions matching a query
+ * @param {object} collection - MongoDB collection
+ * @param {object} query - MongoDB query
+ * @returns {Promise<Array<string>>}
+ */
+export async function getDomainsByQuery(collection, query) {
+  const domains = await collection.distinct("sourceDomain", query);
+  return domains.filter(Boolean);
 }
 
 /**
@@ -209,10 +963,12 @@ export async function unhideWebmention(collection, wmId) {
  * @returns {Promise<number>} Number of mentions hidden
  */
 export async function hideByDomain(collection, domain, reason = "blocklist") {
-  const result = await collection.updateMany(
-    { sourceDomain: domain, hidden: { $ne: true } },
-    { $set: { hidden: true, hiddenAt: new Date().toISOString(), hiddenReason: reason } },
-  );
+  const query = { sourceDomain: domain, hidden: { $ne: true } };
+  const targets = await getAffectedTargets(collection, query);
+  const result = await collection.updateMany(query, {
+    $set: { hidden: true, hiddenAt: new Date().toISOString(), hiddenReason: reason },
+  });
+  invalidate(targets);
   return result.modifiedCount;
 }
 
@@ -223,13 +979,101 @@ export async function hideByDomain(collection, domain, reason = "blocklist") {
  * @returns {Promise<number>} Number of mentions unhidden
  */
 export async function unhideByDomain(collection, domain) {
-  const result = await collection.updateMany(
-    { sourceDomain: domain, hiddenReason: "blocklist" },
-    { $set: { hidden: false, hiddenAt: null, hiddenReason: null } },
-  );
+  const query = { sourceDomain: domain, hiddenReason: "blocklist" };
+  const targets = await getAffectedTargets(collection, query);
+  const result = await collection.updateMany(query, {
+    $set: { hidden: false, hiddenAt: null, hiddenReason: null },
+  });
+  invalidate(targets);
+  return result.modifiedCount;
+}
+
+/**
+ * Count stored webmentions matching a blocklist entry
+ * @param {object} collection - MongoDB collection
+ * @param {object} entry - Blocklist entry
+ * @returns {Promise<number>}
+ */
+export async function countByBlockEntry(collection, entry) {
+  return collection.countDocuments(blockEntryQuery(entry));
+}
+
+/**
+ * Hide all webmentions matching a blocklist entry
+ * @param {object} collection - MongoDB collection
+ * @param {object} entry - Blocklist entry
+ * @param {string} reason - Hide reason
+ * @returns {Promise<number>} Number of mentions hidden
+ */
+export async function hideByBlockEntry(collection, entry, reason = "blocklist") {
+  const query = { $and: [blockEntryQuery(entry), { hidden: { $ne: true } }] };
+  const targets = await getAffectedTargets(collection, query);
+  const result = await collection.updateMany(query, {
+    $set: { hidden: true, hiddenAt: new Date().toISOString(), hiddenReason: reason },
+  });
+  invalidate(targets);
   return result.modifiedCount;
 }
 
+/**
+ * Unhide webmentions hidden by a blocklist entry, unless another entry
+ * still matches them
+ * @param {object} collection - MongoDB collection
+ * @param {object} entry - Removed blocklist entry
+ * @param {object} remaining - Matcher for the remaining entries, from
+ *   `compileBlocklist()`
+ * @returns {Promise<number>} Number of mentions unhidden
+ */
+export async function unhideByBlockEntry(collection, entry, remaining) {
+  const docs = await collection
+    .find({ $and: [blockEntryQuery(entry), { hiddenReason: "blocklist" }] })
+    .toArray();
+  const wmIds = docs
+    .filter((doc) => !remaining.match(subjectFromDocument(doc)))
+    .map((doc) => doc.wmId);
+
+  if (wmIds.length === 0) {
+    return 0;
+  }
+
+  const query = { wmId: { $in: wmIds } };
+  const targets = await getAffectedTargets(collection, query);
+  const result = await collection.updateMany(query, {
+    $set: { hidden: false, hiddenAt: null, hiddenReason: null },
+  });
+  invalidate(targets);
+  return result.modifiedCount;
+}
+
+/**
+ * Approve all webmentions from a domain waiting for pre-moderation
+ * (mentions held by auto-moderation rules stay in the queue)
+ * @param {object} collection - MongoDB collection
+ * @param {string} domain - Domain
+ * @returns {Promise<Array<number>>} IDs of the mentions approved
+ */
+export async function approveByDomain(collection, domain) {
+  const docs = await collection
+    .find(
+      { sourceDomain: domain, hiddenReason: "pending" },
+      { projection: { wmId: 1 } },
+    )
+    .toArray();
+  const wmIds = docs.map((doc) => doc.wmId);
+
+  if (wmIds.length === 0) {
+    return [];
+  }
+
+  const query = { wmId: { $in: wmIds } };
+  const targets = await getAffectedTargets(collection, query);
+  await collection.updateMany(query, {
+    $set: { hidden: false, hiddenAt: null, hiddenReason: null },
+  });
+  invalidate(targets);
+  return wmIds;
+}
+
 /**
  * Permanently delete all webmentions from a domain (for privacy removal)
  * @param {object} collection - MongoDB collection
@@ -237,7 +1081,49 @@ export async function unhideByDomain(collection, domain) {
  * @returns {Promise<number>} Number deleted
  */
 export async function deleteByDomain(collection, domain) {
-  const result = await collection.deleteMany({ sourceDomain: domain });
+  const query = { sourceDomain: domain };
+  const targets = await getAffectedTargets(collection, query);
+  const result = await collection.deleteMany(query);
+  invalidate(targets);
+  return result.deletedCount;
+}
+
+/**
+ * Permanently delete a single webmention
+ * @param {object} collection - MongoDB collection
+ * @param {number} wmId - Webmention ID
+ * @returns {Promise<boolean>} true if a document was deleted
+ */
+export async function deleteWebmention(collection, wmId) {
+  const targets = await getAffectedTargets(collection, { wmId });
+  const result = await collection.deleteOne({ wmId });
+  invalidate(targets);
+  return result.deletedCount > 0;
+}
+
+/**
+ * Delete webmentions from one origin, except the ones listed (a full
+ * re-sync drops the mentions its source no longer has)
+ * @param {object} collection - MongoDB collection
+ * @param {string} origin - Origin ("webmention.io", "native")
+ * @param {Array<number>} [keep] - IDs of mentions to keep
+ * @returns {Promise<number>} Number deleted
+ */
+export async function deleteByOrigin(collection, origin, keep = []) {
+  const query =
+    origin === "webmention.io"
+      ? { origin: { $in: [null, "webmention.io"] } }
+      : { origin };
+
+  if (keep.length > 0) {
+    query.wmId = { $nin: keep };
+  }
+
+  const result = await collection.deleteMany(query);
+  if (result.deletedCount > 0) {
+    clearCache();
+  }
+
   return result.deletedCount;
 }
 
@@ -248,9 +1134,22 @@ export async function deleteByDomain(collection, domain) {
  */
 export async function deleteAll(collection) {
   const result = await collection.deleteMany({});
+  clearCache();
   return result.deletedCount;
 }
 
+/**
+ * Get the set of source domains we have stored mentions from
+ * @param {object} collection - MongoDB collection
+ * @returns {Promise<Set<string>>}
+ */
+export async function getKnownDomains(collection) {
+  const domains = await collection.distinct("sourceDomain", {
+    sourceDomain: { $ne: null },
+  });
+  return new Set(domains);
+}
+
 /**
  * Get distinct source domains that have entries with missing author photos
  * @param {object} collection - MongoDB collection
@@ -264,38 +1163,234 @@ export async function getDomainsWithMissingPhotos(collection) {
 }
 
 /**
- * Update author photo and URL for all entries from a domain that are missing them
+ * Get the distinct author photo URLs of stored mentions
+ * @param {object} collection - MongoDB collection
+ * @returns {Promise<string[]>}
+ */
+export async function getAuthorPhotoUrls(collection) {
+  return collection.distinct("authorPhoto", {
+    authorPhoto: { $nin: [null, ""] },
+  });
+}
+
+/**
+ * Get the latest mention from a domain that is missing its author photo
+ * @param {object} collection - MongoDB collection
+ * @param {string} domain - Source domain
+ * @returns {Promise<string|null>} Its source URL
+ */
+export async function getMissingPhotoSource(collection, domain) {
+  const [doc] = await collection
+    .find({ sourceDomain: domain, authorPhoto: { $in: [null, ""] } })
+    .sort({ wmReceived: -1 })
+    .limit(1)
+    .toArray();
+  return doc?.sourceUrl || null;
+}
+
+/**
+ * Fill in missing author photo, URL and name for all entries from a domain.
+ * Each field is only set on entries that don't have it. When the author's
+ * URL is known, entries by other authors on the same domain (accounts on a
+ * shared instance, say) are left alone.
  * @param {object} collection - MongoDB collection
  * @param {string} domain - Source domain
  * @param {object} data - Author data to set
  * @param {string} [data.photoUrl] - Author photo URL
  * @param {string} [data.authorUrl] - Author profile URL
+ * @param {string} [data.name] - Author name
  * @returns {Promise<number>} Number of entries updated
  */
 export async function updateAuthorDataByDomain(collection, domain, data) {
-  const setFields = {};
-  if (data.photoUrl) {
-    setFields.authorPhoto = data.photoUrl;
-  }
+  const base = { sourceDomain: domain };
   if (data.authorUrl) {
-    setFields.authorUrl = data.authorUrl;
+    base.$and = [
+      {
+        $or: [
+          { authorKey: normaliseProfileUrl(data.authorUrl) },
+          { authorUrl: { $in: [null, ""] } },
+        ],
+      },
+    ];
   }
 
-  if (Object.keys(setFields).length === 0) return 0;
+  return fillAuthorData(collection, base, data);
+}
 
-  // Only update entries that are missing the data
-  const query = { sourceDomain: domain };
-  const conditions = [];
+/**
+ * Fill in missing author photo, URL and name for the entries from one post,
+ * and for other entries by the same author (when the author's URL is known)
+ * @param {object} collection - MongoDB collection
+ * @param {string} sourceUrl - Post URL
+ * @param {object} data - Author data from the post's `p-author`
+ * @param {string} [data.photoUrl] - Author photo URL
+ * @param {string} [data.authorUrl] - Author profile URL
+ * @param {string} [data.name] - Author name
+ * @returns {Promise<number>} Number of entries updated
+ */
+export async function updateAuthorDataByPost(collection, sourceUrl, data) {
+  const base = data.authorUrl
+    ? {
+        $and: [
+          {
+            $or: [
+              { sourceUrl },
+              { authorKey: normaliseProfileUrl(data.authorUrl) },
+            ],
+          },
+        ],
+      }
+    : { sourceUrl };
+
+  return fillAuthorData(collection, base, data);
+}
+
+/**
+ * Set author fields on the matching entries that don't have them
+ * @param {object} collection - MongoDB collection
+ * @param {object} base - Entries that may be updated
+ * @param {object} data - Author data (`photoUrl`, `authorUrl`, `name`)
+ * @returns {Promise<number>} Number of entries updated
+ */
+async function fillAuthorData(collection, base, data) {
+  const updates = [];
   if (data.photoUrl) {
-    conditions.push({ authorPhoto: { $in: [null, ""] } });
+    updates.push({ authorPhoto: data.photoUrl });
   }
   if (data.authorUrl) {
-    conditions.push({ authorUrl: { $in: [null, ""] } });
+    updates.push({
+      authorUrl: data.authorUrl,
+      authorKey: normaliseProfileUrl(data.authorUrl),
+    });
   }
-  if (conditions.length > 0) {
-    query.$or = conditions;
+  if (data.name) {
+    updates.push({ authorName: data.name });
   }
 
-  const result = await collection.updateMany(query, { $set: setFields });
-  return result.modifiedCount;
+  if (updates.length === 0) return 0;
+
+  const missing = updates.map((fields) => ({
+    [Object.keys(fields)[0]]: { $in: [null, ""] },
+  }));
+  const query = { ...base, $or: missing };
+  const targets = await getAffectedTargets(collection, query);
+  const count = await collection.countDocuments(query);
+
+  for (const [index, fields] of updates.entries()) {
+    await collection.updateMany({ ...base, ...missing[index] }, { $set: fields });
+  }
+
+  invalidate(targets);
+  return count;
+}
+
+/**
+ * Set `authorKey` on mentions stored before author profiles existed
+ * @param {object} collection - MongoDB collection
+ * @returns {Promise<number>} Number of mentions updated
+ */
+export async function backfillAuthorKeys(collection) {
+  const urls = await collection.distinct("authorUrl", {
+    authorKey: { $exists: false },
+    authorUrl: { $nin: [null, ""] },
+  });
+
+  let updated = 0;
+  for (const url of urls) {
+    const result = await collection.updateMany(
+      { authorUrl: url, authorKey: { $exists: false } },
+      { $set: { authorKey: normaliseProfileUrl(url) } },
+    );
+    updated += result.modifiedCount;
+  }
+
+  return updated;
+}
+
+/**
+ * Summarise the mentions from each author profile URL
+ * Name and photo are the latest ones the author's mentions carried.
+ * @param {object} collection - MongoDB collection
+ * @returns {Promise<Array<{key: string, url: string, name: string|null, photo: string|null, mentions: number, firstSeen: string, lastSeen: string}>>}
+ */
+export async function getAuthorStats(collection) {
+  const rows = await collection
+    .aggregate([
+      { $match: { authorKey: { $nin: [null, ""] } } },
+      { $sort: { wmReceived: 1 } },
+      {
+        $group: {
+          _id: "$authorKey",
+          url: { $last: "$authorUrl" },
+          name: { $last: "$authorName" },
+          photo: { $last: "$authorPhoto" },
+          mentions: { $sum: 1 },
+          firstSeen: { $min: "$wmReceived" },
+          lastSeen: { $max: "$wmReceived" },
+        },
+      },
+    ])
+    .toArray();
+
+  return rows.map((row) => ({
+    key: row._id,
+    url: row.url,
+    name: row.name || null,
+    photo: row.photo || null,
+    mentions: row.mentions,
+    firstSeen: row.firstSeen,
+    lastSeen: row.lastSeen,
+  }));
+}
+
+/**
+ * Get the mentions from some author profiles, hidden ones included,
+ * newest first
+ * @param {object} collection - MongoDB collection
+ * @param {Array<string>} keys - Normalised profile URLs
+ * @param {object} [options] - Query options
+ * @param {number} [options.page] - Page number (0-indexed)
+ * @param {number} [options.perPage] - Items per page
+ * @returns {Promise<{items: Array, total: number}>}
+ */
+export async function getWebmentionsByAuthor(collection, keys, options = {}) {
+  const { page = 0, perPage = 20 } = options;
+  const query = { authorKey: { $in: keys } };
+
+  const [items, total] = await Promise.all([
+    collection
+      .find(query)
+      .sort({ wmReceived: -1, wmId: -1 })
+      .skip(page * perPage)
+      .limit(perPage)
+      .toArray(),
+    collection.countDocuments(query),
+  ]);
+
+  return { items, total };
+}
+
+/**
+ * Get the targets of webmentions a write is about to change, for cache
+ * invalidation. Skips the lookup while nothing is cached.
+ * @param {object} collection - MongoDB collection
+ * @param {object} query - MongoDB query for the write
+ * @returns {Promise<Array<string>|null>} Targets, or null if the cache
+ *   was empty
+ */
+async function getAffectedTargets(collection, query) {
+  return hasCachedResponses() ? collection.distinct("wmTarget", query) : null;
+}
+
+/**
+ * Drop cached API responses after a write
+ * @param {Array<string>|null} targets - From `getAffectedTargets()`; null
+ *   clears everything cached while the write ran
+ */
+function invalidate(targets) {
+  if (targets) {
+    invalidateTargets(targets);
+  } else {
+    clearCache();
+  }
 }
@@ -1,22 +1,41 @@
 /**
- * Background sync from webmention.io
+ * Background sync from mention sources (webmention.io by default)
  */
 
-import { extractDomain } from "./utils.js";
+import { extractDomain, mentionId } from "./utils.js";
 import {
   ensureIndexes,
   upsertWebmention,
   getMaxWmId,
-  deleteAll,
-  hideByDomain,
+  getKnownDomains,
+  deleteByOrigin,
   getDomainsWithMissingPhotos,
+  getMissingPhotoSource,
   updateAuthorDataByDomain,
+  updateAuthorDataByPost,
+  webmentionSequence,
+  backfillSequence,
 } from "./storage/webmentions.js";
 import {
   ensureBlocklistIndexes,
-  getBlockedDomainSet,
+  getBlocklistMatcher,
 } from "./storage/blocklist.js";
-import { discoverAuthorData } from "./hcard.js";
+import { ensureStateIndexes, getState, setState } from "./storage/state.js";
+import {
+  ensureTrustedIndexes,
+  getTrustedDomainSet,
+} from "./storage/trusted.js";
+import { createAdapters, PRIMARY_ADAPTER_ID } from "./adapters/index.js";
+import {
+  createRuleEngine,
+  getEditModerationFields,
+  getModerationFields,
+} from "./moderation.js";
+import { subjectFromItem } from "./blocklist.js";
+import { discoverAuthorData, discoverPostAuthor } from "./hcard.js";
+import { cacheAvatars } from "./avatars.js";
+import { refreshAuthors } from "./authors.js";
+import { dispatchWebhooks } from "./webhooks.js";
 
 let syncInterval = null;
 let syncState = {
@@ -24,7 +43,9 @@ let syncState = {
   syncing: false,
   lastError: null,
   mentionsAdded: 0,
+  mentionsUpdated: 0,
   mentionsFiltered: 0,
+  sources: {},
 };
 
 /**
@@ -79,6 +100,28 @@ export function stopSync() {
  * @returns {Promise<object>}
  */
 export async function runSync(dbOrIndiekit, options) {
+  return runSyncCycle(dbOrIndiekit, options, { full: false });
+}
+
+/**
+ * Run a full re-sync (fetch all, per source, updating what's stored)
+ * @param {object} dbOrIndiekit - Database or Indiekit instance
+ * @param {object} options - Plugin options
+ * @returns {Promise<object>}
+ */
+export async function runFullSync(dbOrIndiekit, options) {
+  return runSyncCycle(dbOrIndiekit, options, { full: true });
+}
+
+/**
+ * Sync every configured source into the webmentions collection
+ * @param {object} dbOrIndiekit - Database or Indiekit instance
+ * @param {object} options - Plugin options
+ * @param {object} params - Cycle params
+ * @param {boolean} params.full - Fetch everything, ignoring cursors
+ * @returns {Promise<object>}
+ */
+async function runSyncCycle(dbOrIndiekit, options, { full }) {
   const db = dbOrIndiekit.database || dbOrIndiekit;
   if (!db || typeof db.collection !== "function") {
     syncState.lastError = "No database available";
@@ -92,123 +135,232 @@ export async function runSync(dbOrIndiekit, options) {
   syncState.syncing = true;
   syncState.lastError = null;
   syncState.mentionsAdded = 0;
+  syncState.mentionsUpdated = 0;
   syncState.mentionsFiltered = 0;
 
-  try {
-    const wmCollection = db.collection("webmentions");
-    const blockCollection = db.collection("webmentionBlocklist");
-
-    await ensureIndexes(wmCollection);
-    await ensureBlocklistIndexes(blockCollection);
-
-    // Get highest wmId for incremental sync
-    const sinceId = await getMaxWmId(wmCollection);
-
-    // Get blocked domains
-    const blockedDomains = await getBlockedDomainSet(blockCollection);
+  const label = full ? "Full sync" : "Sync";
 
-    // Fetch pages from webmention.io
-    let page = 0;
-    let hasMore = true;
-    const perPage = 100;
-
-    while (hasMore) {
-      const items = await fetchPage(options, { page, perPage, sinceId });
+  try {
+    const collections = {
+      wm: db.collection("webmentions"),
+      blocklist: db.collection("webmentionBlocklist"),
+      state: db.collection("webmentionState"),
+      trusted: db.collection("webmentionTrusted"),
+    };
 
-      if (!items || items.length === 0) {
-        hasMore = false;
-        break;
+    await ensureIndexes(collections.wm);
+    await ensureBlocklistIndexes(collections.blocklist);
+    await ensureStateIndexes(collections.state);
+    await ensureTrustedIndexes(collections.trusted);
+
+    // Mentions stored before they were numbered
+    await backfillSequence(collections.wm, webmentionSequence(collections.state));
+
+    const adapters = createAdapters(options);
+
+    // Blocklist domains and patterns
+    const blocklist = await getBlocklistMatcher(collections.blocklist);
+
+    // Auto-moderation rules, scored before each mention is stored
+    const engine = createRuleEngine(options.moderation);
+    const knownDomains = engine.needsKnownDomains
+      ? await getKnownDomains(collections.wm)
+      : new Set();
+
+    // Pre-moderation: mentions from untrusted domains wait for approval
+    const trustedDomains = options.preModeration
+      ? await getTrustedDomainSet(collections.trusted)
+      : null;
+
+    const errors = [];
+    const inserted = [];
+    for (const adapter of adapters) {
+      const result = await syncAdapter(collections, adapter, {
+        full,
+        blocklist,
+        engine,
+        knownDomains,
+        trustedDomains,
+        inserted,
+      });
+
+      syncState.sources[adapter.id] = result;
+      if (result.lastError) {
+        errors.push(`${adapter.id}: ${result.lastError}`);
       }
+    }
 
-      for (const item of items) {
-        const domain = extractDomain(item.author?.url || item.url || "");
-
-        if (domain && blockedDomains.has(domain)) {
-          syncState.mentionsFiltered++;
-          continue;
-        }
-
-        const isNew = await upsertWebmention(wmCollection, item);
-        if (isNew) {
-          syncState.mentionsAdded++;
-        }
-      }
+    // Enrich entries with missing author photos via h-card discovery
+    const enriched = await enrichMissingPhotos(db, collections.wm);
 
-      page++;
+    // Author profiles, merged into identities by rel=me
+    const authors = await refreshAuthors(db, options);
 
-      // Rate limit: small delay between pages
-      if (items.length >= perPage) {
-        await delay(500);
-      } else {
-        hasMore = false;
-      }
-    }
+    // Local copies of author photos, including the ones found above
+    const avatars = options.avatarCache ? await cacheAvatars(db, options) : 0;
 
-    // Enrich entries with missing author photos via h-card discovery
-    const enriched = await enrichMissingPhotos(db, wmCollection);
+    // Only mentions new to the collection are announced, on any sync
+    await dispatchWebhooks(db, options, inserted);
 
     syncState.lastSync = new Date().toISOString();
+    syncState.lastError = errors.join("; ") || null;
     syncState.syncing = false;
 
     console.log(
-      `[Webmentions] Sync complete: ${syncState.mentionsAdded} new, ${syncState.mentionsFiltered} filtered, ${enriched} enriched`,
+      `[Webmentions] ${label} complete: ${syncState.mentionsAdded} new, ${syncState.mentionsUpdated} updated, ${syncState.mentionsFiltered} filtered, ${enriched} enriched, ${authors.added} new authors, ${authors.merged} merged, ${avatars} avatars cached`,
     );
 
-    return {
+    const result = {
       mentionsAdded: syncState.mentionsAdded,
+      mentionsUpdated: syncState.mentionsUpdated,
       mentionsFiltered: syncState.mentionsFiltered,
       mentionsEnriched: enriched,
     };
+
+    if (syncState.lastError) {
+      result.error = syncState.lastError;
+    }
+
+    return result;
   } catch (error) {
     syncState.lastError = error.message;
     syncState.syncing = false;
-    console.error("[Webmentions] Sync failed:", error.message);
+    console.error(`[Webmentions] ${label} failed:`, error.message);
     return { error: error.message };
   }
 }
 
 /**
- * Run a full re-sync (clear + fetch all)
- * @param {object} dbOrIndiekit - Database or Indiekit instance
- * @param {object} options - Plugin options
- * @returns {Promise<object>}
+ * Fetch all new mentions from one source adapter and store them.
+ * Each adapter keeps its own cursor in the `webmentionState` collection.
+ * An incremental sync then re-fetches the newest page, so recent edits are
+ * picked up; a full sync updates every stored mention and then drops the
+ * ones the source no longer has. Moderation decisions are kept either way.
+ * @param {object} collections - Collections (wm, state)
+ * @param {object} adapter - Source adapter
+ * @param {object} params - Sync params
+ * @param {boolean} params.full - Ignore the stored cursor and re-check
+ *   every mention
+ * @param {object} params.blocklist - Blocklist matcher
+ * @param {object} params.engine - Auto-moderation rule engine
+ * @param {Set<string>} params.knownDomains - Source domains seen so far
+ * @param {Set<string>|null} params.trustedDomains - Trusted domains, or
+ *   null if pre-moderation is off
+ * @param {Array<number>} params.inserted - Collects IDs of inserted mentions
+ * @returns {Promise<object>} Per-source sync state
  */
-export async function runFullSync(dbOrIndiekit, options) {
-  const db = dbOrIndiekit.database || dbOrIndiekit;
-  if (!db || typeof db.collection !== "function") {
-    return { error: "No database available" };
+async function syncAdapter(
+  collections,
+  adapter,
+  { full, blocklist, engine, knownDomains, trustedDomains, inserted },
+) {
+  const stateKey = `sync:${adapter.id}`;
+  const isPrimary = adapter.id === PRIMARY_ADAPTER_ID;
+
+  let sinceId = null;
+  if (!full) {
+    const state = await getState(collections.state, stateKey);
+    sinceId = state.sinceId ?? null;
+
+    // Documents synced before per-source state existed
+    if (sinceId === null && isPrimary) {
+      sinceId = (await getMaxWmId(collections.wm)) || null;
+    }
   }
 
-  if (syncState.syncing) {
-    return { error: "Sync already in progress" };
-  }
+  const sourceState = {
+    name: adapter.name || adapter.id,
+    lastSync: null,
+    lastError: null,
+    sinceId,
+    mentionsAdded: 0,
+    mentionsUpdated: 0,
+    mentionsFiltered: 0,
+  };
+
+  const seen = [];
+
+  /**
+   * Store one fetched mention
+   * @param {object} item - JF2 entry
+   * @param {boolean} recheck - Item was fetched again to look for edits
+   */
+  const storeItem = async (item, recheck) => {
+    const originId = item["wm-id"];
+    if (typeof originId === "number" && originId > (sourceState.sinceId || 0)) {
+      sourceState.sinceId = originId;
+    }
 
-  syncState.syncing = true;
-  syncState.lastError = null;
-  syncState.mentionsAdded = 0;
-  syncState.mentionsFiltered = 0;
+    const domain = extractDomain(item.author?.url || item.url || "");
+
+    // Other sources get IDs namespaced by adapter so they can't collide
+    const entry = isPrimary
+      ? item
+      : {
+          ...item,
+          "wm-id": mentionId(
+            adapter.id,
+            originId ?? `${item.url} ${item["wm-target"]}`,
+          ),
+          "wm-origin-id": originId ?? null,
+        };
+
+    // Still at the source, so a full sync keeps it even if it's blocked
+    seen.push(entry["wm-id"]);
+
+    if (blocklist.match(subjectFromItem(item))) {
+      // Never stored, but a stored mention edited into a blocked one is hidden
+      const status = await upsertWebmention(collections.wm, entry, {
+        origin: adapter.id,
+        insert: false,
+        onEdit: getEditModerationFields(null, { blocked: true }),
+      });
+
+      if (status === "updated") {
+        sourceState.mentionsUpdated++;
+        syncState.mentionsUpdated++;
+      } else if (!recheck) {
+        sourceState.mentionsFiltered++;
+        syncState.mentionsFiltered++;
+      }
 
-  try {
-    const wmCollection = db.collection("webmentions");
-    const blockCollection = db.collection("webmentionBlocklist");
+      return;
+    }
 
-    await ensureIndexes(wmCollection);
-    await ensureBlocklistIndexes(blockCollection);
+    // Moderation decisions are only made on insert, so a re-sync keeps
+    // them; an edit can only hide a mention the rules now catch
+    const moderation = engine.evaluate(item, { knownDomains });
+    const status = await upsertWebmention(collections.wm, entry, {
+      origin: adapter.id,
+      sequence: webmentionSequence(collections.state),
+      onInsert: getModerationFields(moderation, {
+        pending: trustedDomains !== null && !trustedDomains.has(domain),
+      }),
+      onEdit: getEditModerationFields(moderation),
+    });
 
-    // Clear all existing webmentions
-    const deleted = await deleteAll(wmCollection);
-    console.log(`[Webmentions] Full sync: cleared ${deleted} existing mentions`);
+    if (domain) {
+      knownDomains.add(domain);
+    }
 
-    // Get blocked domains
-    const blockedDomains = await getBlockedDomainSet(blockCollection);
+    if (status === "inserted") {
+      inserted.push(entry["wm-id"]);
+      sourceState.mentionsAdded++;
+      syncState.mentionsAdded++;
+    } else if (status === "updated") {
+      sourceState.mentionsUpdated++;
+      syncState.mentionsUpdated++;
+    }
+  };
 
-    // Fetch ALL pages from webmention.io (no sinceId)
+  try {
     let page = 0;
     let hasMore = true;
-    const perPage = 100;
+    const perPage = adapter.perPage || 100;
+    const pageDelay = adapter.pageDelay ?? 500;
 
     while (hasMore) {
-      const items = await fetchPage(options, { page, perPage });
+      const items = await adapter.fetchPage({ page, perPage, sinceId });
 
       if (!items || items.length === 0) {
         hasMore = false;
@@ -216,55 +368,62 @@ export async function runFullSync(dbOrIndiekit, options) {
       }
 
       for (const item of items) {
-        const domain = extractDomain(item.author?.url || item.url || "");
-
-        if (domain && blockedDomains.has(domain)) {
-          syncState.mentionsFiltered++;
-          continue;
-        }
-
-        const isNew = await upsertWebmention(wmCollection, item);
-        if (isNew) {
-          syncState.mentionsAdded++;
-        }
+        await storeItem(item, false);
       }
 
       page++;
 
-      // Rate limit between pages
+      // Rate limit: small delay between pages
       if (items.length >= perPage) {
-        await delay(1000);
+        await delay(full ? pageDelay * 2 : pageDelay);
       } else {
         hasMore = false;
       }
     }
 
-    // Enrich entries with missing author photos via h-card discovery
-    const enriched = await enrichMissingPhotos(db, wmCollection);
-
-    syncState.lastSync = new Date().toISOString();
-    syncState.syncing = false;
-
-    console.log(
-      `[Webmentions] Full sync complete: ${syncState.mentionsAdded} imported, ${syncState.mentionsFiltered} filtered, ${enriched} enriched`,
-    );
+    if (full) {
+      // Mentions deleted at the source since they were synced (unless the
+      // source came back empty, which is more likely an outage)
+      const removed =
+        seen.length > 0
+          ? await deleteByOrigin(collections.wm, adapter.id, seen)
+          : 0;
+      if (removed > 0) {
+        console.log(
+          `[Webmentions] Full sync: removed ${removed} mentions no longer at ${adapter.id}`,
+        );
+      }
+    } else if (sinceId !== null) {
+      // The newest mentions again, so edits since they were stored show up
+      const recent = await adapter.fetchPage({ page: 0, perPage, sinceId: null });
+      for (const item of recent || []) {
+        await storeItem(item, true);
+      }
+    }
 
-    return {
-      mentionsAdded: syncState.mentionsAdded,
-      mentionsFiltered: syncState.mentionsFiltered,
-      mentionsEnriched: enriched,
-    };
+    sourceState.lastSync = new Date().toISOString();
   } catch (error) {
-    syncState.lastError = error.message;
-    syncState.syncing = false;
-    console.error("[Webmentions] Full sync failed:", error.message);
-    return { error: error.message };
+    // Keep the previous cursor so nothing is skipped on the next attempt
+    sourceState.sinceId = sinceId;
+    sourceState.lastError = error.message;
+    console.error(`[Webmentions] Sync from ${adapter.id} failed:`, error.message);
   }
+
+  // A failed run keeps the previous successful `lastSync`
+  const { lastSync, ...fields } = sourceState;
+  await setState(collections.state, stateKey, {
+    adapter: adapter.id,
+    ...fields,
+    ...(lastSync && { lastSync }),
+  });
+
+  return sourceState;
 }
 
 /**
  * Enrich webmention entries that have missing author photos by discovering
- * h-card data from the source domain's homepage.
+ * h-card data: the author of the domain's latest such post for that post's
+ * mentions, then the homepage h-card for the rest of the domain.
  * @param {object} db - MongoDB database instance
  * @param {object} wmCollection - Webmentions collection
  * @returns {Promise<number>} Total entries updated
@@ -279,23 +438,29 @@ async function enrichMissingPhotos(db, wmCollection) {
 
     const cacheCollection = db.collection("hcardCache");
     await cacheCollection.createIndex({ domain: 1 }, { unique: true });
+    const postCacheCollection = db.collection("hcardPostCache");
+    await postCacheCollection.createIndex({ url: 1 }, { unique: true });
 
     for (const domain of domains) {
+      let updated = 0;
+
+      const sourceUrl = await getMissingPhotoSource(wmCollection, domain);
+      const author = await discoverPostAuthor(sourceUrl, postCacheCollection);
+      if (author.photoUrl || author.authorUrl || author.name) {
+        updated += await updateAuthorDataByPost(wmCollection, sourceUrl, author);
+      }
+
       const data = await discoverAuthorData(domain, cacheCollection);
+      if (data.photoUrl || data.authorUrl || data.name) {
+        updated += await updateAuthorDataByDomain(wmCollection, domain, data);
+      }
 
-      if (data.photoUrl || data.authorUrl) {
-        const updated = await updateAuthorDataByDomain(
-          wmCollection,
-          domain,
-          data,
-        );
-        totalUpdated += updated;
+      totalUpdated += updated;
 
-        if (updated > 0) {
-          console.log(
-            `[Webmentions] Enriched ${updated} entries for ${domain}`,
-          );
-        }
+      if (updated > 0) {
+        console.log(
+          `[Webmentions] Enriched ${updated} entries for ${domain}`,
+        );
       }
 
       // Small delay between domain lookups
@@ -311,39 +476,6 @@ async function enrichMissingPhotos(db, wmCollection) {
   return totalUpdated;
 }
 
-/**
- * Fetch a single page from webmention.io API
- * @param {object} options - Plugin options (token, domain)
- * @param {object} params - Fetch params (page, perPage, sinceId)
- * @returns {Promise<Array>} Array of JF2 entries
- */
-async function fetchPage(options, params = {}) {
-  const url = new URL("https://webmention.io/api/mentions.jf2");
-  url.searchParams.set("token", options.token);
-  url.searchParams.set("domain", options.domain);
-  url.searchParams.set("per-page", String(params.perPage || 100));
-
-  if (params.page) {
-    url.searchParams.set("page", String(params.page));
-  }
-
-  if (params.sinceId) {
-    url.searchParams.set("since_id", String(params.sinceId));
-  }
-
-  const response = await fetch(url.href, {
-    headers: { accept: "application/json" },
-    signal: AbortSignal.timeout(15_000),
-  });
-
-  if (!response.ok) {
-    throw new Error(`webmention.io returned ${response.status}`);
-  }
-
-  const body = await response.json();
-  return body?.children || [];
-}
-
 function delay(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
@@ -0,0 +1,164 @@
+/**
+ * Conversation threads
+ *
+ * Mentions of a post are nested under the mention they reply to, matched by
+ * their `in-reply-to` URLs (or, for replies sent to one of our own reply
+ * posts, their target) against the `sourceUrl` of the other mentions and
+ * the URLs of our replies.
+ */
+
+import { documentToJf2 } from "./storage/webmentions.js";
+import { normaliseUrl } from "./source.js";
+import { ensureISOString } from "./utils.js";
+
+/**
+ * Get the URLs a mention replies to, most specific first
+ * @param {object} doc - Webmention document
+ * @returns {Array<string>}
+ */
+export function getReplyToUrls(doc) {
+  const inReplyTo = [doc.raw?.["in-reply-to"] || []]
+    .flat()
+    .map((value) => (typeof value === "string" ? value : value?.url))
+    .filter(Boolean);
+
+  return [...inReplyTo, doc.wmTarget].filter(Boolean);
+}
+
+/**
+ * Nest mentions into conversation threads
+ * @param {Array<object>} docs - Webmention documents, e.g. from
+ *   `getThreadMentions()`
+ * @returns {Array<object>} One entry per post, most recently active first,
+ *   with its `target`, `total` mentions, `latest` activity and `threads`.
+ *   Each node has either a `doc` or (for our own replies) a `response`,
+ *   and its `children`
+ */
+export function buildThreads(docs) {
+  const nodes = [];
+  const byUrl = new Map();
+  const parents = new Map();
+
+  for (const doc of docs) {
+    const node = { doc, children: [] };
+    nodes.push(node);
+    if (doc.sourceUrl) {
+      byUrl.set(normaliseUrl(doc.sourceUrl), node);
+    }
+
+    // Our replies sit under the mention they reply to
+    for (const response of doc.responses || []) {
+      if (response.type !== "reply") continue;
+      const child = { response, children: [] };
+      node.children.push(child);
+      parents.set(child, node);
+      byUrl.set(normaliseUrl(response.url), child);
+    }
+  }
+
+  const roots = [];
+  for (const node of nodes) {
+    const parent = getReplyToUrls(node.doc)
+      .map((url) => byUrl.get(normaliseUrl(url)))
+      .find((candidate) => candidate && !isWithin(candidate, node, parents));
+
+    if (parent) {
+      parents.set(node, parent);
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+
+  const posts = new Map();
+  for (const root of roots) {
+    const target = root.doc.wmTarget;
+    if (!posts.has(target)) {
+      posts.set(target, { target, total: 0, latest: "", threads: [] });
+    }
+
+    const post = posts.get(target);
+    post.threads.push(root);
+    for (const node of walk(root)) {
+      if (!node.doc) continue;
+      post.total++;
+      const received = ensureISOString(node.doc.wmReceived) || "";
+      if (received > post.latest) {
+        post.latest = received;
+      }
+    }
+  }
+
+  const byDate = (a, b) => getDate(a).localeCompare(getDate(b));
+  for (const node of nodes) {
+    node.children.sort(byDate);
+  }
+  for (const post of posts.values()) {
+    post.threads.sort(byDate);
+  }
+
+  return [...posts.values()].sort((a, b) => b.latest.localeCompare(a.latest));
+}
+
+/**
+ * Convert a thread node to JF2, with replies nested as `comment`
+ * Our own replies have `wm-response: true` and no `wm-id`.
+ * @param {object} node - Node from `buildThreads()`
+ * @param {Map} [authors] - Author identities, from `resolveAuthors()`
+ * @returns {object} JF2 entry
+ */
+export function threadToJf2(node, authors = new Map()) {
+  const jf2 = node.doc
+    ? documentToJf2(node.doc, authors.get(node.doc.authorKey))
+    : {
+        type: "entry",
+        "wm-property": "in-reply-to",
+        "wm-response": true,
+        url: node.response.url,
+        published: ensureISOString(node.response.createdAt),
+      };
+
+  jf2.comment = node.children.map((child) => threadToJf2(child, authors));
+  return jf2;
+}
+
+/**
+ * Check whether a node is, or descends from, another node
+ * @param {object} node - Node
+ * @param {object} ancestor - Possible ancestor
+ * @param {Map} parents - Parent of each nested node
+ * @returns {boolean}
+ */
+function isWithin(node, ancestor, parents) {
+  for (let current = node; current; current = parents.get(current)) {
+    if (current === ancestor) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Iterate over a node and its descendants
+ * @param {object} node - Thread node
+ * @yields {object} Nodes
+ */
+function* walk(node) {
+  yield node;
+  for (const child of node.children) {
+    yield* walk(child);
+  }
+}
+
+/**
+ * Get the date a node was received (or, for our replies, posted)
+ * @param {object} node - Thread node
+ * @returns {string} ISO date
+ */
+function getDate(node) {
+  return (
+    ensureISOString(node.doc ? node.doc.wmReceived : node.response.createdAt) ||
+    ""
+  );
+}
@@ -0,0 +1,39 @@
+/**
+ * File digest transport
+ * Writes each digest into an outbox directory, as `<date>.html` and
+ * `<date>.json`. Useful for testing and for picking digests up with other
+ * tools.
+ */
+
+import { mkdir, writeFile } from "node:fs/promises";
+import path from "node:path";
+
+/**
+ * Create a file transport
+ * @param {object} config - Transport config
+ * @param {string} config.directory - Outbox directory
+ * @returns {object} Digest transport
+ */
+export function fileTransport(config) {
+  if (!config.directory) {
+    throw new Error("File digest transport requires a directory");
+  }
+
+  return {
+    id: "file",
+
+    /**
+     * Write a digest to the outbox
+     * @param {object} message - Digest message
+     */
+    async send(message) {
+      await mkdir(config.directory, { recursive: true });
+
+      const name = new Date().toISOString().replaceAll(":", "-");
+      const file = path.join(config.directory, name);
+
+      await writeFile(`${file}.html`, message.html);
+      await writeFile(`${file}.json`, JSON.stringify(message, null, 2));
+    },
+  };
+}
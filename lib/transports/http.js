@@ -0,0 +1,44 @@
+/**
+ * HTTP digest transport
+ * POSTs the digest as JSON, for chat services, automation tools or your
+ * own mailer.
+ */
+
+/**
+ * Create an HTTP transport
+ * @param {object} config - Transport config
+ * @param {string} config.url - URL to POST to
+ * @param {object} [config.headers] - Extra request headers (e.g. auth)
+ * @returns {object} Digest transport
+ */
+export function httpTransport(config) {
+  if (!config.url) {
+    throw new Error("HTTP digest transport requires a url");
+  }
+
+  return {
+    id: "http",
+
+    /**
+     * POST a digest
+     * @param {object} message - Digest message
+     */
+    async send(message) {
+      const response = await fetch(config.url, {
+        method: "POST",
+        headers: {
+          "content-type": "application/json",
+          "user-agent": "Indiekit-Webmention/1.0 (digest)",
+          ...config.headers,
+        },
+        body: JSON.stringify(message),
+        signal: AbortSignal.timeout(30_000),
+      });
+      await response.body?.cancel();
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+    },
+  };
+}
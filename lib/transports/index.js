@@ -0,0 +1,47 @@
+/**
+ * Digest transports
+ *
+ * A transport is an object with:
+ * - `id` - name used in logs
+ * - `send(message)` - delivers `{ subject, text, html, digest }`, where
+ *   `digest` is the structured data the message was rendered from;
+ *   rejects if delivery failed
+ *
+ * Transports are configured with the `digest.transport` option: a config
+ * object with a `type` ("smtp", "http" or "file") or a custom transport
+ * object implementing `send()`.
+ */
+
+import { fileTransport } from "./file.js";
+import { httpTransport } from "./http.js";
+import { smtpTransport } from "./smtp.js";
+
+/**
+ * Create a transport
+ * @param {object} config - Transport config or custom transport
+ * @returns {object} Digest transport
+ */
+export function createTransport(config) {
+  if (!config) {
+    throw new Error("Digests need a transport");
+  }
+
+  if (typeof config.send === "function") {
+    return { id: "custom", ...config };
+  }
+
+  switch (config.type) {
+    case "smtp": {
+      return smtpTransport(config);
+    }
+    case "http": {
+      return httpTransport(config);
+    }
+    case "file": {
+      return fileTransport(config);
+    }
+    default: {
+      throw new Error(`Unknown digest transport type: ${config.type}`);
+    }
+  }
+}
@@ -0,0 +1,55 @@
+/**
+ * SMTP digest transport
+ * Uses nodemailer, which is loaded on first use so that only sites sending
+ * digests by email need to install it.
+ */
+
+/**
+ * Create an SMTP transport
+ * @param {object} config - Transport config
+ * @param {string} config.from - Sender address
+ * @param {string|Array<string>} config.to - Recipient address(es)
+ * @param {string} [config.host] - SMTP host
+ * @param {number} [config.port] - SMTP port
+ * @param {boolean} [config.secure] - Use TLS from the start (port 465)
+ * @param {object} [config.auth] - `{ user, pass }`
+ * @returns {object} Digest transport
+ */
+export function smtpTransport(config) {
+  if (!config.from || !config.to) {
+    throw new Error("SMTP digest transport requires from and to");
+  }
+
+  const { type, from, to, ...smtp } = config;
+  let transporter;
+
+  return {
+    id: "smtp",
+
+    /**
+     * Send a digest email
+     * @param {object} message - Digest message
+     */
+    async send(message) {
+      if (!transporter) {
+        let nodemailer;
+        try {
+          nodemailer = await import("nodemailer");
+        } catch {
+          throw new Error(
+            "SMTP digests need nodemailer: npm install nodemailer",
+          );
+        }
+        transporter = (nodemailer.default || nodemailer).createTransport(smtp);
+      }
+
+      await transporter.sendMail({
+        from,
+        to,
+        subject: message.subject,
+        text: message.text,
+        html: message.html,
+      });
+    },
+  };
+}
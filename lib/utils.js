@@ -1,3 +1,5 @@
+import { createHash } from "node:crypto";
+
 import sanitize from "sanitize-html";
 
 /**
@@ -28,6 +30,35 @@ export const getMentionType = (wmProperty) => {
   }
 };
 
+/**
+ * Mention types as `wm-property` values
+ */
+export const MENTION_PROPERTIES = [
+  "in-reply-to",
+  "like-of",
+  "repost-of",
+  "bookmark-of",
+  "mention-of",
+  "rsvp",
+];
+
+/**
+ * Get `wm-property` values for type filters
+ * @param {Array<string>} types - Short names (`like`, `reply`) or
+ *   `wm-property` values
+ * @returns {Array<string>|null} Properties, or null for all types
+ */
+export const getPropertiesForTypes = (types) => {
+  if (types.length === 0) {
+    return null;
+  }
+
+  return MENTION_PROPERTIES.filter(
+    (property) =>
+      types.includes(property) || types.includes(getMentionType(property)),
+  );
+};
+
 const upperFirst = (string) => {
   return String(string).charAt(0).toUpperCase() + String(string).slice(1);
 };
@@ -77,9 +108,17 @@ export const normaliseParagraphs = (html) => {
  * @param {string} html - HTML
  * @returns {string} Sanitised HTML
  */
-export const sanitiseHtml = (html) => {
-  html = normaliseParagraphs(html);
-  html = sanitize(html, {
+export const sanitiseHtml = (html) => cleanHtml(normaliseParagraphs(html));
+
+/**
+ * Strip unsafe markup from HTML, leaving its paragraphs alone. Stored
+ * mention HTML goes through this again before being rendered unescaped,
+ * as mentions stored by older versions may not have been sanitised.
+ * @param {string} html - HTML
+ * @returns {string} Sanitised HTML
+ */
+export const cleanHtml = (html) => {
+  html = sanitize(html || "", {
     exclusiveFilter: function (frame) {
       return (
         (frame.tag === "a" &&
@@ -128,3 +167,133 @@ export const extractDomain = (url) => {
     return null;
   }
 };
+
+/**
+ * Normalise an author profile URL, so the variants one person's URL turns
+ * up as (http/https, `www.`, trailing slash, fragment) compare equal
+ * @param {string} url - Profile URL
+ * @returns {string|null} e.g. `https://example.com/@alice`, or null if
+ *   not an http(s) URL
+ */
+export const normaliseProfileUrl = (url) => {
+  try {
+    const parsed = new URL(url);
+    if (!["http:", "https:"].includes(parsed.protocol)) {
+      return null;
+    }
+
+    const host = parsed.hostname.toLowerCase().replace(/^www\./, "");
+    const port = parsed.port ? `:${parsed.port}` : "";
+    const path = parsed.pathname.replace(/\/+$/, "");
+    return `https://${host}${port}${path}${parsed.search}`;
+  } catch {
+    return null;
+  }
+};
+
+// Offset for generated mention IDs, keeping them clear of webmention.io's
+// own (much smaller) `wm-id` sequence while staying a safe integer
+export const GENERATED_ID_OFFSET = 1_000_000_000_000_000;
+
+/**
+ * Generate a stable numeric mention ID for mentions that do not come from
+ * webmention.io (e.g. received natively)
+ * @param {string} namespace - ID namespace (e.g. "native")
+ * @param {string} key - Unique key within the namespace
+ * @returns {number} Mention ID
+ */
+export const mentionId = (namespace, key) => {
+  const hash = createHash("sha256").update(`${namespace}:${key}`).digest("hex");
+  return GENERATED_ID_OFFSET + Number.parseInt(hash.slice(0, 12), 16);
+};
+
+/**
+ * Get the terms of a search query worth highlighting
+ * (excluded `-terms` are dropped, quoted phrases kept whole)
+ * @param {string} search - MongoDB `$text` search string
+ * @returns {string[]} Terms
+ */
+export const getSearchTerms = (search) => {
+  const terms = [];
+  const termRegex = /(-?)(?:"([^"]+)"|(\S+))/g;
+  let match;
+
+  while ((match = termRegex.exec(search || "")) !== null) {
+    const term = (match[2] || match[3]).trim();
+    if (!match[1] && term) {
+      terms.push(term);
+    }
+  }
+
+  return terms;
+};
+
+/**
+ * Wrap search terms found in the text of an HTML string in `<mark>`
+ * @param {string} html - HTML
+ * @param {string[]} terms - Terms from `getSearchTerms()`
+ * @returns {string} HTML
+ */
+export const highlightTerms = (html, terms) => {
+  if (!html || terms.length === 0) return html;
+
+  const termRegex = new RegExp(`(${terms.map(escapeRegex).join("|")})`, "gi");
+
+  // Leave tags and entities alone, only mark text between them
+  return html
+    .split(/(<[^>]*>|&[#\w]+;)/)
+    .map((part, index) =>
+      index % 2 === 1 ? part : part.replace(termRegex, "<mark>$1</mark>"),
+    )
+    .join("");
+};
+
+/**
+ * Escape text for HTML or XML
+ * @param {string} string - Text
+ * @returns {string} Escaped text
+ */
+export const escapeHtml = (string) =>
+  String(string ?? "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&apos;");
+
+/**
+ * Format a value as a CSV field
+ * @param {*} value - Value
+ * @returns {string}
+ */
+export const csvField = (value) => {
+  const string = value === null || value === undefined ? "" : String(value);
+  return /[",\n]/.test(string) ? `"${string.replaceAll('"', '""')}"` : string;
+};
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} string - String
+ * @returns {string} Escaped string
+ */
+export const escapeRegex = (string) =>
+  string.replaceAll(/[.*+?^${}()|[\]\\]/g, String.raw`\$&`);
+
+/**
+ * Get the unique values of a query parameter given as `name`, `name[]` or
+ * repeated
+ * @param {object} query - Express request query
+ * @param {string} name - Parameter name
+ * @param {Function} [normalise] - Normalise each value
+ * @returns {Array<string>}
+ */
+export const getQueryList = (query, name, normalise = (value) => value) => {
+  return [
+    ...new Set(
+      [query[name], query[`${name}[]`]]
+        .flat()
+        .filter((value) => typeof value === "string" && value)
+        .map((value) => normalise(value)),
+    ),
+  ];
+};
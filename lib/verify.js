@@ -0,0 +1,266 @@
+/**
+ * Periodic re-verification of stored webmentions
+ *
+ * Re-fetches each mention's source on a schedule that backs off as the
+ * mention gets older. Sources that have gone (404/410) or no longer link to
+ * the target are hidden or deleted, depending on `verifyAction`. A mention
+ * hidden this way is restored if its source comes back.
+ */
+
+import {
+  ensureIndexes,
+  getMentionsDueForVerification,
+  recordVerification,
+  hideWebmention,
+  unhideWebmention,
+  deleteWebmention,
+  VERIFY_HIDDEN_REASONS,
+} from "./storage/webmentions.js";
+import { fetchSource, linksToTarget } from "./source.js";
+
+const HOUR = 3_600_000;
+const DAY = 24 * HOUR;
+
+// Re-check interval by mention age: [maximum age, interval]
+const SCHEDULE = [
+  [2 * DAY, 6 * HOUR],
+  [7 * DAY, DAY],
+  [30 * DAY, 7 * DAY],
+  [365 * DAY, 30 * DAY],
+];
+const SCHEDULE_MAX = 90 * DAY;
+
+// A 404 or missing link must be seen this many times in a row before acting
+const FAILURE_THRESHOLD = 2;
+
+let verifyInterval = null;
+let verifyState = {
+  lastRun: null,
+  running: false,
+  lastError: null,
+  checked: 0,
+  hidden: 0,
+  deleted: 0,
+  restored: 0,
+};
+
+/**
+ * Get current verification state
+ * @returns {object}
+ */
+export function getVerifyState() {
+  return { ...verifyState };
+}
+
+/**
+ * Start background re-verification
+ * @param {object} Indiekit - Indiekit instance
+ * @param {object} options - Plugin options
+ */
+export function startVerification(Indiekit, options) {
+  const intervalMs = options.verifyInterval || HOUR;
+
+  console.log(
+    `[Webmentions] Starting source re-verification with ${intervalMs / 60_000}min interval`,
+  );
+
+  verifyInterval = setInterval(() => {
+    runVerification(Indiekit, options).catch((err) => {
+      console.error("[Webmentions] Verification error:", err.message);
+    });
+  }, intervalMs);
+}
+
+/**
+ * Stop background re-verification
+ */
+export function stopVerification() {
+  if (verifyInterval) {
+    clearInterval(verifyInterval);
+    verifyInterval = null;
+  }
+}
+
+/**
+ * Re-verify one batch of mentions that are due
+ * @param {object} dbOrIndiekit - Database or Indiekit instance
+ * @param {object} options - Plugin options
+ * @returns {Promise<object>}
+ */
+export async function runVerification(dbOrIndiekit, options) {
+  const db = dbOrIndiekit.database || dbOrIndiekit;
+  if (!db || typeof db.collection !== "function") {
+    return { error: "No database available" };
+  }
+
+  if (verifyState.running) {
+    return { error: "Verification already in progress" };
+  }
+
+  verifyState.running = true;
+  verifyState.lastError = null;
+
+  const counts = { checked: 0, hidden: 0, deleted: 0, restored: 0 };
+
+  try {
+    const collection = db.collection("webmentions");
+    await ensureIndexes(collection);
+
+    const docs = await getMentionsDueForVerification(
+      collection,
+      options.verifyBatchSize || 25,
+    );
+
+    for (const doc of docs) {
+      const outcome = await verifyDocument(collection, doc, options);
+      counts.checked++;
+      if (outcome) counts[outcome]++;
+
+      await delay(200);
+    }
+
+    for (const [key, value] of Object.entries(counts)) {
+      verifyState[key] += value;
+    }
+    verifyState.lastRun = new Date().toISOString();
+    verifyState.running = false;
+
+    if (counts.checked > 0) {
+      console.log(
+        `[Webmentions] Verification complete: ${counts.checked} checked, ${counts.hidden} hidden, ${counts.deleted} deleted, ${counts.restored} restored`,
+      );
+    }
+
+    return counts;
+  } catch (error) {
+    verifyState.lastError = error.message;
+    verifyState.running = false;
+    console.error("[Webmentions] Verification failed:", error.message);
+    return { error: error.message };
+  }
+}
+
+/**
+ * Re-fetch a mention's source and act on the result
+ * @param {object} collection - Webmentions collection
+ * @param {object} doc - Stored webmention
+ * @param {object} options - Plugin options
+ * @returns {Promise<string|null>} "hidden", "deleted", "restored" or null
+ */
+async function verifyDocument(collection, doc, options) {
+  // Verify against the URL webmention.io verified (e.g. Bridgy), if known
+  const sourceUrl = doc.raw?.["wm-source"] || doc.sourceUrl;
+  const now = Date.now();
+
+  let fetched;
+  try {
+    fetched = await fetchSource(sourceUrl);
+  } catch {
+    // Network errors are treated as transient
+    await recordVerification(collection, doc.wmId, {
+      nextVerifyAt: new Date(now + DAY).toISOString(),
+    });
+    return null;
+  }
+
+  const { update, reason, action } = assessSource(doc, fetched, now);
+  await recordVerification(collection, doc.wmId, update);
+
+  if (action === "restore") {
+    await unhideWebmention(collection, doc.wmId);
+    return "restored";
+  }
+
+  if (action !== "remove") {
+    return null;
+  }
+
+  if (options.verifyAction === "delete") {
+    await deleteWebmention(collection, doc.wmId);
+    return "deleted";
+  }
+
+  if (!doc.hidden) {
+    await hideWebmention(collection, doc.wmId, reason);
+    return "hidden";
+  }
+
+  return null;
+}
+
+/**
+ * Decide what a re-fetched source means for a stored mention
+ * @param {object} doc - Stored webmention
+ * @param {object} fetched - Result of `fetchSource()`
+ * @param {number} now - Current timestamp
+ * @returns {{update: object, reason: string|null, action: string|null}}
+ *   Verification fields to store, why the source failed (if it did), and
+ *   "remove", "restore" or null
+ */
+export function assessSource(doc, fetched, now) {
+  let reason = null;
+  if ([404, 410].includes(fetched.status)) {
+    reason = "source-deleted";
+  } else if (fetched.ok && !linksToTarget(fetched, doc.wmTarget)) {
+    if (fetched.truncated) {
+      // The link may be past the part we read: try again later
+      return {
+        update: { nextVerifyAt: new Date(now + DAY).toISOString() },
+        reason: null,
+        action: null,
+      };
+    }
+
+    reason = "link-removed";
+  }
+
+  if (!reason) {
+    return {
+      update: {
+        verifiedAt: new Date(now).toISOString(),
+        verifyFailures: 0,
+        nextVerifyAt: new Date(now + (fetched.ok ? getInterval(doc, now) : DAY)).toISOString(),
+      },
+      reason: null,
+      action:
+        fetched.ok && VERIFY_HIDDEN_REASONS.includes(doc.hiddenReason)
+          ? "restore"
+          : null,
+    };
+  }
+
+  const failures = (doc.verifyFailures || 0) + 1;
+
+  return {
+    update: {
+      verifiedAt: new Date(now).toISOString(),
+      verifyFailures: failures,
+      nextVerifyAt: new Date(now + DAY).toISOString(),
+    },
+    reason,
+    // 410 Gone is explicit; anything else must repeat before we act
+    action:
+      fetched.status === 410 || failures >= FAILURE_THRESHOLD ? "remove" : null,
+  };
+}
+
+/**
+ * Get the re-check interval for a mention, based on its age
+ * @param {object} doc - Stored webmention
+ * @param {number} now - Current timestamp
+ * @returns {number} Interval in milliseconds
+ */
+function getInterval(doc, now) {
+  const received = new Date(doc.wmReceived).getTime();
+  const age = Number.isNaN(received) ? Infinity : now - received;
+
+  for (const [maxAge, interval] of SCHEDULE) {
+    if (age < maxAge) return interval;
+  }
+
+  return SCHEDULE_MAX;
+}
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
@@ -0,0 +1,346 @@
+/**
+ * Outgoing webhooks for new mentions
+ *
+ * Webhooks are configured with the `webhooks` option. Newly inserted,
+ * visible mentions (and held mentions, once approved) are sent as JF2 to
+ * every webhook whose filters they match, in batches. Each request is
+ * signed with an HMAC-SHA256 of the timestamp and body. Failed requests are
+ * retried with exponential backoff, and every request is kept in the
+ * delivery log for 30 days.
+ */
+
+import { createHmac, randomUUID } from "node:crypto";
+
+import {
+  documentToJf2,
+  getWebmentionsByIds,
+} from "./storage/webmentions.js";
+import {
+  ensureWebhookIndexes,
+  addDeliveries,
+  getDelivery,
+  getDueDeliveries,
+  updateDelivery,
+  pruneDeliveries,
+} from "./storage/webhooks.js";
+import { getPropertiesForTypes } from "./utils.js";
+
+const EVENT = "mentions.new";
+const BATCH_SIZE = 100;
+const MAX_ATTEMPTS = 8;
+const RETRY_DELAY = 60_000; // 1 minute, doubled after each failure
+const MAX_RETRY_DELAY = 21_600_000; // 6 hours
+const LOG_RETENTION = 30 * 86_400_000; // 30 days
+const PROCESS_INTERVAL = 60_000;
+const PROCESS_BATCH = 50;
+
+let processInterval = null;
+let processing = false;
+
+/**
+ * Get configured webhooks
+ * @param {object} options - Plugin options
+ * @returns {Array<object>} Webhooks with `url`, `name`, `secret`,
+ *   `properties` (`wm-property` values, or null for all) and `targetPrefixes`
+ */
+export function getWebhooks(options = {}) {
+  return (options.webhooks || [])
+    .filter((webhook) => getWebhookHost(webhook))
+    .map((webhook) => ({
+      url: webhook.url,
+      name: webhook.name || getWebhookHost(webhook),
+      secret: webhook.secret || null,
+      properties: getPropertiesForTypes([webhook.types || []].flat()),
+      targetPrefixes: [webhook.targetPrefix || []].flat(),
+    }));
+}
+
+/**
+ * Get the host of a configured webhook's URL
+ * @param {object} webhook - Webhook config
+ * @returns {string|null} Host name, or null if the URL isn't a valid
+ *   http(s) URL
+ */
+function getWebhookHost(webhook) {
+  try {
+    const url = new URL(webhook?.url);
+    return ["http:", "https:"].includes(url.protocol) ? url.hostname : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Queue deliveries of newly inserted (or approved) mentions to matching
+ * webhooks, then start sending them in the background
+ * @param {object} db - MongoDB database instance
+ * @param {object} options - Plugin options
+ * @param {Array<number>} wmIds - IDs of the new mentions
+ * @returns {Promise<number>} Number of deliveries queued
+ */
+export async function dispatchWebhooks(db, options, wmIds) {
+  const webhooks = getWebhooks(options);
+  if (webhooks.length === 0 || wmIds.length === 0) {
+    return 0;
+  }
+
+  try {
+    const collection = db.collection("webmentionWebhookDeliveries");
+    await ensureWebhookIndexes(collection);
+
+    // Hidden mentions (blocked, pending, auto-moderated) aren't announced
+    const docs = await getWebmentionsByIds(db.collection("webmentions"), wmIds);
+    const mentions = docs.map(documentToJf2);
+    const now = new Date().toISOString();
+    const deliveries = [];
+
+    for (const webhook of webhooks) {
+      const matching = mentions.filter((jf2) => matchesWebhook(webhook, jf2));
+
+      for (let index = 0; index < matching.length; index += BATCH_SIZE) {
+        const batch = matching.slice(index, index + BATCH_SIZE);
+        deliveries.push({
+          id: randomUUID(),
+          webhook: webhook.url,
+          name: webhook.name,
+          event: EVENT,
+          payload: { event: EVENT, createdAt: now, mentions: batch },
+          mentionCount: batch.length,
+          status: "pending",
+          attempts: 0,
+          nextAttemptAt: now,
+          lastAttemptAt: null,
+          responseStatus: null,
+          lastError: null,
+          createdAt: now,
+        });
+      }
+    }
+
+    await addDeliveries(collection, deliveries);
+
+    if (deliveries.length > 0) {
+      processDeliveries(db, options).catch((error) => {
+        console.error("[Webmentions] Webhook delivery error:", error.message);
+      });
+    }
+
+    return deliveries.length;
+  } catch (error) {
+    console.error("[Webmentions] Webhook dispatch error:", error.message);
+    return 0;
+  }
+}
+
+/**
+ * Send pending deliveries that are due
+ * @param {object} dbOrIndiekit - Database or Indiekit instance
+ * @param {object} options - Plugin options
+ * @returns {Promise<number>} Number of deliveries attempted
+ */
+export async function processDeliveries(dbOrIndiekit, options) {
+  const db = dbOrIndiekit.database || dbOrIndiekit;
+  if (!db || typeof db.collection !== "function" || processing) {
+    return 0;
+  }
+
+  processing = true;
+  let attempted = 0;
+
+  try {
+    const collection = db.collection("webmentionWebhookDeliveries");
+    await ensureWebhookIndexes(collection);
+
+    const webhooks = new Map(
+      getWebhooks(options).map((webhook) => [webhook.url, webhook]),
+    );
+
+    let due = await getDueDeliveries(collection, PROCESS_BATCH);
+    while (due.length > 0) {
+      for (const delivery of due) {
+        await attemptDelivery(collection, delivery, webhooks.get(delivery.webhook));
+        attempted++;
+      }
+      due = await getDueDeliveries(collection, PROCESS_BATCH);
+    }
+
+    await pruneDeliveries(
+      collection,
+      new Date(Date.now() - LOG_RETENTION).toISOString(),
+    );
+  } finally {
+    processing = false;
+  }
+
+  return attempted;
+}
+
+/**
+ * Send a delivery again straight away
+ * @param {object} db - MongoDB database instance
+ * @param {object} options - Plugin options
+ * @param {string} id - Delivery ID
+ * @returns {Promise<boolean>} false if there is no such delivery
+ */
+export async function retryDelivery(db, options, id) {
+  const collection = db.collection("webmentionWebhookDeliveries");
+  const delivery = await getDelivery(collection, id);
+  if (!delivery) {
+    return false;
+  }
+
+  await updateDelivery(collection, id, {
+    status: "pending",
+    attempts: 0,
+    nextAttemptAt: new Date().toISOString(),
+  });
+  await processDeliveries(db, options);
+
+  return true;
+}
+
+/**
+ * Start sending queued and retried deliveries on a schedule
+ * @param {object} Indiekit - Indiekit instance
+ * @param {object} options - Plugin options
+ */
+export function startWebhooks(Indiekit, options) {
+  for (const webhook of options.webhooks || []) {
+    if (!getWebhookHost(webhook)) {
+      console.warn(
+        `[Webmentions] Skipping webhook without a valid http(s) URL: ${webhook?.name || webhook?.url || "(no url)"}`,
+      );
+    }
+  }
+
+  if (getWebhooks(options).length === 0) {
+    return;
+  }
+
+  processInterval = setInterval(() => {
+    processDeliveries(Indiekit, options).catch((err) => {
+      console.error("[Webmentions] Webhook delivery error:", err.message);
+    });
+  }, PROCESS_INTERVAL);
+}
+
+/**
+ * Stop sending deliveries on a schedule
+ */
+export function stopWebhooks() {
+  if (processInterval) {
+    clearInterval(processInterval);
+    processInterval = null;
+  }
+}
+
+/**
+ * Sign a webhook request body
+ * @param {string} secret - Webhook secret
+ * @param {number} timestamp - Unix timestamp (seconds) sent with the request
+ * @param {string} body - Request body
+ * @returns {string} Signature header value
+ */
+export function signPayload(secret, timestamp, body) {
+  const hmac = createHmac("sha256", secret).update(`${timestamp}.${body}`);
+  return `sha256=${hmac.digest("hex")}`;
+}
+
+/**
+ * Check whether a mention matches a webhook's type and target filters
+ * @param {object} webhook - Webhook from `getWebhooks()`
+ * @param {object} jf2 - JF2 entry
+ * @returns {boolean}
+ */
+function matchesWebhook(webhook, jf2) {
+  if (webhook.properties && !webhook.properties.includes(jf2["wm-property"])) {
+    return false;
+  }
+
+  return (
+    webhook.targetPrefixes.length === 0 ||
+    webhook.targetPrefixes.some((prefix) => jf2["wm-target"]?.startsWith(prefix))
+  );
+}
+
+/**
+ * POST a delivery to its webhook and record the outcome
+ * @param {object} collection - Deliveries collection
+ * @param {object} delivery - Delivery document
+ * @param {object} [webhook] - Webhook from `getWebhooks()`
+ */
+async function attemptDelivery(collection, delivery, webhook) {
+  const attempts = delivery.attempts + 1;
+  const now = new Date().toISOString();
+
+  if (!webhook) {
+    await updateDelivery(collection, delivery.id, {
+      status: "failed",
+      lastError: "Webhook is no longer configured",
+      lastAttemptAt: now,
+    });
+    return;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const headers = {
+    "content-type": "application/json",
+    "user-agent": "Indiekit-Webmention/1.0 (webhook)",
+    "x-webmention-event": delivery.event,
+    "x-webmention-delivery": delivery.id,
+    "x-webmention-timestamp": String(timestamp),
+  };
+  if (webhook.secret) {
+    headers["x-webmention-signature"] = signPayload(webhook.secret, timestamp, body);
+  }
+
+  let responseStatus = null;
+  let error = null;
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: "POST",
+      headers,
+      body,
+      signal: AbortSignal.timeout(10_000),
+      redirect: "manual",
+    });
+    await response.body?.cancel();
+
+    responseStatus = response.status;
+    if (!response.ok) {
+      error = `HTTP ${response.status}`;
+    }
+  } catch (fetchError) {
+    error = fetchError.message;
+  }
+
+  if (!error) {
+    await updateDelivery(collection, delivery.id, {
+      status: "delivered",
+      attempts,
+      responseStatus,
+      lastError: null,
+      lastAttemptAt: now,
+      deliveredAt: now,
+    });
+    return;
+  }
+
+  const retryDelay = Math.min(RETRY_DELAY * 2 ** (attempts - 1), MAX_RETRY_DELAY);
+  const failed = attempts >= MAX_ATTEMPTS;
+
+  await updateDelivery(collection, delivery.id, {
+    status: failed ? "failed" : "pending",
+    attempts,
+    responseStatus,
+    lastError: error,
+    lastAttemptAt: now,
+    nextAttemptAt: failed ? null : new Date(Date.now() + retryDelay).toISOString(),
+  });
+
+  console.log(
+    `[Webmentions] Webhook ${webhook.name} delivery ${failed ? "failed" : "will be retried"}: ${error}`,
+  );
+}
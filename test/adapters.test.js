@@ -0,0 +1,132 @@
+import assert from "node:assert/strict";
+import { mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+
+import { createAdapters, normaliseEntry } from "../lib/adapters/index.js";
+import { fileAdapter } from "../lib/adapters/file.js";
+
+describe("normaliseEntry", () => {
+  it("derives the mention type and target from the JF2 properties", () => {
+    const entry = normaliseEntry({
+      "wm-source": "https://alice.example/likes/1",
+      "like-of": { url: "https://me.example/post" },
+      author: "https://alice.example/",
+      content: "Liked",
+    });
+
+    assert.equal(entry.type, "entry");
+    assert.equal(entry["wm-property"], "like-of");
+    assert.equal(entry["wm-target"], "https://me.example/post");
+    assert.equal(entry.url, "https://alice.example/likes/1");
+    assert.equal(entry.author.url, "https://alice.example/");
+    assert.deepEqual(entry.content, { text: "Liked" });
+  });
+
+  it("treats replies with an rsvp as RSVPs", () => {
+    const entry = normaliseEntry({
+      rsvp: "yes",
+      "in-reply-to": "https://me.example/events/1",
+    });
+
+    assert.equal(entry["wm-property"], "rsvp");
+    assert.equal(entry["wm-target"], "https://me.example/events/1");
+  });
+
+  it("keeps what webmention.io already provides", () => {
+    const item = {
+      type: "entry",
+      "wm-property": "mention-of",
+      "wm-target": "https://me.example/post",
+      "in-reply-to": "https://me.example/other",
+    };
+
+    assert.deepEqual(normaliseEntry(item), item);
+  });
+});
+
+describe("fileAdapter", () => {
+  let directory;
+
+  before(async () => {
+    directory = await mkdtemp(path.join(tmpdir(), "webmention-adapter-"));
+  });
+
+  after(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  const entry = (wmId) => ({
+    "wm-id": wmId,
+    "wm-property": "in-reply-to",
+    "wm-target": "https://me.example/post",
+    url: `https://alice.example/${wmId}`,
+  });
+
+  it("pages through JSONL and honours since_id for numeric IDs", async () => {
+    const file = path.join(directory, "mentions.jsonl");
+    const items = [entry(1), entry(2), entry(3), { ...entry(4), "wm-id": "a" }];
+    await writeFile(file, items.map((item) => JSON.stringify(item)).join("\n"));
+    const adapter = fileAdapter({ path: file });
+
+    const first = await adapter.fetchPage({ page: 0, perPage: 2, sinceId: 1 });
+    const second = await adapter.fetchPage({ page: 1, perPage: 2, sinceId: 1 });
+
+    assert.equal(adapter.id, "file:mentions.jsonl");
+    assert.deepEqual(
+      [...first, ...second].map((item) => item["wm-id"]),
+      [2, 3, "a"],
+    );
+  });
+
+  it("reads JF2 feeds and JSON arrays", async () => {
+    const feed = path.join(directory, "feed.json");
+    const list = path.join(directory, "list.json");
+    await writeFile(feed, JSON.stringify({ type: "feed", children: [entry(1)] }));
+    await writeFile(list, JSON.stringify([entry(1), entry(2)]));
+
+    assert.equal((await fileAdapter({ path: feed }).fetchPage()).length, 1);
+    assert.equal((await fileAdapter({ path: list }).fetchPage()).length, 2);
+  });
+
+  it("names the line of invalid JSONL", async () => {
+    const file = path.join(directory, "broken.jsonl");
+    await writeFile(file, `${JSON.stringify(entry(1))}\n{oops\n`);
+
+    await assert.rejects(fileAdapter({ path: file }).fetchPage(), /line 2/);
+  });
+});
+
+describe("createAdapters", () => {
+  const custom = (id) => ({ id, fetchPage: async () => [] });
+
+  it("defaults to webmention.io when a token is set", () => {
+    assert.deepEqual(
+      createAdapters({ token: "secret" }).map((adapter) => adapter.id),
+      ["webmention.io"],
+    );
+    assert.deepEqual(createAdapters({}), []);
+  });
+
+  it("takes custom adapters as they are", () => {
+    const adapter = custom("mastodon");
+
+    assert.equal(createAdapters({ sources: [adapter] })[0], adapter);
+  });
+
+  it("refuses duplicate IDs, unknown types and custom adapters without an ID", () => {
+    assert.throws(
+      () => createAdapters({ sources: [custom("a"), custom("a")] }),
+      /Duplicate mention source ID: a/,
+    );
+    assert.throws(
+      () => createAdapters({ sources: [{ type: "rss" }] }),
+      /Unknown mention source type: rss/,
+    );
+    assert.throws(
+      () => createAdapters({ sources: [custom("")] }),
+      /need an id/,
+    );
+  });
+});
@@ -0,0 +1,203 @@
+import assert from "node:assert/strict";
+import { mkdir, mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+
+import { parseBlocklistText, serialiseBlocklist } from "../lib/blocklist.js";
+import {
+  importBlocklist,
+  refreshSubscriptions,
+  subscribeBlocklist,
+  unsubscribeBlocklist,
+} from "../lib/blocklist-sharing.js";
+import { upsertWebmention } from "../lib/storage/webmentions.js";
+import { memoryDb } from "./helpers/memory-db.js";
+
+const patterns = (entries) => entries.map((entry) => `${entry.type}:${entry.pattern}`);
+
+describe("parseBlocklistText", () => {
+  it("reads plain text, one domain per line", () => {
+    const { entries, invalid } = parseBlocklistText(
+      "# comment\nspam.example\nhttps://Pasted.example/path\n*.farm.example\nnot a domain\n",
+    );
+
+    assert.deepEqual(patterns(entries), [
+      "domain:spam.example",
+      "domain:pasted.example",
+      "wildcard:*.farm.example",
+    ]);
+    assert.equal(invalid, 1);
+  });
+
+  it("reads Mastodon domain block exports, skipping noop rows", () => {
+    const { entries } = parseBlocklistText(
+      [
+        "#domain,#severity,#reject_media,#public_comment",
+        "spam.example,suspend,true,Spam",
+        'quiet.example,noop,false,"Fine, really"',
+        "loud.example,silence,false,",
+      ].join("\n"),
+    );
+
+    assert.deepEqual(patterns(entries), ["domain:spam.example", "domain:loud.example"]);
+    assert.equal(entries[0].reason, "Spam");
+  });
+
+  it("reads JSON arrays of domains and entry objects", () => {
+    const { entries } = parseBlocklistText(
+      JSON.stringify([
+        "spam.example",
+        { domain: "other.example" },
+        { type: "keyword", pattern: "Casino", reason: "spam" },
+      ]),
+    );
+
+    assert.deepEqual(patterns(entries), [
+      "domain:spam.example",
+      "domain:other.example",
+      "keyword:casino",
+    ]);
+  });
+
+  it("counts entries of types it wasn't asked for as invalid", () => {
+    const { entries, invalid } = parseBlocklistText(
+      JSON.stringify([
+        { type: "regex", pattern: "(a+)+$" },
+        { type: "keyword", pattern: "casino" },
+        "*.farm.example",
+      ]),
+      { types: ["domain", "wildcard"] },
+    );
+
+    assert.deepEqual(patterns(entries), ["wildcard:*.farm.example"]);
+    assert.equal(invalid, 2);
+  });
+});
+
+describe("serialiseBlocklist", () => {
+  const entries = [
+    { domain: "spam.example", reason: "spam", blockedAt: "2025-03-01T00:00:00.000Z" },
+    { domain: "keyword:cheap, pills", type: "keyword", pattern: "cheap, pills", reason: "manual" },
+    { domain: "regex:casino\\d+", type: "regex", pattern: "casino\\d+" },
+  ];
+
+  for (const format of ["json", "csv"]) {
+    it(`round-trips entries through ${format}`, () => {
+      const parsed = parseBlocklistText(serialiseBlocklist(entries, format));
+
+      assert.equal(parsed.invalid, 0);
+      assert.deepEqual(patterns(parsed.entries), [
+        "domain:spam.example",
+        "keyword:cheap, pills",
+        "regex:casino\\d+",
+      ]);
+      assert.equal(parsed.entries[0].reason, "spam");
+    });
+  }
+});
+
+describe("blocklist subscriptions", () => {
+  let root;
+  let directory;
+
+  before(async () => {
+    root = await mkdtemp(path.join(tmpdir(), "webmention-blocklist-"));
+    directory = path.join(root, "lists");
+    await mkdir(directory);
+    await writeFile(path.join(root, "outside.txt"), "friend.example\n");
+  });
+
+  after(async () => {
+    await rm(root, { recursive: true, force: true });
+  });
+
+  const mention = (wmId, domain, text = "Hello") => ({
+    "wm-id": wmId,
+    "wm-property": "mention-of",
+    "wm-target": "https://me.example/post",
+    url: `https://${domain}/${wmId}`,
+    author: { name: "Someone", url: `https://${domain}/` },
+    content: { text },
+  });
+
+  const setup = async () => {
+    const db = memoryDb();
+    const wm = db.collection("webmentions");
+    await upsertWebmention(wm, mention(1, "spam.example"));
+    await upsertWebmention(wm, mention(2, "spam.example", "Win at the casino"));
+    await upsertWebmention(wm, mention(3, "a.farm.example"));
+    await upsertWebmention(wm, mention(4, "friend.example"));
+    return db;
+  };
+
+  const hidden = (db) =>
+    db
+      .collection("webmentions")
+      .docs.filter((doc) => doc.hidden)
+      .map((doc) => doc.wmId);
+
+  it("applies domain and wildcard entries and ignores the rest", async () => {
+    const db = await setup();
+    await writeFile(
+      path.join(directory, "list.txt"),
+      "spam.example\n*.farm.example\n",
+    );
+    await writeFile(
+      path.join(directory, "list.json"),
+      JSON.stringify([{ type: "regex", pattern: "(x+x+)+y" }, "friend.example"]),
+    );
+
+    const options = { blocklistDirectory: directory };
+    const text = await subscribeBlocklist(db, { url: "list.txt" }, options);
+    const json = await subscribeBlocklist(db, { url: "list.json" }, options);
+
+    assert.equal(text.added, 2);
+    assert.equal(text.hidden, 3);
+    assert.equal(json.added, 1);
+    assert.equal(json.invalid, 1);
+    assert.deepEqual(hidden(db), [1, 2, 3, 4]);
+  });
+
+  it("restores mentions on unsubscribe unless another entry matches", async () => {
+    const db = await setup();
+    await writeFile(path.join(directory, "list.txt"), "spam.example\n");
+
+    const options = { blocklistDirectory: directory };
+    await subscribeBlocklist(db, { url: "list.txt" }, options);
+    await importBlocklist(db, JSON.stringify([{ type: "keyword", pattern: "casino" }]));
+
+    const result = await unsubscribeBlocklist(db, "list.txt");
+
+    assert.deepEqual(result, { removed: 1, unhidden: 1 });
+    assert.deepEqual(hidden(db), [2]);
+  });
+
+  it("drops entries that left the list on refresh", async () => {
+    const db = await setup();
+    const file = path.join(directory, "list.txt");
+    await writeFile(file, "spam.example\n*.farm.example\n");
+
+    const options = { blocklistDirectory: directory };
+    await subscribeBlocklist(db, { url: file }, options);
+    await writeFile(file, "*.farm.example\n");
+    const [result] = await refreshSubscriptions(db, options);
+
+    assert.equal(result.removed, 1);
+    assert.equal(result.unhidden, 2);
+    assert.deepEqual(hidden(db), [3]);
+  });
+
+  it("refuses files outside blocklistDirectory", async () => {
+    const db = memoryDb();
+
+    await assert.rejects(
+      subscribeBlocklist(db, { url: "../outside.txt" }, { blocklistDirectory: directory }),
+      /outside blocklistDirectory/,
+    );
+    await assert.rejects(
+      subscribeBlocklist(db, { url: path.join(directory, "list.txt") }),
+      /http\(s\) URLs/,
+    );
+  });
+});
@@ -0,0 +1,80 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import {
+  compileBlocklist,
+  parseBlockEntry,
+  subjectFromItem,
+} from "../lib/blocklist.js";
+
+describe("parseBlockEntry", () => {
+  it("takes the domain of a pasted URL", () => {
+    assert.deepEqual(parseBlockEntry("domain", " https://Spam.Example/post "), {
+      type: "domain",
+      pattern: "spam.example",
+      domain: "spam.example",
+    });
+  });
+
+  it("keys other types by type and pattern", () => {
+    assert.deepEqual(parseBlockEntry("keyword", "Casino"), {
+      type: "keyword",
+      pattern: "casino",
+      domain: "keyword:casino",
+    });
+    assert.equal(parseBlockEntry("wildcard", "*.Example.com").domain, "*.example.com");
+  });
+
+  it("rejects invalid patterns", () => {
+    assert.throws(() => parseBlockEntry("nope", "x"), /Unknown blocklist type/);
+    assert.throws(() => parseBlockEntry("domain", "  "), /required/);
+    assert.throws(() => parseBlockEntry("wildcard", "example.com"), /\*\.example\.com/);
+    assert.throws(() => parseBlockEntry("regex", "("), SyntaxError);
+    assert.throws(() => parseBlockEntry("author", "not a url"), /URL prefix/);
+  });
+});
+
+describe("compileBlocklist", () => {
+  const item = (url, fields = {}) =>
+    subjectFromItem({ url, author: { url: fields.authorUrl }, ...fields });
+
+  const blocklist = compileBlocklist([
+    { domain: "legacy.example" },
+    parseBlockEntry("wildcard", "*.spam.example"),
+    parseBlockEntry("regex", "/casino-\\d+"),
+    parseBlockEntry("author", "https://social.example/@troll"),
+    parseBlockEntry("keyword", "Buy Now"),
+    { type: "regex", pattern: "(", domain: "regex:(" },
+  ]);
+
+  it("matches stored domain entries without a type", () => {
+    assert.equal(blocklist.match(item("https://legacy.example/1")).domain, "legacy.example");
+  });
+
+  it("matches wildcards against the domain and its subdomains", () => {
+    assert.ok(blocklist.match(item("https://spam.example/")));
+    assert.ok(blocklist.match(item("https://a.b.spam.example/")));
+    assert.equal(blocklist.match(item("https://notspam.example/")), null);
+  });
+
+  it("matches regex, author and keyword entries", () => {
+    assert.equal(blocklist.match(item("https://ok.example/casino-42")).type, "regex");
+    assert.equal(
+      blocklist.match(
+        item("https://social.example/@troll/1", {
+          authorUrl: "https://social.example/@trollface",
+        }),
+      ).type,
+      "author",
+    );
+    assert.equal(
+      blocklist.match(item("https://ok.example/", { content: { text: "BUY NOW!" } })).type,
+      "keyword",
+    );
+  });
+
+  it("skips entries that can't be compiled", () => {
+    assert.equal(blocklist.size, 6);
+    assert.equal(blocklist.match(item("https://ok.example/(")), null);
+  });
+});
@@ -0,0 +1,151 @@
+import assert from "node:assert/strict";
+import { beforeEach, describe, it } from "node:test";
+
+import {
+  configureCache,
+  getCachedResponse,
+  hasCachedResponses,
+  invalidateTargets,
+  setCachedResponse,
+} from "../lib/cache.js";
+import { apiController } from "../lib/controllers/api.js";
+import { upsertWebmention } from "../lib/storage/webmentions.js";
+import { memoryDb } from "./helpers/memory-db.js";
+
+const post = "https://me.example/posts/hello";
+const other = "https://me.example/posts/other";
+
+describe("response cache", () => {
+  beforeEach(() => configureCache({ apiCacheSize: 2, apiCacheMaxAge: 60_000 }));
+
+  it("drops the least recently used entry when full", () => {
+    setCachedResponse("a", "A", [post]);
+    setCachedResponse("b", "B", [post]);
+    getCachedResponse("a");
+    setCachedResponse("c", "C", [post]);
+
+    assert.equal(getCachedResponse("a").body, "A");
+    assert.equal(getCachedResponse("b"), null);
+    assert.equal(getCachedResponse("c").body, "C");
+  });
+
+  it("gives the same body the same ETag", () => {
+    const first = setCachedResponse("a", "Same", [post]);
+    const second = setCachedResponse("b", "Same", [other]);
+
+    assert.match(first.etag, /^W\/"[\w-]+"$/);
+    assert.equal(first.etag, second.etag);
+  });
+
+  it("drops entries covering a changed target, or any target", () => {
+    setCachedResponse("post", "1", [`${post}/`]);
+    setCachedResponse("all", "2", null);
+    invalidateTargets([other]);
+
+    assert.equal(getCachedResponse("post").body, "1");
+    assert.equal(getCachedResponse("all"), null);
+
+    invalidateTargets([post]);
+    assert.equal(hasCachedResponses(), false);
+  });
+
+  it("expires entries after apiCacheMaxAge", () => {
+    configureCache({ apiCacheMaxAge: -1 });
+    setCachedResponse("a", "A", [post]);
+
+    assert.equal(getCachedResponse("a"), null);
+  });
+
+  it("stores nothing with apiCacheSize 0", () => {
+    configureCache({ apiCacheSize: 0 });
+    const entry = setCachedResponse("a", "A", [post]);
+
+    assert.equal(entry.body, "A");
+    assert.equal(hasCachedResponses(), false);
+  });
+});
+
+describe("GET /api/mentions caching", () => {
+  /**
+   * Call the mentions API with a stand-in request and response
+   * @param {object} db - Database
+   * @param {object} [headers] - Request headers
+   * @returns {Promise<object>} Response with `statusCode`, `headers`, `body`
+   */
+  const getMentions = async (db, headers = {}) => {
+    const response = {
+      statusCode: 200,
+      headers: {},
+      set(fields, value) {
+        Object.assign(this.headers, value === undefined ? fields : { [fields]: value });
+        return this;
+      },
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      type() {
+        return this;
+      },
+      send(body) {
+        this.body = body;
+      },
+      json(body) {
+        this.body = body;
+      },
+      end() {},
+    };
+    const request = {
+      app: { locals: { application: { getWebmentionDb: () => db } } },
+      query: { target: post },
+      headers,
+      // Express compares If-None-Match with the ETag being sent
+      get fresh() {
+        return headers["if-none-match"] === response.headers.ETag;
+      },
+    };
+
+    await apiController.getMentions(request, response);
+    return response;
+  };
+
+  const mention = (text) => ({
+    "wm-id": 1,
+    "wm-property": "in-reply-to",
+    "wm-target": post,
+    url: "https://alice.example/1",
+    author: { name: "Alice", url: "https://alice.example/" },
+    content: { text },
+  });
+
+  beforeEach(() => configureCache({ apiCacheSize: 10 }));
+
+  it("answers a matching If-None-Match with 304", async () => {
+    const db = memoryDb();
+    await upsertWebmention(db.collection("webmentions"), mention("Hello"));
+
+    const first = await getMentions(db);
+    const second = await getMentions(db, { "if-none-match": first.headers.ETag });
+
+    assert.equal(first.statusCode, 200);
+    assert.equal(JSON.parse(first.body).children[0].content.text, "Hello");
+    assert.ok(first.headers.ETag);
+    assert.ok(first.headers["Last-Modified"]);
+    assert.equal(second.statusCode, 304);
+    assert.equal(second.body, undefined);
+  });
+
+  it("serves a new ETag once a mention on the target changes", async () => {
+    const db = memoryDb();
+    const collection = db.collection("webmentions");
+    await upsertWebmention(collection, mention("Hello"));
+
+    const first = await getMentions(db);
+    await upsertWebmention(collection, mention("Hello, edited"));
+    const second = await getMentions(db, { "if-none-match": first.headers.ETag });
+
+    assert.equal(second.statusCode, 200);
+    assert.notEqual(second.headers.ETag, first.headers.ETag);
+    assert.equal(JSON.parse(second.body).children[0].content.text, "Hello, edited");
+  });
+});
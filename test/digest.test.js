@@ -0,0 +1,124 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { buildDigest, isDue, renderDigest, sendDigest } from "../lib/digest.js";
+import { upsertWebmention } from "../lib/storage/webmentions.js";
+import { memoryDb } from "./helpers/memory-db.js";
+
+const daily = { frequency: "daily", hour: 8, day: 1 };
+const weekly = { frequency: "weekly", hour: 8, day: 1 };
+
+// Local times, as digests are scheduled in server time; 3 March 2025 is a Monday
+const at = (day, hour, minute = 0) => new Date(2025, 2, day, hour, minute);
+const lastRun = (date) => ({ lastRunAt: date.toISOString() });
+
+describe("isDue", () => {
+  it("is due on the first run", () => {
+    assert.equal(isDue({}, daily, at(5, 3)), true);
+  });
+
+  it("sends a daily digest once the hour has passed", () => {
+    assert.equal(isDue(lastRun(at(4, 9)), daily, at(5, 9)), true);
+    assert.equal(isDue(lastRun(at(5, 8, 30)), daily, at(5, 9)), false);
+    assert.equal(isDue(lastRun(at(4, 9)), daily, at(5, 7)), false);
+  });
+
+  it("sends a weekly digest once on the configured day", () => {
+    assert.equal(isDue(lastRun(at(2, 9)), weekly, at(5, 10)), true);
+    assert.equal(isDue(lastRun(at(3, 9)), weekly, at(5, 10)), false);
+    assert.equal(isDue(lastRun(at(3, 9)), weekly, at(10, 7)), false);
+    assert.equal(isDue(lastRun(at(3, 9)), weekly, at(10, 8)), true);
+  });
+});
+
+describe("buildDigest/renderDigest", () => {
+  const doc = (wmId, fields) => ({
+    wmId,
+    wmProperty: "in-reply-to",
+    wmTarget: "https://me.example/a",
+    wmReceived: "2025-03-03T10:00:00.000Z",
+    authorName: "Alice",
+    sourceUrl: `https://alice.example/${wmId}`,
+    hidden: false,
+    ...fields,
+  });
+
+  const digest = buildDigest(
+    [
+      doc(1, { wmProperty: "like-of" }),
+      doc(2, { name: "<script>alert(1)</script>" }),
+      doc(3, { wmTarget: "https://me.example/b" }),
+      doc(4, { hidden: true, hiddenReason: "pending" }),
+    ],
+    {
+      since: "2025-03-02T08:00:00.000Z",
+      until: "2025-03-03T08:00:00.000Z",
+      dashboardUrl: "https://me.example/webmentions",
+    },
+  );
+
+  it("groups mentions by post, busiest first, then by type", () => {
+    assert.equal(digest.total, 4);
+    assert.equal(digest.pending, 1);
+    assert.deepEqual(
+      digest.posts.map((post) => [post.target, post.total]),
+      [
+        ["https://me.example/a", 3],
+        ["https://me.example/b", 1],
+      ],
+    );
+    assert.deepEqual(
+      digest.posts[0].groups.map((group) => group.label),
+      ["Replies", "Likes"],
+    );
+    assert.equal(
+      digest.posts[0].groups[0].mentions[1].moderateUrl,
+      "https://me.example/webmentions?filter=all&wm=4",
+    );
+  });
+
+  it("renders a subject, plain text and escaped HTML", () => {
+    const message = renderDigest(digest);
+
+    assert.equal(message.subject, "4 new webmentions, 1 awaiting approval");
+    assert.match(message.text, /Alice: Like\n {4}https:\/\/alice\.example\/1/);
+    assert.match(message.text, /\[pending\]/);
+    assert.doesNotMatch(message.html, /<script>/);
+    assert.match(message.html, /&lt;script&gt;/);
+  });
+
+  it("says so when there is nothing new", () => {
+    const message = renderDigest({ ...digest, total: 0, pending: 0, posts: [] });
+
+    assert.equal(message.subject, "0 new webmentions");
+    assert.match(message.html, /No new webmentions/);
+  });
+});
+
+describe("sendDigest", () => {
+  it("leaves out mentions that were only edited since the last digest", async () => {
+    const db = memoryDb();
+    const sent = [];
+    const options = {
+      digest: { transport: { send: async (message) => sent.push(message) } },
+    };
+    const item = (text) => ({
+      "wm-id": 1,
+      "wm-property": "in-reply-to",
+      "wm-target": "https://me.example/a",
+      url: "https://alice.example/1",
+      author: { name: "Alice", url: "https://alice.example/" },
+      content: { text },
+    });
+
+    await upsertWebmention(db.collection("webmentions"), item("First"));
+    assert.equal((await sendDigest(db, options, { force: true })).count, 1);
+
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    const status = await upsertWebmention(db.collection("webmentions"), item("Edited"));
+
+    assert.equal(status, "updated");
+    assert.equal((await sendDigest(db, options, { force: true })).count, 0);
+    assert.equal(sent.length, 2);
+  });
+});
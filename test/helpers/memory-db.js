@@ -0,0 +1,469 @@
+/**
+ * In-memory stand-in for the parts of the MongoDB driver the plugin uses,
+ * so storage code can be tested without a database. Queries support
+ * equality, `$and`/`$or` and the comparison (between values of the same
+ * type, as in MongoDB), `$in`/`$nin`, `$exists` and `$regex` operators;
+ * updates support `$set`, `$setOnInsert`, `$unset`, `$inc`, `$push` (with
+ * `$each`/`$slice`), `$addToSet` and `$pull`.
+ * Unique indexes are enforced on insert, with MongoDB's 11000 error code.
+ * Aggregations support `$match`, `$sort`, `$skip`, `$limit` and `$group`
+ * by a field, with `$sum`, `$min`, `$max`, `$first` and `$last`.
+ */
+
+
+/**
+ * Create an in-memory database
+ * @returns {{collection: Function}} Database with MongoDB's `collection()`
+ */
+export function memoryDb() {
+  const collections = new Map();
+
+  return {
+    collection(name) {
+      if (!collections.has(name)) {
+        collections.set(name, memoryCollection());
+      }
+
+      return collections.get(name);
+    },
+  };
+}
+
+/**
+ * Create an in-memory collection
+ * @returns {object} Collection; stored documents are in `docs`
+ */
+function memoryCollection() {
+  const docs = [];
+  const uniqueIndexes = [];
+  let nextId = 1;
+
+  const insert = (doc) => {
+    for (const fields of uniqueIndexes) {
+      const values = fields.map((field) => getPath(doc, field));
+      const taken =
+        values.some((value) => value !== undefined) &&
+        docs.some((other) =>
+          fields.every((field, index) => getPath(other, field) === values[index]),
+        );
+      if (taken) {
+        throw Object.assign(new Error(`Duplicate key ${fields.join(", ")}`), {
+          code: 11000,
+        });
+      }
+    }
+
+    doc._id ??= nextId++;
+    docs.push(doc);
+    return doc;
+  };
+
+  const upsertBase = (query) =>
+    Object.fromEntries(
+      Object.entries(query).filter(
+        ([key, value]) => !key.startsWith("$") && !isOperatorObject(value),
+      ),
+    );
+
+  return {
+    docs,
+
+    async createIndex(keys, options = {}) {
+      if (options.unique) {
+        uniqueIndexes.push(Object.keys(keys));
+      }
+    },
+
+    find(query = {}) {
+      return cursor(docs.filter((doc) => matches(doc, query)));
+    },
+
+    aggregate(pipeline) {
+      let results = cursor(docs);
+
+      for (const stage of pipeline) {
+        const [[name, spec]] = Object.entries(stage);
+        const list = results.list();
+
+        switch (name) {
+          case "$match":
+            results = cursor(list.filter((doc) => matches(doc, spec)));
+            break;
+          case "$sort":
+            results = cursor(list).sort(spec);
+            break;
+          case "$skip":
+            results = cursor(list).skip(spec);
+            break;
+          case "$limit":
+            results = cursor(list).limit(spec);
+            break;
+          case "$group":
+            results = cursor(group(list, spec));
+            break;
+          default:
+            throw new Error(`Unsupported aggregation stage ${name}`);
+        }
+      }
+
+      return results;
+    },
+
+    async findOne(query = {}) {
+      return docs.find((doc) => matches(doc, query)) || null;
+    },
+
+    async countDocuments(query = {}) {
+      return docs.filter((doc) => matches(doc, query)).length;
+    },
+
+    async distinct(field, query = {}) {
+      const values = docs
+        .filter((doc) => matches(doc, query))
+        .flatMap((doc) => [getPath(doc, field)].flat())
+        .filter((value) => value !== undefined);
+      return [...new Set(values)];
+    },
+
+    async insertOne(doc) {
+      return { insertedId: insert(doc)._id };
+    },
+
+    async insertMany(list) {
+      for (const doc of list) insert(doc);
+      return { insertedCount: list.length };
+    },
+
+    async updateOne(query, update, options = {}) {
+      const doc = docs.find((item) => matches(item, query));
+      if (doc) {
+        applyUpdate(doc, update, false);
+        return { matchedCount: 1, modifiedCount: 1, upsertedCount: 0 };
+      }
+
+      if (options.upsert) {
+        insert(applyUpdate(upsertBase(query), update, true));
+        return { matchedCount: 0, modifiedCount: 0, upsertedCount: 1 };
+      }
+
+      return { matchedCount: 0, modifiedCount: 0, upsertedCount: 0 };
+    },
+
+    async updateMany(query, update) {
+      const matched = docs.filter((doc) => matches(doc, query));
+      for (const doc of matched) applyUpdate(doc, update, false);
+      return { matchedCount: matched.length, modifiedCount: matched.length };
+    },
+
+    async findOneAndUpdate(query, update, options = {}) {
+      let doc = docs.find((item) => matches(item, query));
+      if (doc) {
+        applyUpdate(doc, update, false);
+      } else if (options.upsert) {
+        doc = insert(applyUpdate(upsertBase(query), update, true));
+      }
+
+      return doc || null;
+    },
+
+    async deleteOne(query) {
+      const index = docs.findIndex((doc) => matches(doc, query));
+      if (index !== -1) docs.splice(index, 1);
+      return { deletedCount: index === -1 ? 0 : 1 };
+    },
+
+    async deleteMany(query = {}) {
+      const kept = docs.filter((doc) => !matches(doc, query));
+      const deletedCount = docs.length - kept.length;
+      docs.splice(0, docs.length, ...kept);
+      return { deletedCount };
+    },
+  };
+}
+
+/**
+ * Wrap query results in a chainable cursor
+ * @param {Array<object>} results - Matching documents
+ * @returns {object} Cursor
+ */
+function cursor(results) {
+  let list = [...results];
+
+  const chain = {
+    sort(spec) {
+      const fields = Object.entries(spec);
+      list.sort((a, b) => {
+        for (const [field, direction] of fields) {
+          const order = compare(getPath(a, field), getPath(b, field));
+          if (order !== 0) return order * direction;
+        }
+        return 0;
+      });
+      return chain;
+    },
+    skip(count) {
+      list = list.slice(count);
+      return chain;
+    },
+    limit(count) {
+      if (count) list = list.slice(0, count);
+      return chain;
+    },
+    project() {
+      return chain;
+    },
+    list() {
+      return list;
+    },
+    async toArray() {
+      return list;
+    },
+  };
+
+  return chain;
+}
+
+/**
+ * Run a `$group` stage
+ * @param {Array<object>} list - Input documents
+ * @param {object} spec - Stage spec, `_id` being a `$field` or null
+ * @returns {Array<object>} One document per group
+ */
+function group(list, spec) {
+  const { _id: key, ...fields } = spec;
+  const groups = new Map();
+  const value = (doc, expression) =>
+    typeof expression === "string" && expression.startsWith("$")
+      ? getPath(doc, expression.slice(1))
+      : expression;
+
+  for (const doc of list) {
+    const id = key === null ? null : value(doc, key);
+    if (!groups.has(id)) {
+      groups.set(id, { _id: id });
+    }
+    const row = groups.get(id);
+
+    for (const [field, accumulator] of Object.entries(fields)) {
+      const [[operator, expression]] = Object.entries(accumulator);
+      const current = value(doc, expression);
+
+      switch (operator) {
+        case "$sum":
+          row[field] = (row[field] || 0) + (Number(current) || 0);
+          break;
+        case "$min":
+          if (!(field in row) || compare(current, row[field]) < 0) row[field] = current;
+          break;
+        case "$max":
+          if (!(field in row) || compare(current, row[field]) > 0) row[field] = current;
+          break;
+        case "$first":
+          if (!(field in row)) row[field] = current;
+          break;
+        case "$last":
+          row[field] = current;
+          break;
+        default:
+          throw new Error(`Unsupported accumulator ${operator}`);
+      }
+    }
+  }
+
+  return [...groups.values()];
+}
+
+/**
+ * Check whether a document matches a query
+ * @param {object} doc - Document
+ * @param {object} query - MongoDB query
+ * @returns {boolean}
+ */
+function matches(doc, query) {
+  return Object.entries(query).every(([key, condition]) => {
+    if (key === "$or") return condition.some((part) => matches(doc, part));
+    if (key === "$and") return condition.every((part) => matches(doc, part));
+
+    const value = getPath(doc, key);
+
+    if (isOperatorObject(condition)) {
+      return Object.entries(condition).every(([operator, argument]) =>
+        matchesOperator(value, operator, argument, condition),
+      );
+    }
+
+    return equals(value, condition);
+  });
+}
+
+/**
+ * Check a value against one query operator
+ * @param {*} value - Document value
+ * @param {string} operator - Operator, e.g. `$in`
+ * @param {*} argument - Operator argument
+ * @param {object} condition - The whole condition (for `$options`)
+ * @returns {boolean}
+ */
+function matchesOperator(value, operator, argument, condition) {
+  switch (operator) {
+    case "$ne":
+      return !equals(value, argument);
+    case "$in":
+      return argument.some((item) => equals(value, item));
+    case "$nin":
+      return !argument.some((item) => equals(value, item));
+    case "$gt":
+      return comparable(value, argument) && compare(value, argument) > 0;
+    case "$gte":
+      return comparable(value, argument) && compare(value, argument) >= 0;
+    case "$lt":
+      return comparable(value, argument) && compare(value, argument) < 0;
+    case "$lte":
+      return comparable(value, argument) && compare(value, argument) <= 0;
+    case "$exists":
+      return (value !== undefined) === argument;
+    case "$regex":
+      return (
+        typeof value === "string" &&
+        new RegExp(argument, condition.$options || "").test(value)
+      );
+    case "$options":
+      return true;
+    default:
+      throw new Error(`Unsupported query operator ${operator}`);
+  }
+}
+
+/**
+ * MongoDB equality: arrays match any element, null matches missing fields
+ * and regular expressions test strings
+ * @param {*} value - Document value
+ * @param {*} expected - Query value
+ * @returns {boolean}
+ */
+function equals(value, expected) {
+  if (expected instanceof RegExp) {
+    return typeof value === "string" && expected.test(value);
+  }
+
+  if (expected === null) {
+    return value === null || value === undefined;
+  }
+
+  if (Array.isArray(value) && !Array.isArray(expected)) {
+    return value.some((item) => equals(item, expected));
+  }
+
+  if (value instanceof Date && expected instanceof Date) {
+    return value.getTime() === expected.getTime();
+  }
+
+  return value === expected;
+}
+
+/**
+ * Apply an update document
+ * @param {object} doc - Document, changed in place
+ * @param {object} update - MongoDB update
+ * @param {boolean} inserting - Whether the document is being upserted
+ * @returns {object} The document
+ */
+function applyUpdate(doc, update, inserting) {
+  for (const [operator, fields] of Object.entries(update)) {
+    for (const [field, value] of Object.entries(fields)) {
+      switch (operator) {
+        case "$set":
+          doc[field] = value;
+          break;
+        case "$setOnInsert":
+          if (inserting) doc[field] = value;
+          break;
+        case "$unset":
+          delete doc[field];
+          break;
+        case "$inc":
+          doc[field] = (doc[field] || 0) + value;
+          break;
+        case "$push": {
+          const list = [...(doc[field] || []), ...(value?.$each || [value])];
+          doc[field] = value?.$slice ? list.slice(value.$slice) : list;
+          break;
+        }
+        case "$addToSet": {
+          doc[field] = doc[field] || [];
+          for (const item of value?.$each || [value]) {
+            if (!doc[field].includes(item)) doc[field].push(item);
+          }
+          break;
+        }
+        case "$pull":
+          doc[field] = (doc[field] || []).filter(
+            (item) => !(value?.$in ? value.$in.includes(item) : equals(item, value)),
+          );
+          break;
+        default:
+          throw new Error(`Unsupported update operator ${operator}`);
+      }
+    }
+  }
+
+  return doc;
+}
+
+/**
+ * Whether a query value is an operator object like `{ $in: [...] }`
+ * @param {*} value - Query value
+ * @returns {boolean}
+ */
+function isOperatorObject(value) {
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    !Array.isArray(value) &&
+    !(value instanceof Date) &&
+    !(value instanceof RegExp) &&
+    Object.keys(value).some((key) => key.startsWith("$"))
+  );
+}
+
+/**
+ * Read a dotted path from a document, through arrays of subdocuments like
+ * MongoDB (`responses.url` lists the `url` of each response)
+ * @param {object} doc - Document
+ * @param {string} path - e.g. `moderation.action`
+ * @returns {*}
+ */
+function getPath(doc, path) {
+  return path.split(".").reduce((value, key) => {
+    if (Array.isArray(value) && !/^\d+$/.test(key)) {
+      return value.flatMap((item) => item?.[key] ?? []);
+    }
+    return value?.[key];
+  }, doc);
+}
+
+/**
+ * Whether two values can be compared: like MongoDB, comparison operators
+ * only match values of the same type (a Date never matches a string)
+ * @param {*} value - Document value
+ * @param {*} argument - Query value
+ * @returns {boolean}
+ */
+function comparable(value, argument) {
+  return (
+    value != null &&
+    typeof value === typeof argument &&
+    value instanceof Date === argument instanceof Date
+  );
+}
+
+/**
+ * Sort order of two values, with missing values first
+ * @param {*} a - Value
+ * @param {*} b - Value
+ * @returns {number}
+ */
+function compare(a, b) {
+  if (a == null || b == null) return (a == null ? 0 : 1) - (b == null ? 0 : 1);
+  return a < b ? -1 : a > b ? 1 : 0;
+}
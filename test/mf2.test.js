@@ -0,0 +1,74 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { parseMention } from "../lib/mf2.js";
+
+const source = "https://alice.example/notes/1";
+const target = "https://me.example/posts/hello";
+
+describe("parseMention", () => {
+  it("reads a reply with its author, content and date", () => {
+    const jf2 = parseMention(
+      `<article class="h-entry">
+        <a class="u-in-reply-to" href="${target}/">Hello</a>
+        <a class="p-author h-card" href="https://alice.example/">Alice</a>
+        <time class="dt-published" datetime="2025-02-13T10:00:00Z"></time>
+        <div class="e-content">Nice <b>post</b></div>
+      </article>`,
+      { source, target },
+    );
+
+    assert.equal(jf2["wm-property"], "in-reply-to");
+    assert.equal(jf2["in-reply-to"], target);
+    assert.equal(jf2.author.name, "Alice");
+    assert.equal(jf2.author.url, "https://alice.example/");
+    assert.equal(jf2.published, "2025-02-13T10:00:00.000Z");
+    assert.equal(jf2.content.text, "Nice post");
+    assert.match(jf2.content.html, /<b>post<\/b>/);
+  });
+
+  it("turns a reply with an rsvp into an rsvp", () => {
+    const jf2 = parseMention(
+      `<div class="h-entry"><a class="u-in-reply-to" href="${target}">x</a>
+        <data class="p-rsvp" value="yes">Going</data></div>`,
+      { source, target },
+    );
+
+    assert.equal(jf2["wm-property"], "rsvp");
+    assert.equal(jf2.rsvp, "yes");
+  });
+
+  it("falls back to a plain mention without an h-entry", () => {
+    const jf2 = parseMention(`<p><a href="${target}">link</a></p>`, { source, target });
+
+    assert.equal(jf2["wm-property"], "mention-of");
+    assert.equal(jf2.url, source);
+    assert.equal(jf2.author, undefined);
+  });
+
+
+  it("keeps the source URL when u-url isn't http(s)", () => {
+    const jf2 = parseMention(
+      `<div class="h-entry"><a class="u-url" href="javascript:alert(1)">#</a>
+        <a class="u-in-reply-to" href="${target}">x</a></div>`,
+      { source, target },
+    );
+
+    assert.equal(jf2.url, source);
+  });
+
+  it("drops author URLs and photos that aren't http(s)", () => {
+    const jf2 = parseMention(
+      `<div class="h-entry"><a class="u-in-reply-to" href="${target}">x</a>
+        <div class="p-author h-card">
+          <a class="p-name u-url" href="javascript:alert(1)">Mallory</a>
+          <img class="u-photo" src="data:image/svg+xml,<svg onload=alert(1)>">
+        </div></div>`,
+      { source, target },
+    );
+
+    assert.equal(jf2.author.name, "Mallory");
+    assert.equal(jf2.author.url, "");
+    assert.equal(jf2.author.photo, "");
+  });
+});
@@ -0,0 +1,141 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import {
+  createRuleEngine,
+  getEditModerationFields,
+  getModerationFields,
+} from "../lib/moderation.js";
+
+const item = (fields) => ({
+  "wm-property": "in-reply-to",
+  url: "https://alice.example/notes/1",
+  author: { name: "Alice", url: "https://alice.example/" },
+  content: { text: "Great post, thanks for writing it" },
+  ...fields,
+});
+
+const ruleNames = (result) => result.matches.map((match) => match.rule);
+
+describe("createRuleEngine", () => {
+  it("accepts mentions no rule matches", () => {
+    const engine = createRuleEngine({
+      rules: [{ type: "keyword", keywords: ["casino"] }],
+    });
+
+    assert.deepEqual(engine.evaluate(item()), {
+      score: 0,
+      matches: [],
+      action: "accept",
+    });
+  });
+
+  it("adds up scores into review and hide actions", () => {
+    const engine = createRuleEngine({
+      rules: [
+        { type: "keyword", keywords: ["Casino"], score: 5 },
+        { type: "link-density", maxLinks: 1, score: 5 },
+      ],
+    });
+
+    const review = engine.evaluate(item({ content: { text: "Best casino" } }));
+    const hide = engine.evaluate(
+      item({
+        content: {
+          html: '<p>Casino <a href="https://a.example">a</a> <a href="https://b.example">b</a></p>',
+        },
+      }),
+    );
+
+    assert.equal(review.action, "review");
+    assert.equal(review.matches[0].detail, 'keyword "casino"');
+    assert.equal(hide.action, "hide");
+    assert.equal(hide.score, 10);
+  });
+
+  it("respects configured thresholds", () => {
+    const engine = createRuleEngine({
+      rules: [{ type: "missing-author", score: 3 }],
+      reviewScore: 2,
+      hideScore: 4,
+    });
+
+    assert.equal(engine.evaluate(item({ author: {} })).action, "review");
+  });
+
+  it("checks regex, length, type and author rules", () => {
+    const engine = createRuleEngine({
+      rules: [
+        { type: "regex", field: "url", pattern: "/spam/", score: 1 },
+        { type: "content-length", min: 10, score: 1 },
+        { type: "mention-type", types: ["mention-of"], score: 1 },
+        { type: "missing-author", score: 1 },
+      ],
+    });
+
+    const result = engine.evaluate({
+      "wm-property": "mention-of",
+      url: "https://x.example/spam/1",
+      content: { text: "Hi" },
+    });
+
+    assert.deepEqual(ruleNames(result), [
+      "regex",
+      "content-length",
+      "mention-type",
+      "missing-author",
+    ]);
+  });
+
+  it("flags the first mention from a domain", () => {
+    const engine = createRuleEngine({ rules: [{ type: "new-domain" }] });
+    const knownDomains = new Set(["alice.example"]);
+
+    assert.equal(engine.needsKnownDomains, true);
+    assert.equal(engine.evaluate(item(), { knownDomains }).matches.length, 0);
+    assert.equal(
+      engine.evaluate(item(), { knownDomains, domain: "bob.example" }).matches[0]
+        .detail,
+      "first mention from bob.example",
+    );
+  });
+
+  it("skips invalid rules", () => {
+    const engine = createRuleEngine({
+      rules: [{ type: "regex", pattern: "(" }, { type: "unknown" }],
+    });
+
+    assert.equal(engine.rules.length, 0);
+  });
+});
+
+describe("getModerationFields", () => {
+  const engine = createRuleEngine({
+    rules: [{ type: "keyword", keywords: ["casino"], score: 10 }],
+  });
+  const spam = engine.evaluate(item({ content: { text: "casino" } }));
+  const clean = engine.evaluate(item());
+
+  it("hides new mentions the rules catch, with the matches", () => {
+    const fields = getModerationFields(spam);
+
+    assert.equal(fields.hidden, true);
+    assert.equal(fields.hiddenReason, "auto-rule");
+    assert.equal(fields.moderation.rules[0].rule, "keyword");
+  });
+
+  it("holds accepted mentions from untrusted domains", () => {
+    assert.equal(getModerationFields(clean), null);
+    assert.equal(getModerationFields(clean, { pending: true }).hiddenReason, "pending");
+  });
+
+  it("only hides edited mentions", () => {
+    assert.equal(getEditModerationFields(clean), null);
+    assert.equal(getEditModerationFields(null), null);
+    assert.equal(getEditModerationFields(spam).hiddenReason, "auto-rule");
+    assert.equal(
+      getEditModerationFields(null, { blocked: true }).hiddenReason,
+      "blocklist",
+    );
+  });
+});
@@ -0,0 +1,44 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { buildWebmentionQuery } from "../lib/storage/webmentions.js";
+import { getSearchTerms, highlightTerms } from "../lib/utils.js";
+
+describe("getSearchTerms", () => {
+  it("keeps words and quoted phrases, dropping excluded terms", () => {
+    assert.deepEqual(getSearchTerms('great "thanks for" -spam post'), [
+      "great",
+      "thanks for",
+      "post",
+    ]);
+    assert.deepEqual(getSearchTerms(""), []);
+  });
+});
+
+describe("highlightTerms", () => {
+  it("marks terms in text, case-insensitively", () => {
+    assert.equal(
+      highlightTerms("<p>Great post, great work</p>", ["great"]),
+      "<p><mark>Great</mark> post, <mark>great</mark> work</p>",
+    );
+  });
+
+  it("leaves tags, attributes and entities alone", () => {
+    assert.equal(
+      highlightTerms('<a href="https://amp.example/">amp &amp; more</a>', ["amp"]),
+      '<a href="https://amp.example/"><mark>amp</mark> &amp; more</a>',
+    );
+  });
+
+  it("escapes terms that look like regular expressions", () => {
+    assert.equal(highlightTerms("1+1 = 2", ["1+1"]), "<mark>1+1</mark> = 2");
+  });
+});
+
+describe("buildWebmentionQuery search", () => {
+  it("runs a text search", () => {
+    assert.deepEqual(buildWebmentionQuery({ search: "thanks" }).$text, {
+      $search: "thanks",
+    });
+  });
+});
@@ -0,0 +1,42 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { fetchSource, isPublicAddress } from "../lib/source.js";
+
+describe("isPublicAddress", () => {
+  it("accepts public addresses", () => {
+    for (const address of ["93.184.215.14", "1.1.1.1", "2606:4700:4700::1111"]) {
+      assert.equal(isPublicAddress(address), true, address);
+    }
+  });
+
+  it("rejects private, loopback, link-local and reserved addresses", () => {
+    const addresses = [
+      "127.0.0.1",
+      "10.1.2.3",
+      "172.16.0.1",
+      "192.168.1.1",
+      "169.254.169.254",
+      "100.64.0.1",
+      "0.0.0.0",
+      "::1",
+      "fe80::1",
+      "fd00::1",
+      "::ffff:127.0.0.1",
+      "::ffff:7f00:1",
+      "not an address",
+    ];
+
+    for (const address of addresses) {
+      assert.equal(isPublicAddress(address), false, address);
+    }
+  });
+});
+
+describe("fetchSource", () => {
+  it("refuses loopback and non-http URLs without connecting", async () => {
+    for (const url of ["http://127.0.0.1/", "http://[::1]/", "file:///etc/passwd"]) {
+      await assert.rejects(fetchSource(url), Error, url);
+    }
+  });
+});
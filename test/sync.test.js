@@ -0,0 +1,168 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { parseBlockEntry } from "../lib/blocklist.js";
+import { blockEntry } from "../lib/storage/blocklist.js";
+import { getState } from "../lib/storage/state.js";
+import { runFullSync, runSync } from "../lib/sync.js";
+import { memoryDb } from "./helpers/memory-db.js";
+
+/**
+ * A source adapter serving a list of mentions that tests can change
+ * @param {Array<object>} items - JF2 entries, with numeric `wm-id`s
+ * @param {string} [id] - Adapter ID
+ * @returns {object} Adapter; `calls` records each `fetchPage()` request
+ */
+function listAdapter(items, id = "fixture") {
+  return {
+    id,
+    items,
+    calls: [],
+    async fetchPage({ page, perPage, sinceId }) {
+      this.calls.push({ page, sinceId });
+      return this.items
+        .filter((item) => !sinceId || item["wm-id"] > sinceId)
+        .slice(page * perPage, (page + 1) * perPage);
+    },
+  };
+}
+
+const mention = (id, text, fields) => ({
+  "wm-id": id,
+  "wm-received": `2025-03-0${id}T10:00:00.000Z`,
+  "wm-property": "in-reply-to",
+  "wm-target": "https://me.example/post",
+  url: `https://site${id}.example/reply`,
+  author: { name: `Author ${id}`, url: `https://site${id}.example/`, photo: `https://site${id}.example/me.jpg` },
+  content: { text },
+  ...fields,
+});
+
+const byOriginId = (db) =>
+  Object.fromEntries(
+    db.collection("webmentions").docs.map((doc) => [doc.raw["wm-origin-id"], doc]),
+  );
+
+describe("sync of edited mentions", () => {
+  it("hides visible mentions the blocklist or rules catch after an edit", async () => {
+    const db = memoryDb();
+    const adapter = listAdapter([
+      mention(1, "Nice post"),
+      mention(2, "Nice post"),
+      mention(3, "Nice post"),
+    ]);
+    const options = {
+      sources: [adapter],
+      authorRelMe: false,
+      moderation: { rules: [{ type: "keyword", keywords: ["pills"], score: 10 }] },
+    };
+
+    await runSync(db, options);
+    const stored = byOriginId(db);
+    stored[3].hidden = true;
+    stored[3].hiddenReason = "rejected";
+
+    await blockEntry(
+      db.collection("webmentionBlocklist"),
+      parseBlockEntry("keyword", "casino"),
+      "spam",
+    );
+    adapter.items = [
+      mention(1, "Visit my casino"),
+      mention(2, "Cheap pills"),
+      mention(3, "Visit my casino"),
+    ];
+    const result = await runFullSync(db, options);
+
+    const docs = byOriginId(db);
+    assert.equal(result.mentionsUpdated, 3);
+    assert.equal(docs[1].contentText, "Visit my casino");
+    assert.equal(docs[1].hiddenReason, "blocklist");
+    assert.equal(docs[2].hiddenReason, "auto-rule");
+    assert.equal(docs[2].moderation.rules[0].rule, "keyword");
+    assert.equal(docs[3].hiddenReason, "rejected");
+  });
+
+  it("never publishes a held mention because of an edit", async () => {
+    const db = memoryDb();
+    const adapter = listAdapter([mention(1, "Cheap pills")]);
+    const options = {
+      sources: [adapter],
+      authorRelMe: false,
+      moderation: { rules: [{ type: "keyword", keywords: ["pills"], score: 10 }] },
+    };
+
+    await runSync(db, options);
+    adapter.items = [mention(1, "Nice post")];
+    await runFullSync(db, options);
+
+    const docs = byOriginId(db);
+    assert.equal(docs[1].contentText, "Nice post");
+    assert.equal(docs[1].hiddenReason, "auto-rule");
+  });
+});
+
+describe("per-source sync cursors", () => {
+  it("continues from each source's cursor and re-checks the newest page", async () => {
+    const db = memoryDb();
+    const adapter = listAdapter([mention(1, "One"), mention(2, "Two")]);
+    const options = { sources: [adapter], authorRelMe: false };
+    const state = db.collection("webmentionState");
+
+    await runSync(db, options);
+    assert.equal((await getState(state, "sync:fixture")).sinceId, 2);
+
+    adapter.calls = [];
+    adapter.items = [mention(1, "One"), mention(2, "Two, edited"), mention(3, "Three")];
+    const result = await runSync(db, options);
+
+    assert.deepEqual(adapter.calls, [
+      { page: 0, sinceId: 2 },
+      { page: 0, sinceId: null },
+    ]);
+    assert.equal(result.mentionsAdded, 1);
+    assert.equal(result.mentionsUpdated, 1);
+    assert.equal((await getState(state, "sync:fixture")).sinceId, 3);
+    assert.equal(byOriginId(db)[2].contentText, "Two, edited");
+  });
+
+  it("keeps mentions with the same ID at different sources apart", async () => {
+    const db = memoryDb();
+    const first = listAdapter([mention(1, "From the first")], "first");
+    const second = listAdapter([mention(1, "From the second")], "second");
+
+    await runSync(db, { sources: [first, second], authorRelMe: false });
+
+    const docs = db.collection("webmentions").docs;
+    assert.deepEqual(
+      docs.map((doc) => [doc.origin, doc.raw["wm-origin-id"], doc.contentText]),
+      [
+        ["first", 1, "From the first"],
+        ["second", 1, "From the second"],
+      ],
+    );
+    assert.notEqual(docs[0].wmId, docs[1].wmId);
+  });
+
+  it("keeps a failed source's cursor while the others sync", async () => {
+    const db = memoryDb();
+    const working = listAdapter([mention(1, "Hello")], "working");
+    const failing = listAdapter([mention(1, "Hello")], "failing");
+    const options = { sources: [failing, working], authorRelMe: false };
+    const state = db.collection("webmentionState");
+
+    await runSync(db, options);
+    failing.items = [mention(1, "Hello"), mention(2, "New")];
+    failing.fetchPage = async () => {
+      throw new Error("Source unavailable");
+    };
+    working.items = [mention(1, "Hello"), mention(2, "New")];
+    const result = await runSync(db, options);
+
+    const failed = await getState(state, "sync:failing");
+    assert.match(result.error, /Source unavailable/);
+    assert.equal(failed.sinceId, 1);
+    assert.equal(failed.lastError, "Source unavailable");
+    assert.equal((await getState(state, "sync:working")).sinceId, 2);
+  });
+});
@@ -0,0 +1,108 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import {
+  getThreadMentions,
+  getThreadTargets,
+} from "../lib/storage/webmentions.js";
+import { buildThreads } from "../lib/threads.js";
+import { memoryDb } from "./helpers/memory-db.js";
+
+const post = "https://me.example/posts/hello";
+
+const mention = (wmId, sourceUrl, fields = {}) => ({
+  wmId,
+  wmTarget: post,
+  wmProperty: "in-reply-to",
+  sourceUrl,
+  wmReceived: `2025-02-1${wmId}T10:00:00.000Z`,
+  raw: {},
+  ...fields,
+});
+
+describe("buildThreads", () => {
+  it("nests replies under the mention they reply to", () => {
+    const first = mention(1, "https://a.example/1");
+    const answer = mention(2, "https://b.example/2", {
+      raw: { "in-reply-to": ["https://a.example/1/", post] },
+    });
+    const other = mention(3, "https://c.example/3");
+
+    const [thread] = buildThreads([answer, other, first]);
+
+    assert.equal(thread.target, post);
+    assert.equal(thread.total, 3);
+    assert.equal(thread.latest, "2025-02-13T10:00:00.000Z");
+    assert.deepEqual(
+      thread.threads.map((node) => node.doc.wmId),
+      [1, 3],
+    );
+    assert.deepEqual(
+      thread.threads[0].children.map((node) => node.doc.wmId),
+      [2],
+    );
+  });
+
+  it("places our replies and the mentions they received", () => {
+    const first = mention(1, "https://a.example/1", {
+      responses: [
+        { type: "like", url: "https://me.example/likes/1" },
+        { type: "reply", url: "https://me.example/replies/1", createdAt: "2025-02-11T12:00:00.000Z" },
+      ],
+    });
+    const answer = mention(2, "https://a.example/2", {
+      wmTarget: "https://me.example/replies/1",
+    });
+
+    const [thread] = buildThreads([first, answer]);
+    const [reply] = thread.threads[0].children;
+
+    assert.equal(thread.threads.length, 1);
+    assert.equal(reply.response.url, "https://me.example/replies/1");
+    assert.equal(reply.children[0].doc.wmId, 2);
+    assert.equal(thread.total, 2);
+  });
+
+  it("doesn't loop on mentions replying to each other", () => {
+    const a = mention(1, "https://a.example/1", {
+      raw: { "in-reply-to": "https://b.example/2" },
+    });
+    const b = mention(2, "https://b.example/2", {
+      raw: { "in-reply-to": "https://a.example/1" },
+    });
+
+    const [thread] = buildThreads([a, b]);
+
+    assert.equal(thread.threads.length, 1);
+    assert.equal(thread.total, 2);
+  });
+});
+
+describe("getThreadMentions/getThreadTargets", () => {
+  const reply = "https://me.example/replies/1";
+  const collection = memoryDb().collection("webmentions");
+  collection.docs.push(
+    mention(1, "https://alice.example/1", {
+      responses: [{ type: "reply", url: reply }],
+    }),
+    mention(2, "https://bob.example/1", { wmTarget: reply }),
+    mention(3, "https://carol.example/1", { wmProperty: "like-of" }),
+    mention(4, "https://dave.example/1", { hidden: true }),
+  );
+
+  it("follows our replies into the rest of the conversation", async () => {
+    const docs = await getThreadMentions(collection, [post]);
+
+    assert.deepEqual(
+      docs.map((doc) => doc.wmId),
+      [1, 2],
+    );
+  });
+
+  it("lists the original post, not our replies, as a conversation", async () => {
+    const { items, total } = await getThreadTargets(collection);
+
+    assert.equal(total, 1);
+    assert.equal(items[0].target, post);
+  });
+});
@@ -0,0 +1,88 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { assessSource } from "../lib/verify.js";
+
+const target = "https://me.example/posts/hello";
+const now = Date.parse("2025-03-01T00:00:00.000Z");
+const day = 86_400_000;
+
+const page = (body, extra) => ({
+  status: 200,
+  ok: true,
+  url: "https://alice.example/notes/1",
+  contentType: "text/html",
+  truncated: false,
+  body,
+  ...extra,
+});
+const linking = page(`<a href="${target}">hi</a>`);
+const notLinking = page("<p>nothing here</p>");
+const gone = (status) => ({ status, ok: false, contentType: "", body: "" });
+
+const doc = (fields) => ({
+  wmId: 1,
+  wmTarget: target,
+  wmReceived: "2025-02-28T00:00:00.000Z",
+  hidden: false,
+  ...fields,
+});
+
+describe("assessSource", () => {
+  it("needs a 404 or missing link twice in a row before acting", () => {
+    for (const fetched of [gone(404), notLinking]) {
+      const first = assessSource(doc(), fetched, now);
+      assert.equal(first.action, null);
+      assert.equal(first.update.verifyFailures, 1);
+
+      const second = assessSource(doc({ verifyFailures: 1 }), fetched, now);
+      assert.equal(second.action, "remove");
+      assert.equal(second.update.verifyFailures, 2);
+    }
+  });
+
+  it("gives each failure its reason", () => {
+    assert.equal(assessSource(doc(), gone(404), now).reason, "source-deleted");
+    assert.equal(assessSource(doc(), notLinking, now).reason, "link-removed");
+  });
+
+  it("acts on 410 Gone at once", () => {
+    const result = assessSource(doc(), gone(410), now);
+
+    assert.equal(result.action, "remove");
+    assert.equal(result.reason, "source-deleted");
+  });
+
+  it("resets failures and backs off by age when the link is there", () => {
+    const result = assessSource(doc({ verifyFailures: 1 }), linking, now);
+
+    assert.equal(result.action, null);
+    assert.equal(result.update.verifyFailures, 0);
+    assert.equal(Date.parse(result.update.nextVerifyAt) - now, day / 4);
+  });
+
+  it("restores mentions it hid once their source is back", () => {
+    const hidden = doc({ hidden: true, hiddenReason: "link-removed" });
+    const blocked = doc({ hidden: true, hiddenReason: "blocklist" });
+
+    assert.equal(assessSource(hidden, linking, now).action, "restore");
+    assert.equal(assessSource(blocked, linking, now).action, null);
+  });
+
+  it("treats a truncated page without the link as inconclusive", () => {
+    const truncated = page("<p>" + "x".repeat(100), { truncated: true });
+    const result = assessSource(doc({ verifyFailures: 1 }), truncated, now);
+
+    assert.equal(result.action, null);
+    assert.equal(result.reason, null);
+    assert.deepEqual(Object.keys(result.update), ["nextVerifyAt"]);
+  });
+
+  it("retries 5xx responses the next day without counting a failure", () => {
+    const result = assessSource(doc({ verifyFailures: 1 }), gone(503), now);
+
+    assert.equal(result.action, null);
+    assert.equal(result.update.verifyFailures, 0);
+    assert.equal(Date.parse(result.update.nextVerifyAt) - now, day);
+  });
+});
@@ -0,0 +1,51 @@
+import assert from "node:assert/strict";
+import { createHmac } from "node:crypto";
+import { describe, it } from "node:test";
+
+import { getWebhooks, signPayload } from "../lib/webhooks.js";
+
+describe("signPayload", () => {
+  it("signs the timestamp and body with HMAC-SHA256", () => {
+    const body = JSON.stringify({ event: "mentions.new", mentions: [] });
+    const expected = createHmac("sha256", "s3cret")
+      .update(`1700000000.${body}`)
+      .digest("hex");
+
+    assert.equal(signPayload("s3cret", 1_700_000_000, body), `sha256=${expected}`);
+  });
+
+  it("changes with the secret, timestamp and body", () => {
+    const signature = signPayload("a", 1, "{}");
+
+    assert.notEqual(signPayload("b", 1, "{}"), signature);
+    assert.notEqual(signPayload("a", 2, "{}"), signature);
+    assert.notEqual(signPayload("a", 1, "{ }"), signature);
+  });
+});
+
+describe("getWebhooks", () => {
+  it("normalises configured webhooks", () => {
+    const [webhook] = getWebhooks({
+      webhooks: [{ url: "https://hooks.example/in", types: "reply" }, { name: "no url" }],
+    });
+
+    assert.equal(webhook.name, "hooks.example");
+    assert.equal(webhook.secret, null);
+    assert.deepEqual(webhook.properties, ["in-reply-to"]);
+    assert.deepEqual(webhook.targetPrefixes, []);
+  });
+  it("skips webhooks without a valid http(s) URL", () => {
+    const webhooks = getWebhooks({
+      webhooks: [
+        { url: "not a url" },
+        { url: "ftp://hooks.example/in" },
+        { url: "https://hooks.example/in", name: "Builds" },
+      ],
+    });
+
+    assert.deepEqual(
+      webhooks.map((webhook) => webhook.name),
+      ["Builds"],
+    );
+  });
+});
@@ -0,0 +1,242 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import {
+  buildWebmentionQuery,
+  decodeCursor,
+  encodeCursor,
+  getSinceSequence,
+  getWebmentions,
+  jf2ToDocument,
+  unhideByQuery,
+  upsertWebmention,
+} from "../lib/storage/webmentions.js";
+import { memoryDb } from "./helpers/memory-db.js";
+
+const source = "https://alice.example/notes/1";
+const target = "https://me.example/posts/hello";
+
+describe("jf2ToDocument", () => {
+  const item = (content) => ({
+    "wm-id": 1,
+    "wm-received": "2025-02-13T10:00:00.000Z",
+    "wm-property": "in-reply-to",
+    "wm-source": source,
+    "wm-target": target,
+    url: source,
+    author: { name: "Alice", url: "https://alice.example/" },
+    content,
+  });
+
+  it("escapes plain text content", () => {
+    const doc = jf2ToDocument(item({ text: `<img src=x onerror="alert(1)"> & more` }));
+
+    assert.doesNotMatch(doc.contentHtml, /<img/);
+    assert.match(doc.contentHtml, /&lt;img/);
+    assert.match(doc.contentHtml, /&amp; more/);
+    assert.equal(doc.contentText, `<img src=x onerror="alert(1)"> & more`);
+  });
+
+  it("sanitises HTML content", () => {
+    const doc = jf2ToDocument(
+      item({
+        html: `<p onclick="x()">Hi <script>alert(1)</script><a href="javascript:alert(1)">link</a></p>`,
+        text: "Hi link",
+      }),
+    );
+
+    assert.doesNotMatch(doc.contentHtml, /script|onclick|javascript:/);
+    assert.match(doc.contentHtml, /Hi/);
+  });
+
+  it("stores the fields the dashboard and API read", () => {
+    const doc = jf2ToDocument(item({ text: "Hi" }), "native");
+
+    assert.equal(doc.wmId, 1);
+    assert.equal(doc.wmReceived, "2025-02-13T10:00:00.000Z");
+    assert.equal(doc.sourceUrl, source);
+    assert.equal(doc.sourceDomain, "alice.example");
+    assert.equal(doc.origin, "native");
+    assert.equal(doc.hidden, false);
+  });
+  it("takes a native mention's domain from its verified source", () => {
+    const doc = jf2ToDocument(
+      {
+        ...item({ text: "Hi" }),
+        url: "https://trusted.example/post",
+        author: { name: "Mallory", url: "https://trusted.example/" },
+      },
+      "native",
+    );
+
+    assert.equal(doc.sourceDomain, "alice.example");
+  });
+});
+
+describe("upsertWebmention", () => {
+  const item = (fields) => ({
+    "wm-id": 1,
+    "wm-received": "2025-02-13T10:00:00.000Z",
+    "wm-property": "mention-of",
+    "wm-source": source,
+    "wm-target": target,
+    url: source,
+    author: { name: "Alice", url: "https://alice.example/" },
+    content: { text: "Nice post" },
+    ...fields,
+  });
+  const hide = { hidden: true, hiddenAt: "2025-03-01T00:00:00.000Z", hiddenReason: "auto-rule" };
+
+  it("updates an edited mention and keeps the previous version", async () => {
+    const collection = memoryDb().collection("webmentions");
+
+    assert.equal(await upsertWebmention(collection, item()), "inserted");
+    assert.equal(await upsertWebmention(collection, item()), "unchanged");
+    assert.equal(
+      await upsertWebmention(
+        collection,
+        item({ "wm-property": "in-reply-to", "wm-target": `${target}/2`, content: { text: "Edited" } }),
+      ),
+      "updated",
+    );
+
+    const [doc] = collection.docs;
+    assert.equal(doc.wmProperty, "in-reply-to");
+    assert.equal(doc.wmTarget, `${target}/2`);
+    assert.equal(doc.contentText, "Edited");
+    assert.equal(doc.revisions.length, 1);
+    assert.equal(doc.revisions[0].contentText, "Nice post");
+    assert.equal(doc.revisions[0].wmTarget, target);
+  });
+
+  it("applies onEdit to edited mentions that are still visible", async () => {
+    const collection = memoryDb().collection("webmentions");
+    await upsertWebmention(collection, item());
+    await upsertWebmention(collection, item({ "wm-id": 2 }), {
+      onInsert: { hidden: true, hiddenReason: "rejected" },
+    });
+
+    for (const wmId of [1, 2]) {
+      await upsertWebmention(collection, item({ "wm-id": wmId, content: { text: "Spam" } }), {
+        onEdit: hide,
+      });
+    }
+
+    assert.deepEqual(
+      collection.docs.map((doc) => [doc.wmId, doc.hiddenReason]),
+      [
+        [1, "auto-rule"],
+        [2, "rejected"],
+      ],
+    );
+  });
+
+  it("leaves unedited and unknown mentions alone with insert: false", async () => {
+    const collection = memoryDb().collection("webmentions");
+    await upsertWebmention(collection, item());
+
+    assert.equal(await upsertWebmention(collection, item(), { onEdit: hide }), "unchanged");
+    assert.equal(
+      await upsertWebmention(collection, item({ "wm-id": 2 }), { insert: false }),
+      "unchanged",
+    );
+    assert.equal(collection.docs.length, 1);
+    assert.equal(collection.docs[0].hidden, false);
+  });
+});
+
+describe("unhideByQuery", () => {
+  it("reports which unhidden mentions were held for moderation", async () => {
+    const collection = memoryDb().collection("webmentions");
+    const reasons = [null, "manual", "pending", "review"];
+    collection.docs.push(
+      ...reasons.map((hiddenReason, index) => ({
+        wmId: index + 1,
+        wmTarget: target,
+        hidden: hiddenReason !== null,
+        hiddenReason,
+      })),
+    );
+
+    const result = await unhideByQuery(collection, { wmId: { $in: [1, 2, 3, 4] } });
+
+    assert.deepEqual(result, { count: 3, pending: [3, 4] });
+    assert.ok(collection.docs.every((doc) => !doc.hidden));
+  });
+});
+
+describe("buildWebmentionQuery", () => {
+  it("matches since/until against ISO string and Date fields", async () => {
+    const collection = memoryDb().collection("webmentions");
+    collection.docs.push(
+      { wmId: 1, wmReceived: "2025-03-01T10:00:00.000Z" },
+      { wmId: 2, wmReceived: new Date("2025-03-02T10:00:00.000Z") },
+      { wmId: 3, wmReceived: new Date("2025-02-01T10:00:00.000Z") },
+      {
+        wmId: 4,
+        wmReceived: "2025-02-01T10:00:00.000Z",
+        editedAt: "2025-03-01T12:00:00.000Z",
+      },
+      { wmId: 5, wmReceived: new Date("2025-04-01T10:00:00.000Z") },
+    );
+
+    const query = buildWebmentionQuery({
+      since: "2025-02-15T00:00:00.000Z",
+      until: "2025-03-15T00:00:00.000Z",
+    });
+    const found = await collection.find(query).toArray();
+
+    assert.deepEqual(
+      found.map((doc) => doc.wmId),
+      [1, 2, 4],
+    );
+  });
+});
+
+describe("encodeCursor/decodeCursor", () => {
+  it("round-trips a storage sequence number", () => {
+    const cursor = encodeCursor({ seq: 42, wmId: 999 });
+
+    assert.match(cursor, /^[\w-]+$/);
+    assert.deepEqual(decodeCursor(cursor), { seq: 42 });
+  });
+
+  it("rejects cursors it didn't make", () => {
+    const encode = (value) => Buffer.from(value).toString("base64url");
+    const cursors = [
+      "",
+      "junk",
+      encode("seq:0"),
+      encode("seq:-1"),
+      encode("2025-01-01|5"),
+      encode(`seq:${Number.MAX_SAFE_INTEGER}0`),
+    ];
+
+    for (const cursor of cursors) {
+      assert.equal(decodeCursor(cursor), null, cursor);
+    }
+  });
+});
+
+describe("getWebmentions paging", () => {
+  const collection = memoryDb().collection("webmentions");
+  collection.docs.push(
+    ...[1, 2, 3, 4, 5].map((seq) => ({ wmId: seq * 10, seq, hidden: false })),
+  );
+  const ids = (result) => result.items.map((doc) => doc.wmId);
+
+  it("pages older with after and newer with before, newest first", async () => {
+    const older = await getWebmentions(collection, { perPage: 2, after: { seq: 4 } });
+    const newer = await getWebmentions(collection, { perPage: 2, before: { seq: 1 } });
+
+    assert.deepEqual(ids(older), [30, 20]);
+    assert.equal(older.hasNext, true);
+    assert.deepEqual(ids(newer), [30, 20]);
+    assert.equal(newer.hasPrev, true);
+  });
+
+  it("places a since_id in storage order, even once it's deleted", async () => {
+    assert.equal(await getSinceSequence(collection, 30), 3);
+    assert.equal(await getSinceSequence(collection, 35), 3);
+  });
+});